@@ -2,14 +2,17 @@ const express = require("express");
 const multer = require("multer");
 const fs = require("fs");
 const path = require("path");
-const nodemailer = require("nodemailer");
 const jwt = require("jsonwebtoken");
 const bcrypt = require("bcryptjs");
 const { body, validationResult } = require("express-validator");
-const { Pool } = require("pg");
+const { Pool, types } = require("pg");
 const crypto = require("crypto");
 const compression = require("compression");
 const sanitizeHtml = require("sanitize-html");
+const { marked } = require("marked");
+const sharp = require("sharp");
+const { execFile } = require("child_process");
+const { isDeepStrictEqual, promisify } = require("util");
 // Using Node.js built-in fetch (Node 18+) instead of node-fetch for ESM compatibility
 require("dotenv").config();
 
@@ -64,6 +67,147 @@ function buildBaseUrl(req) {
   return `${protocol}://${host}`;
 }
 
+// The site's address from configuration, or null when none is set. Links
+// that carry a secret token are built from this rather than the request's
+// Host header, which the sender controls.
+function configuredBaseUrl() {
+  if (process.env.PUBLIC_BASE_URL) {
+    return process.env.PUBLIC_BASE_URL.replace(/\/+$/, "");
+  }
+  if (process.env.REPLIT_DOMAINS) {
+    return `https://${process.env.REPLIT_DOMAINS.split(",")[0]}`;
+  }
+  return null;
+}
+
+// Base URL for emails sent outside a request (e.g. scheduled digests)
+function publicBaseUrl() {
+  return configuredBaseUrl() || `http://localhost:${process.env.PORT}`;
+}
+
+// Utility function to read a JSON content file, falling back when it doesn't exist yet
+function readJsonFile(file, fallback) {
+  if (!fs.existsSync(file)) {
+    return fallback;
+  }
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+// Write to a temp file and rename it over the target so readers never see a partial file
+function writeJsonFile(file, data) {
+  const tempFile = `${file}.${process.pid}.${Date.now()}.tmp`;
+  fs.writeFileSync(tempFile, JSON.stringify(data, null, 2));
+  fs.renameSync(tempFile, file);
+}
+
+// Serialize read-modify-write cycles on the same file so concurrent requests don't lose writes
+const fileLocks = new Map();
+function withFileLock(file, task) {
+  const previous = fileLocks.get(file) || Promise.resolve();
+  const run = previous.then(() => task());
+  const settled = run.catch(() => {});
+  fileLocks.set(file, settled);
+  settled.then(() => {
+    if (fileLocks.get(file) === settled) {
+      fileLocks.delete(file);
+    }
+  });
+  return run;
+}
+
+// Strip all HTML from user-supplied plain-text fields to prevent XSS
+function sanitizeText(value) {
+  return sanitizeHtml(String(value).trim(), {
+    allowedTags: [], // No HTML tags allowed
+    allowedAttributes: {},
+  });
+}
+
+// Escape a value for interpolation into server-rendered HTML pages
+function escapeHtml(value) {
+  return String(value ?? "").replace(
+    /[&<>"']/g,
+    (char) =>
+      ({
+        "&": "&amp;",
+        "<": "&lt;",
+        ">": "&gt;",
+        '"': "&quot;",
+        "'": "&#39;",
+      })[char],
+  );
+}
+
+// Parse CSV text into rows of fields (RFC 4180 quoting, CRLF or LF line endings)
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  const input = String(text).replace(/^\uFEFF/, ""); // drop a byte order mark
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  // Skip blank lines
+  return rows.filter((r) => r.some((value) => value.trim() !== ""));
+}
+
+// Serialize rows to CSV. Values that a spreadsheet would run as a formula are
+// prefixed with a quote.
+function toCsv(rows) {
+  const formatField = (value) => {
+    let text = value === null || value === undefined ? "" : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return (
+    rows.map((row) => row.map(formatField).join(",")).join("\r\n") + "\r\n"
+  );
+}
+
+// Remove files multer already wrote to disk when the request is rejected afterwards
+function removeUploadedFiles(files) {
+  (files || []).forEach((file) => {
+    if (fs.existsSync(file.path)) {
+      fs.unlinkSync(file.path);
+    }
+  });
+}
+
+// Return BIGINT columns as numbers: record ids are Date.now() timestamps, well
+// within the safe integer range, and the API has always served them as numbers
+types.setTypeParser(20, (value) => parseInt(value, 10));
+// NUMERIC shop prices and order totals as numbers too, like the file backend
+types.setTypeParser(1700, (value) => parseFloat(value));
+
 // Database setup with error handling
 let pool;
 try {
@@ -98,6 +242,758 @@ try {
   pool = null;
 }
 
+// ---- DATABASE MIGRATIONS ---- //
+// Each migration runs once, in order, inside its own transaction and is recorded
+// in schema_migrations. `up` is either SQL or an async function taking the client.
+// Append new migrations to the end of the list; never edit one that has shipped.
+const migrations = [
+  {
+    id: 1,
+    name: "create_subscribers",
+    up: `
+      CREATE TABLE IF NOT EXISTS subscribers (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(100) NOT NULL,
+        email VARCHAR(255) NOT NULL UNIQUE,
+        unsubscribe_token VARCHAR(64) NOT NULL UNIQUE,
+        is_active BOOLEAN NOT NULL DEFAULT true,
+        subscribed_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+      )
+    `,
+  },
+  {
+    id: 2,
+    name: "create_portfolio_items_and_site_content",
+    up: `
+      CREATE TABLE IF NOT EXISTS portfolio_items (
+        id BIGINT PRIMARY KEY,
+        url TEXT NOT NULL,
+        file_type TEXT,
+        caption TEXT NOT NULL DEFAULT '',
+        uploaded_at TIMESTAMPTZ
+      );
+      CREATE TABLE IF NOT EXISTS site_content (
+        key TEXT PRIMARY KEY,
+        data JSONB NOT NULL,
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+      );
+    `,
+  },
+  {
+    id: 3,
+    name: "import_portfolio_and_about_json",
+    // One-shot import of the JSON files used before content moved to Postgres.
+    // The files are left in place as a backup.
+    up: async (client) => {
+      const portfolio = readJsonFile(portfolioFile, []);
+      for (const item of portfolio) {
+        await client.query(
+          `INSERT INTO portfolio_items (id, url, file_type, caption, uploaded_at)
+           VALUES ($1, $2, $3, $4, $5) ON CONFLICT (id) DO NOTHING`,
+          [
+            item.id,
+            item.url,
+            item.fileType || null,
+            item.caption || "",
+            item.uploadedAt || null,
+          ],
+        );
+      }
+
+      const about = readJsonFile(aboutFile, null);
+      if (about) {
+        await client.query(
+          `INSERT INTO site_content (key, data) VALUES ('about', $1)
+           ON CONFLICT (key) DO NOTHING`,
+          [JSON.stringify(about)],
+        );
+      }
+      console.log(
+        `Imported ${portfolio.length} portfolio items${about ? " and about data" : ""} from JSON files`,
+      );
+    },
+  },
+  {
+    id: 4,
+    name: "add_subscriber_confirmation",
+    // Existing active subscribers predate double opt-in and count as confirmed
+    up: `
+      ALTER TABLE subscribers ADD COLUMN IF NOT EXISTS confirmation_token VARCHAR(64) UNIQUE;
+      ALTER TABLE subscribers ADD COLUMN IF NOT EXISTS confirmation_sent_at TIMESTAMPTZ;
+      ALTER TABLE subscribers ADD COLUMN IF NOT EXISTS confirmed_at TIMESTAMPTZ;
+      UPDATE subscribers SET confirmed_at = subscribed_at
+        WHERE is_active = true AND confirmed_at IS NULL;
+    `,
+  },
+  {
+    id: 5,
+    name: "create_mail_queue",
+    up: `
+      CREATE TABLE IF NOT EXISTS mail_queue (
+        id BIGSERIAL PRIMARY KEY,
+        batch TEXT,
+        recipient TEXT NOT NULL,
+        subject TEXT NOT NULL,
+        text_body TEXT,
+        html_body TEXT,
+        status TEXT NOT NULL DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        last_error TEXT,
+        next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        sent_at TIMESTAMPTZ
+      );
+      CREATE INDEX IF NOT EXISTS mail_queue_due_idx ON mail_queue (status, next_attempt_at);
+      CREATE INDEX IF NOT EXISTS mail_queue_batch_idx ON mail_queue (batch);
+    `,
+  },
+  {
+    id: 6,
+    name: "add_subscriber_frequency",
+    up: `
+      ALTER TABLE subscribers ADD COLUMN IF NOT EXISTS frequency TEXT NOT NULL DEFAULT 'instant';
+      ALTER TABLE subscribers ADD COLUMN IF NOT EXISTS last_digest_at TIMESTAMPTZ;
+    `,
+  },
+  {
+    id: 7,
+    name: "add_subscriber_email_categories",
+    up: `
+      ALTER TABLE subscribers ADD COLUMN IF NOT EXISTS notify_artwork BOOLEAN NOT NULL DEFAULT true;
+      ALTER TABLE subscribers ADD COLUMN IF NOT EXISTS notify_newsletter BOOLEAN NOT NULL DEFAULT true;
+    `,
+  },
+  {
+    id: 8,
+    name: "create_newsletters",
+    up: `
+      CREATE TABLE IF NOT EXISTS newsletters (
+        id BIGINT PRIMARY KEY,
+        subject TEXT NOT NULL,
+        body_markdown TEXT NOT NULL DEFAULT '',
+        item_ids JSONB NOT NULL DEFAULT '[]',
+        status TEXT NOT NULL DEFAULT 'draft',
+        scheduled_at TIMESTAMPTZ,
+        sent_at TIMESTAMPTZ,
+        recipient_count INTEGER,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+      );
+    `,
+  },
+  {
+    id: 9,
+    name: "add_portfolio_renditions",
+    up: `
+      ALTER TABLE portfolio_items ADD COLUMN IF NOT EXISTS width INTEGER;
+      ALTER TABLE portfolio_items ADD COLUMN IF NOT EXISTS height INTEGER;
+      ALTER TABLE portfolio_items ADD COLUMN IF NOT EXISTS renditions JSONB;
+    `,
+  },
+  {
+    id: 10,
+    name: "add_portfolio_video_metadata",
+    up: `
+      ALTER TABLE portfolio_items ADD COLUMN IF NOT EXISTS duration DOUBLE PRECISION;
+      ALTER TABLE portfolio_items ADD COLUMN IF NOT EXISTS poster TEXT;
+      ALTER TABLE portfolio_items ADD COLUMN IF NOT EXISTS playback_url TEXT;
+      ALTER TABLE portfolio_items ADD COLUMN IF NOT EXISTS transcode_status TEXT;
+    `,
+  },
+  {
+    id: 11,
+    name: "add_portfolio_item_details",
+    up: `
+      ALTER TABLE portfolio_items ADD COLUMN IF NOT EXISTS title TEXT NOT NULL DEFAULT '';
+      ALTER TABLE portfolio_items ADD COLUMN IF NOT EXISTS year INTEGER;
+      ALTER TABLE portfolio_items ADD COLUMN IF NOT EXISTS medium TEXT NOT NULL DEFAULT '';
+      ALTER TABLE portfolio_items ADD COLUMN IF NOT EXISTS dimensions TEXT NOT NULL DEFAULT '';
+      ALTER TABLE portfolio_items ADD COLUMN IF NOT EXISTS tags JSONB NOT NULL DEFAULT '[]';
+      ALTER TABLE portfolio_items ADD COLUMN IF NOT EXISTS alt_text TEXT NOT NULL DEFAULT '';
+    `,
+  },
+  {
+    id: 12,
+    name: "create_collections",
+    up: `
+      CREATE TABLE IF NOT EXISTS collections (
+        id BIGINT PRIMARY KEY,
+        name TEXT NOT NULL,
+        slug TEXT NOT NULL UNIQUE,
+        description TEXT NOT NULL DEFAULT '',
+        cover_item_id BIGINT,
+        item_ids JSONB NOT NULL DEFAULT '[]',
+        created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+      );
+    `,
+  },
+  {
+    id: 13,
+    name: "add_portfolio_order_and_featured",
+    up: `
+      ALTER TABLE portfolio_items ADD COLUMN IF NOT EXISTS position INTEGER;
+      ALTER TABLE portfolio_items ADD COLUMN IF NOT EXISTS featured BOOLEAN NOT NULL DEFAULT false;
+    `,
+  },
+  {
+    id: 14,
+    name: "add_portfolio_status",
+    up: `
+      ALTER TABLE portfolio_items ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'published';
+      ALTER TABLE portfolio_items ADD COLUMN IF NOT EXISTS publish_at TIMESTAMPTZ;
+      ALTER TABLE portfolio_items ADD COLUMN IF NOT EXISTS published_at TIMESTAMPTZ;
+      ALTER TABLE portfolio_items ADD COLUMN IF NOT EXISTS notified_at TIMESTAMPTZ;
+      ALTER TABLE portfolio_items ADD COLUMN IF NOT EXISTS share_token TEXT UNIQUE;
+      -- Everything uploaded so far went out to subscribers on upload
+      UPDATE portfolio_items
+      SET published_at = uploaded_at, notified_at = uploaded_at
+      WHERE published_at IS NULL;
+    `,
+  },
+  {
+    id: 15,
+    name: "add_portfolio_trash",
+    up: `
+      ALTER TABLE portfolio_items ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
+    `,
+  },
+  {
+    id: 16,
+    name: "create_tools",
+    // Starts from the tools that used to be hard-coded in the Tools page
+    up: async (client) => {
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS tools (
+          id BIGINT PRIMARY KEY,
+          name TEXT NOT NULL,
+          category TEXT NOT NULL,
+          logo TEXT NOT NULL,
+          url TEXT NOT NULL DEFAULT '',
+          sort_order INTEGER NOT NULL DEFAULT 0,
+          created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      for (const tool of defaultToolRecords()) {
+        await client.query(
+          `INSERT INTO tools (id, name, category, logo, url, sort_order)
+           VALUES ($1, $2, $3, $4, $5, $6) ON CONFLICT (id) DO NOTHING`,
+          [
+            tool.id,
+            tool.name,
+            tool.category,
+            tool.logo,
+            tool.url,
+            tool.sortOrder,
+          ],
+        );
+      }
+    },
+  },
+  {
+    id: 17,
+    name: "create_contact_messages",
+    up: `
+      CREATE TABLE IF NOT EXISTS contact_messages (
+        id BIGINT PRIMARY KEY,
+        name TEXT NOT NULL,
+        email TEXT NOT NULL,
+        message TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'new',
+        ip TEXT,
+        user_agent TEXT,
+        replies JSONB NOT NULL DEFAULT '[]',
+        created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE INDEX IF NOT EXISTS contact_messages_status_idx
+        ON contact_messages (status, created_at);
+    `,
+  },
+  {
+    id: 18,
+    name: "create_commissions",
+    up: `
+      CREATE TABLE IF NOT EXISTS commissions (
+        id BIGINT PRIMARY KEY,
+        name TEXT NOT NULL,
+        email TEXT NOT NULL,
+        project_type TEXT NOT NULL,
+        budget TEXT NOT NULL,
+        deadline TEXT,
+        description TEXT NOT NULL,
+        reference_images JSONB NOT NULL DEFAULT '[]',
+        status TEXT NOT NULL DEFAULT 'new',
+        quote TEXT NOT NULL DEFAULT '',
+        notes TEXT NOT NULL DEFAULT '',
+        status_token VARCHAR(64) NOT NULL UNIQUE,
+        history JSONB NOT NULL DEFAULT '[]',
+        created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+      );
+    `,
+  },
+  {
+    id: 19,
+    name: "create_rate_limits",
+    up: `
+      CREATE TABLE IF NOT EXISTS rate_limits (
+        key TEXT PRIMARY KEY,
+        count INTEGER NOT NULL,
+        reset_at TIMESTAMPTZ NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS rate_limits_reset_at_idx ON rate_limits (reset_at);
+    `,
+  },
+  {
+    id: 20,
+    name: "create_users_and_sessions",
+    up: `
+      CREATE TABLE IF NOT EXISTS users (
+        id BIGINT PRIMARY KEY,
+        username TEXT NOT NULL UNIQUE,
+        email TEXT,
+        password_hash TEXT NOT NULL,
+        role TEXT NOT NULL,
+        password_reset_hash TEXT,
+        password_reset_expires_at TIMESTAMPTZ,
+        last_login_at TIMESTAMPTZ,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE TABLE IF NOT EXISTS sessions (
+        id TEXT PRIMARY KEY,
+        user_id BIGINT NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+        refresh_hash TEXT NOT NULL,
+        expires_at TIMESTAMPTZ NOT NULL,
+        revoked_at TIMESTAMPTZ,
+        ip TEXT,
+        user_agent TEXT,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        last_used_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE INDEX IF NOT EXISTS sessions_user_id_idx ON sessions (user_id);
+    `,
+  },
+  {
+    id: 21,
+    name: "add_user_two_factor",
+    up: `
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_secret TEXT;
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_pending_secret TEXT;
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_enabled_at TIMESTAMPTZ;
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_last_step BIGINT;
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS recovery_code_hashes JSONB;
+    `,
+  },
+  {
+    id: 22,
+    name: "create_shop_products_and_orders",
+    up: `
+      CREATE TABLE IF NOT EXISTS shop_products (
+        id BIGINT PRIMARY KEY,
+        title TEXT NOT NULL,
+        description TEXT NOT NULL DEFAULT '',
+        price NUMERIC(12, 2) NOT NULL,
+        currency TEXT NOT NULL,
+        edition_size INTEGER,
+        stock INTEGER NOT NULL CHECK (stock >= 0),
+        images JSONB NOT NULL DEFAULT '[]',
+        created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE TABLE IF NOT EXISTS orders (
+        id BIGINT PRIMARY KEY,
+        status TEXT NOT NULL,
+        items JSONB NOT NULL,
+        total NUMERIC(12, 2) NOT NULL,
+        currency TEXT NOT NULL,
+        customer JSONB NOT NULL,
+        provider TEXT NOT NULL,
+        provider_reference TEXT,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        paid_at TIMESTAMPTZ
+      );
+      CREATE INDEX IF NOT EXISTS orders_status_idx ON orders (status);
+    `,
+  },
+  {
+    id: 23,
+    name: "import_shop_and_orders_json",
+    // One-shot import of the JSON files the shop used before it moved to
+    // Postgres. The files are left in place as a backup.
+    up: async (client) => {
+      const products = readJsonFile(shopFile, []);
+      for (const product of products) {
+        await client.query(
+          `INSERT INTO shop_products
+             (id, title, description, price, currency, edition_size, stock, images, created_at, updated_at)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) ON CONFLICT (id) DO NOTHING`,
+          [
+            product.id,
+            product.title,
+            product.description || "",
+            product.price,
+            product.currency,
+            product.editionSize || null,
+            product.stock,
+            JSON.stringify(product.images || []),
+            product.createdAt,
+            product.updatedAt,
+          ],
+        );
+      }
+
+      const orders = readJsonFile(ordersFile, []);
+      for (const order of orders) {
+        await client.query(
+          `INSERT INTO orders
+             (id, status, items, total, currency, customer, provider, provider_reference, created_at, updated_at, paid_at)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11) ON CONFLICT (id) DO NOTHING`,
+          [
+            order.id,
+            order.status,
+            JSON.stringify(order.items),
+            order.total,
+            order.currency,
+            JSON.stringify(order.customer),
+            order.provider,
+            order.providerReference,
+            order.createdAt,
+            order.updatedAt,
+            order.paidAt,
+          ],
+        );
+      }
+      console.log(
+        `Imported ${products.length} shop products and ${orders.length} orders from JSON files`,
+      );
+    },
+  },
+];
+
+// Arbitrary key for pg_advisory_lock so two instances booting together don't race
+const MIGRATION_LOCK_ID = 727001;
+
+async function runMigrations(pool) {
+  const client = await pool.connect();
+  try {
+    await client.query("SELECT pg_advisory_lock($1)", [MIGRATION_LOCK_ID]);
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        id INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    const { rows } = await client.query("SELECT id FROM schema_migrations");
+    const applied = new Set(rows.map((row) => row.id));
+
+    for (const migration of migrations) {
+      if (applied.has(migration.id)) continue;
+
+      try {
+        await client.query("BEGIN");
+        if (typeof migration.up === "function") {
+          await migration.up(client);
+        } else {
+          await client.query(migration.up);
+        }
+        await client.query(
+          "INSERT INTO schema_migrations (id, name) VALUES ($1, $2)",
+          [migration.id, migration.name],
+        );
+        await client.query("COMMIT");
+        console.log(`Applied migration ${migration.id} (${migration.name})`);
+      } catch (error) {
+        await client.query("ROLLBACK");
+        error.message = `Migration ${migration.id} (${migration.name}) failed: ${error.message}`;
+        throw error;
+      }
+    }
+  } finally {
+    await client
+      .query("SELECT pg_advisory_unlock($1)", [MIGRATION_LOCK_ID])
+      .catch(() => {});
+    client.release();
+  }
+}
+
+// ---- CONTENT STORAGE ---- //
+// Content collections go through a repository with the same async interface
+// for both backends, so routes never touch files or SQL directly:
+//   list()              -> all records, oldest first
+//   get(id)             -> record or null
+//   insert(record)      -> inserted record
+//   update(id, changes) -> updated record, or null when it doesn't exist
+//   updateIf(id, expected, changes)
+//                       -> like update, but only while the record's fields
+//                          still equal `expected` (compare-and-set); null if not
+//   remove(id)          -> removed record, or null when it doesn't exist
+// Postgres is used whenever `pool` is available; otherwise records live in a
+// JSON file (under uploads/ for public content, data/ for private records)
+// written with write-and-rename under a write lock.
+const portfolioFile = path.join(__dirname, "uploads", "portfolio.json");
+const aboutFile = path.join(__dirname, "uploads", "about.json");
+
+function createFileRepository(file) {
+  const byId = (id) => (record) => record.id === id;
+
+  return {
+    async list() {
+      return readJsonFile(file, []);
+    },
+    async get(id) {
+      return readJsonFile(file, []).find(byId(id)) || null;
+    },
+    insert(record) {
+      return withFileLock(file, () => {
+        const records = readJsonFile(file, []);
+        records.push(record);
+        writeJsonFile(file, records);
+        return record;
+      });
+    },
+    update(id, changes) {
+      return withFileLock(file, () => {
+        const records = readJsonFile(file, []);
+        const record = records.find(byId(id));
+        if (!record) return null;
+        Object.assign(record, changes);
+        writeJsonFile(file, records);
+        return record;
+      });
+    },
+    updateIf(id, expected, changes) {
+      return withFileLock(file, () => {
+        const records = readJsonFile(file, []);
+        const record = records.find(byId(id));
+        const matches =
+          record &&
+          Object.entries(expected).every(([field, value]) =>
+            isDeepStrictEqual(record[field] ?? null, value),
+          );
+        if (!matches) return null;
+        Object.assign(record, changes);
+        writeJsonFile(file, records);
+        return record;
+      });
+    },
+    // Applies [id, changes] pairs in a single write. Returns false without
+    // changing anything if one of the records is missing.
+    updateMany(updates) {
+      return withFileLock(file, () => {
+        const records = readJsonFile(file, []);
+        const targets = updates.map(([id]) => records.find(byId(id)));
+        if (targets.includes(undefined)) return false;
+        targets.forEach((record, i) => Object.assign(record, updates[i][1]));
+        writeJsonFile(file, records);
+        return true;
+      });
+    },
+    remove(id) {
+      return withFileLock(file, () => {
+        const records = readJsonFile(file, []);
+        const record = records.find(byId(id));
+        if (!record) return null;
+        writeJsonFile(
+          file,
+          records.filter((r) => r !== record),
+        );
+        return record;
+      });
+    },
+  };
+}
+
+// `columns` maps record fields to column names; fields listed in `jsonColumns`
+// are stored as JSONB. Timestamps come back as ISO strings like the file backend.
+function createPostgresRepository(pool, { table, columns, jsonColumns = [] }) {
+  const fields = Object.keys(columns);
+
+  const toValue = (field, value) =>
+    jsonColumns.includes(field) && value !== null && value !== undefined
+      ? JSON.stringify(value)
+      : value;
+
+  const fromRow = (row) => {
+    if (!row) return null;
+    const record = {};
+    fields.forEach((field) => {
+      const value = row[columns[field]];
+      record[field] = value instanceof Date ? value.toISOString() : value;
+    });
+    return record;
+  };
+
+  // UPDATE statement for the defined fields in `changes`, or null if none
+  // are. `expected` adds field = value conditions (IS NULL for null).
+  const buildUpdate = (id, changes, expected = {}) => {
+    const present = fields.filter(
+      (field) => field !== "id" && changes[field] !== undefined,
+    );
+    if (present.length === 0) return null;
+    const params = [
+      id,
+      ...present.map((field) => toValue(field, changes[field])),
+    ];
+    const conditions = Object.entries(expected).map(([field, value]) => {
+      if (value === null) return `${columns[field]} IS NULL`;
+      params.push(toValue(field, value));
+      return `${columns[field]} = $${params.length}`;
+    });
+    return [
+      `UPDATE ${table}
+       SET ${present.map((f, i) => `${columns[f]} = $${i + 2}`).join(", ")}
+       WHERE ${["id = $1", ...conditions].join(" AND ")}
+       RETURNING *`,
+      params,
+    ];
+  };
+
+  return {
+    async list() {
+      const result = await pool.query(`SELECT * FROM ${table} ORDER BY id`);
+      return result.rows.map(fromRow);
+    },
+    async get(id) {
+      const result = await pool.query(`SELECT * FROM ${table} WHERE id = $1`, [
+        id,
+      ]);
+      return fromRow(result.rows[0]);
+    },
+    async insert(record) {
+      const present = fields.filter((field) => record[field] !== undefined);
+      const result = await pool.query(
+        `INSERT INTO ${table} (${present.map((f) => columns[f]).join(", ")})
+         VALUES (${present.map((f, i) => `$${i + 1}`).join(", ")})
+         RETURNING *`,
+        present.map((field) => toValue(field, record[field])),
+      );
+      return fromRow(result.rows[0]);
+    },
+    async update(id, changes) {
+      const statement = buildUpdate(id, changes);
+      if (!statement) return this.get(id);
+      const result = await pool.query(...statement);
+      return fromRow(result.rows[0]);
+    },
+    async updateIf(id, expected, changes) {
+      const result = await pool.query(...buildUpdate(id, changes, expected));
+      return fromRow(result.rows[0]);
+    },
+    async updateMany(updates) {
+      const client = await pool.connect();
+      try {
+        await client.query("BEGIN");
+        for (const [id, changes] of updates) {
+          const statement = buildUpdate(id, changes);
+          const result = statement
+            ? await client.query(...statement)
+            : await client.query(`SELECT id FROM ${table} WHERE id = $1`, [id]);
+          if (result.rowCount === 0) {
+            await client.query("ROLLBACK");
+            return false;
+          }
+        }
+        await client.query("COMMIT");
+        return true;
+      } catch (error) {
+        await client.query("ROLLBACK");
+        throw error;
+      } finally {
+        client.release();
+      }
+    },
+    async remove(id) {
+      const result = await pool.query(
+        `DELETE FROM ${table} WHERE id = $1 RETURNING *`,
+        [id],
+      );
+      return fromRow(result.rows[0]);
+    },
+  };
+}
+
+// Single documents (such as the about data) with read() and write(data)
+function createFileDocumentStore(file) {
+  return {
+    async read() {
+      return readJsonFile(file, null);
+    },
+    write(data) {
+      return withFileLock(file, () => writeJsonFile(file, data));
+    },
+  };
+}
+
+function createPostgresDocumentStore(pool, key) {
+  return {
+    async read() {
+      const result = await pool.query(
+        "SELECT data FROM site_content WHERE key = $1",
+        [key],
+      );
+      return result.rows[0] ? result.rows[0].data : null;
+    },
+    async write(data) {
+      await pool.query(
+        `INSERT INTO site_content (key, data, updated_at)
+         VALUES ($1, $2, CURRENT_TIMESTAMP)
+         ON CONFLICT (key) DO UPDATE SET data = EXCLUDED.data, updated_at = EXCLUDED.updated_at`,
+        [key, JSON.stringify(data)],
+      );
+    },
+  };
+}
+
+const portfolioRepository = pool
+  ? createPostgresRepository(pool, {
+      table: "portfolio_items",
+      columns: {
+        id: "id",
+        url: "url",
+        fileType: "file_type",
+        caption: "caption",
+        uploadedAt: "uploaded_at",
+        width: "width",
+        height: "height",
+        renditions: "renditions",
+        duration: "duration",
+        poster: "poster",
+        playbackUrl: "playback_url",
+        transcodeStatus: "transcode_status",
+        title: "title",
+        year: "year",
+        medium: "medium",
+        dimensions: "dimensions",
+        tags: "tags",
+        alt: "alt_text",
+        position: "position",
+        featured: "featured",
+        status: "status",
+        publishAt: "publish_at",
+        publishedAt: "published_at",
+        notifiedAt: "notified_at",
+        shareToken: "share_token",
+        deletedAt: "deleted_at",
+      },
+      jsonColumns: ["renditions", "tags"],
+    })
+  : createFileRepository(portfolioFile);
+
+// Portfolio items that aren't in the trash
+async function listPortfolioItems() {
+  return (await portfolioRepository.list()).filter((item) => !item.deletedAt);
+}
+
+const aboutStore = pool
+  ? createPostgresDocumentStore(pool, "about")
+  : createFileDocumentStore(aboutFile);
+
 // Replit Mail utility function (using official integration pattern)
 async function sendEmail(message) {
   const xReplitToken = process.env.REPL_IDENTITY
@@ -153,6 +1049,16 @@ async function sendEmail(message) {
 
 const app = express();
 
+// Which proxies to believe for X-Forwarded-For/-Proto, so req.ip is the
+// visitor's address. Replit serves the app through one proxy; TRUST_PROXY
+// takes a hop count, true/false, or a list of trusted addresses.
+function parseTrustProxy(value) {
+  if (value === undefined || value === "") return 1;
+  if (value === "true" || value === "false") return value === "true";
+  return /^\d+$/.test(value) ? parseInt(value, 10) : value;
+}
+app.set("trust proxy", parseTrustProxy(process.env.TRUST_PROXY));
+
 // Add cache control for static assets to improve performance
 app.use('/uploads', (req, res, next) => {
   res.set('Cache-Control', 'public, max-age=31536000'); // 1 year for uploaded images
@@ -161,7 +1067,7 @@ app.use('/uploads', (req, res, next) => {
 
 // Disable caching for the main HTML and API responses to prevent replit iframe caching issues
 app.use((req, res, next) => {
-  if (req.path === '/' || req.path.endsWith('.html') || req.path.startsWith('/api') || req.path === '/portfolio-images' || req.path === '/about' || req.path === '/about-data') {
+  if (req.path === '/' || req.path.endsWith('.html') || req.path.startsWith('/api') || req.path === '/portfolio-images' || req.path === '/shop' || req.path === '/about' || req.path === '/about-data') {
     res.set('Cache-Control', 'no-cache, no-store, must-revalidate');
     res.set('Pragma', 'no-cache');
     res.set('Expires', '0');
@@ -170,14 +1076,30 @@ app.use((req, res, next) => {
 });
 
 app.use(compression()); // Enable gzip compression
-app.use(express.json());
+app.use(
+  express.json({
+    // Keep the raw body so payment webhooks can verify their signatures
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  }),
+);
 app.use(express.urlencoded({ extended: true }));
 
 // Ensure uploads subdirs exist
-["about", "portfolio", "shop"].forEach((dir) => {
+["about", "portfolio", "shop", "tools"].forEach((dir) => {
   fs.mkdirSync(path.join(__dirname, "uploads", dir), { recursive: true });
 });
 
+// Private data (orders, queues) lives outside uploads/, which is served publicly
+const dataDir = path.join(__dirname, "data");
+fs.mkdirSync(dataDir, { recursive: true });
+
+// Commission reference images are clients' private files, so they are kept
+// with the private data and served only through authenticated routes
+const commissionReferencesDir = path.join(dataDir, "commission-references");
+fs.mkdirSync(commissionReferencesDir, { recursive: true });
+
 // File validation
 const allowedImageTypes = [
   "image/jpeg",
@@ -210,22 +1132,28 @@ const fileFilter = (req, file, cb) => {
 const storage = multer.diskStorage({
   destination: function (req, file, cb) {
     try {
-      const section = req.params.section || req.path.split("/")[2]; // about/portfolio/shop
-      if (!["about", "portfolio", "shop"].includes(section)) {
+      const section = req.params.section || req.path.split("/")[2]; // about/portfolio/shop/tools/commissions
+      if (
+        !["about", "portfolio", "shop", "tools", "commissions"].includes(
+          section,
+        )
+      ) {
         return cb(new Error("Invalid upload section"), null);
       }
-      cb(null, path.join(__dirname, "uploads", section));
+      cb(
+        null,
+        section === "commissions"
+          ? commissionReferencesDir
+          : path.join(__dirname, "uploads", section),
+      );
     } catch (error) {
       cb(error, null);
     }
   },
   filename: function (req, file, cb) {
     try {
-      const uniqueName =
-        Date.now() +
-        "-" +
-        Math.round(Math.random() * 1e9) +
-        path.extname(file.originalname);
+      // No extension yet: verifyUploads adds one from the file's contents
+      const uniqueName = Date.now() + "-" + Math.round(Math.random() * 1e9);
       cb(null, uniqueName);
     } catch (error) {
       cb(error, null);
@@ -233,623 +1161,7207 @@ const storage = multer.diskStorage({
   },
 });
 
+// Larger files go through the resumable upload sessions instead
+const MULTIPART_MAX_FILE_SIZE = 50 * 1024 * 1024; // 50 MB
+
 const upload = multer({
   storage,
   fileFilter,
   limits: {
-    fileSize: 50 * 1024 * 1024, // 50 MB - more reasonable limit
+    fileSize: MULTIPART_MAX_FILE_SIZE,
   },
 });
 
-// ---- JWT Authentication ---- //
-// Require environment variables for security
-if (!process.env.JWT_SECRET) {
-  console.error("FATAL: JWT_SECRET environment variable is required");
-  process.exit(1);
+// ---- UPLOAD VERIFICATION ---- //
+// fileFilter only sees the client's claimed MIME type, so once multer has
+// written a file its first bytes decide what it really is. Files that aren't
+// an allowed image or video are deleted and the request gets a 400; the rest
+// are renamed to the extension of their detected type, and images lose their
+// EXIF (GPS, camera serials), XMP and IPTC metadata before anyone can fetch
+// them from /uploads.
+const SNIFF_BYTES = 64;
+const PNG_SIGNATURE = Buffer.from([
+  0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a,
+]);
+// ISO media brands that are mp4 video. Others, such as the HEIC and AVIF
+// still-image brands, aren't accepted.
+const VIDEO_FTYP_BRANDS = [
+  "isom",
+  "iso2",
+  "iso4",
+  "iso5",
+  "iso6",
+  "mp41",
+  "mp42",
+  "avc1",
+  "M4V ",
+  "M4VH",
+  "M4VP",
+  "mmp4",
+  "MSNV",
+  "dash",
+  "3gp4",
+  "3gp5",
+  "3gp6",
+  "3g2a",
+  "f4v ",
+];
+// Top-level atoms that older QuickTime files start with instead of "ftyp".
+// They only count as a movie once a "moov" atom turns up among them.
+const QUICKTIME_ATOMS = ["moov", "mdat", "wide", "free", "skip", "pnot"];
+const QUICKTIME_MAX_ATOMS = 16;
+const STRIP_QUALITY = {
+  jpeg: { quality: 92, mozjpeg: true },
+  webp: { quality: 92 },
+  png: {},
+};
+
+// Walks the top-level atoms of a file without an "ftyp" box, looking for the
+// "moov" atom every QuickTime movie has. The "mdat" before it can be most of
+// the file, so only the atom headers are read.
+async function hasQuickTimeMovie(handle) {
+  const { size: fileSize } = await handle.stat();
+  const atomHeader = Buffer.alloc(16);
+  let offset = 0;
+  for (let i = 0; i < QUICKTIME_MAX_ATOMS && offset + 8 <= fileSize; i++) {
+    await handle.read(atomHeader, 0, 16, offset);
+    const type = atomHeader.toString("latin1", 4, 8);
+    if (!QUICKTIME_ATOMS.includes(type)) return false;
+    if (type === "moov") return true;
+    // A size of 1 means a 64-bit size follows; 0 runs to the end of the file
+    let size = atomHeader.readUInt32BE(0);
+    if (size === 1) size = Number(atomHeader.readBigUInt64BE(8));
+    if (size < 8) return false;
+    offset += size;
+  }
+  return false;
 }
-if (!process.env.ADMIN_PASS_HASH) {
-  console.error("FATAL: ADMIN_PASS_HASH environment variable is required");
-  process.exit(1);
+
+async function sniffFileType(filePath) {
+  const handle = await fs.promises.open(filePath, "r");
+  try {
+    return await sniffOpenFile(handle);
+  } finally {
+    await handle.close();
+  }
 }
 
-const JWT_SECRET = process.env.JWT_SECRET;
-const ADMIN_USER = process.env.ADMIN_USER || "Martin3z";
-const ADMIN_PASS_HASH = process.env.ADMIN_PASS_HASH;
+async function sniffOpenFile(handle) {
+  const buffer = Buffer.alloc(SNIFF_BYTES);
+  const { bytesRead } = await handle.read(buffer, 0, SNIFF_BYTES, 0);
+  const header = buffer.subarray(0, bytesRead);
+  const ascii = (start, end) => header.toString("latin1", start, end);
 
-// Authentication middleware
-function auth(req, res, next) {
-  try {
-    const authHeader = req.headers.authorization;
-    if (!authHeader || !authHeader.startsWith("Bearer ")) {
-      return res.status(401).json({ error: "Access token required" });
+  if (header[0] === 0xff && header[1] === 0xd8 && header[2] === 0xff) {
+    return { mimetype: "image/jpeg", extension: "jpg" };
+  }
+  if (header.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    return { mimetype: "image/png", extension: "png" };
+  }
+  if (ascii(0, 6) === "GIF87a" || ascii(0, 6) === "GIF89a") {
+    return { mimetype: "image/gif", extension: "gif" };
+  }
+  if (ascii(0, 4) === "RIFF" && ascii(8, 12) === "WEBP") {
+    return { mimetype: "image/webp", extension: "webp" };
+  }
+  if (ascii(4, 8) === "ftyp") {
+    const brand = ascii(8, 12);
+    if (brand === "qt  ") {
+      return { mimetype: "video/quicktime", extension: "mov" };
     }
-
-    const token = authHeader.substring(7); // Remove 'Bearer ' prefix
-    const decoded = jwt.verify(token, JWT_SECRET);
-    req.user = decoded;
-    next();
-  } catch (error) {
-    if (error.name === "JsonWebTokenError") {
-      return res.status(401).json({ error: "Invalid token" });
-    } else if (error.name === "TokenExpiredError") {
-      return res.status(401).json({ error: "Token expired" });
+    if (VIDEO_FTYP_BRANDS.includes(brand)) {
+      return { mimetype: "video/mp4", extension: "mp4" };
     }
-    return res.status(500).json({ error: "Authentication error" });
+    return null;
   }
-}
-
-// Health check endpoint for Cloud Run deployment
-app.get("/health", (req, res) => {
-  try {
-    // Check if critical services are available
-    const healthStatus = {
-      status: "healthy",
-      timestamp: new Date().toISOString(),
-      uptime: process.uptime(),
-      database: pool ? "connected" : "unavailable",
-      environment: process.env.NODE_ENV || "development"
-    };
-    
-    // Return 200 OK with health information
-    res.status(200).json(healthStatus);
-  } catch (error) {
-    console.error("Health check error:", error);
-    res.status(503).json({
-      status: "unhealthy",
-      timestamp: new Date().toISOString(),
-      error: "Service unavailable"
-    });
+  if (
+    QUICKTIME_ATOMS.includes(ascii(4, 8)) &&
+    (await hasQuickTimeMovie(handle))
+  ) {
+    return { mimetype: "video/quicktime", extension: "mov" };
   }
-});
-
-// Login endpoint
-app.post(
-  "/login",
-  [
-    body("username").notEmpty().withMessage("Username is required"),
-    body("password").notEmpty().withMessage("Password is required"),
-  ],
-  async (req, res) => {
-    try {
-      const errors = validationResult(req);
-      if (!errors.isEmpty()) {
-        return res.status(400).json({ errors: errors.array() });
-      }
+  // Matroska shares WebM's EBML header; only the "webm" doctype plays
+  if (
+    header.length >= 4 &&
+    header.readUInt32BE(0) === 0x1a45dfa3 &&
+    header.includes("webm")
+  ) {
+    return { mimetype: "video/webm", extension: "webm" };
+  }
+  if (ascii(0, 4) === "OggS") {
+    return { mimetype: "video/ogg", extension: "ogg" };
+  }
+  return null;
+}
 
-      const { username, password } = req.body;
+// Re-encodes the image without its metadata, keeping the colour profile and
+// baking the EXIF orientation into the pixels. Clean files are left as they
+// are, and GIFs can't hold EXIF, so neither pays for a re-encode.
+async function stripImageMetadata(filePath) {
+  const input = await fs.promises.readFile(filePath);
+  const metadata = await sharp(input).metadata();
+  if (metadata.format === "gif") return;
+  if (!metadata.exif && !metadata.xmp && !metadata.iptc) return;
 
-      if (username !== ADMIN_USER) {
-        return res.status(401).json({ error: "Invalid credentials" });
-      }
+  let image = sharp(input, { animated: true }).keepIccProfile();
+  if (metadata.orientation > 1) {
+    image = image.rotate();
+  }
+  const output = await image
+    .toFormat(metadata.format, STRIP_QUALITY[metadata.format])
+    .toBuffer();
+  await fs.promises.writeFile(filePath, output);
+}
 
-      const isValidPassword = await bcrypt.compare(password, ADMIN_PASS_HASH);
-      if (!isValidPassword) {
-        return res.status(401).json({ error: "Invalid credentials" });
-      }
+// Checks one stored upload ({ path, filename, originalname }) and updates its
+// path, filename and mimetype to match the contents. Returns an error message
+// when the file should be rejected.
+async function verifyUploadedFile(file) {
+  const detected = await sniffFileType(file.path);
+  if (!detected || !allowedTypes.includes(detected.mimetype)) {
+    return `${file.originalname} is not a supported image or video file`;
+  }
 
-      const token = jwt.sign({ username, role: "admin" }, JWT_SECRET, {
-        expiresIn: "24h",
-      });
+  const filename = `${file.filename}.${detected.extension}`;
+  const filePath = path.join(path.dirname(file.path), filename);
+  await fs.promises.rename(file.path, filePath);
+  Object.assign(file, {
+    filename,
+    path: filePath,
+    mimetype: detected.mimetype,
+  });
 
-      res.json({ token, message: "Login successful" });
+  if (allowedImageTypes.includes(detected.mimetype)) {
+    try {
+      await stripImageMetadata(file.path);
     } catch (error) {
-      console.error("Login error:", error);
-      res.status(500).json({ error: "Internal server error" });
+      // The header matched but the rest of the file isn't a valid image
+      return `${file.originalname} could not be read as an image`;
     }
-  },
-);
+  }
+  return null;
+}
 
-// ---- ABOUT ---- //
-app.post("/upload/about", auth, upload.single("file"), (req, res) => {
+// Runs after multer on every upload route, for upload.single and upload.array
+async function verifyUploads(req, res, next) {
+  const files = req.file ? [req.file] : req.files || [];
   try {
-    if (!req.file) {
-      return res.status(400).json({ error: "No file uploaded" });
+    for (const file of files) {
+      const error = await verifyUploadedFile(file);
+      if (error) {
+        removeUploadedFiles(files);
+        return res.status(400).json({ error });
+      }
     }
-
-    const fileUrl = `/uploads/about/${req.file.filename}`;
-    const aboutData = { image: fileUrl, uploadedAt: new Date().toISOString() };
-
-    fs.writeFileSync(
-      path.join(__dirname, "uploads", "about.json"),
-      JSON.stringify(aboutData, null, 2),
-    );
-
-    res.json({ success: true, url: fileUrl });
+    next();
   } catch (error) {
-    console.error("About upload error:", error);
-    res.status(500).json({ error: "Failed to upload file" });
+    removeUploadedFiles(files);
+    next(error);
+  }
+}
+
+// ---- IMAGE RENDITIONS ---- //
+// Portfolio images are resized into a few widths, each saved as AVIF, WebP and
+// a JPEG (PNG when the image has transparency) fallback. The item records
+//   width, height  - of the original, after EXIF rotation
+//   renditions     - [{ size, width, height, format, url }]
+// and the gallery builds srcset from them, while the lightbox keeps `url`.
+const RENDITION_SIZES = [
+  { name: "thumb", width: 480 },
+  { name: "medium", width: 960 },
+  { name: "large", width: 1600 },
+];
+// GIFs are left alone so animations keep playing
+const RENDITION_SOURCE_TYPES = [
+  "image/jpeg",
+  "image/jpg",
+  "image/png",
+  "image/webp",
+];
+const renditionsDir = path.join(
+  __dirname,
+  "uploads",
+  "portfolio",
+  "renditions",
+);
+fs.mkdirSync(renditionsDir, { recursive: true });
+
+const LEGACY_IMAGE_TYPES = {
+  jpg: "image/jpeg",
+  jpeg: "image/jpeg",
+  png: "image/png",
+  webp: "image/webp",
+};
+
+function canCreateRenditions(fileType) {
+  return RENDITION_SOURCE_TYPES.includes(fileType);
+}
+
+async function createRenditions(filePath) {
+  const metadata = await sharp(filePath).metadata();
+  // EXIF orientations 5-8 are rotated a quarter turn
+  const rotated = metadata.orientation >= 5;
+  const width = rotated ? metadata.height : metadata.width;
+  const height = rotated ? metadata.width : metadata.height;
+  const fallbackFormat = metadata.hasAlpha ? "png" : "jpeg";
+  const baseName = path.parse(filePath).name;
+
+  const formats = [
+    { format: "avif", options: { quality: 55, effort: 2 } },
+    { format: "webp", options: { quality: 80 } },
+    { format: fallbackFormat, options: { quality: 82, mozjpeg: true } },
+  ];
+
+  const renditions = [];
+  const seenWidths = new Set();
+  for (const size of RENDITION_SIZES) {
+    // Small originals would give several identical sizes; keep one of each
+    const targetWidth = Math.min(size.width, width);
+    if (seenWidths.has(targetWidth)) continue;
+    seenWidths.add(targetWidth);
+
+    for (const { format, options } of formats) {
+      const extension = format === "jpeg" ? "jpg" : format;
+      const fileName = `${baseName}-${size.name}.${extension}`;
+      const info = await sharp(filePath)
+        .rotate()
+        .resize({ width: targetWidth, withoutEnlargement: true })
+        .toFormat(format, options)
+        .toFile(path.join(renditionsDir, fileName));
+      renditions.push({
+        size: size.name,
+        width: info.width,
+        height: info.height,
+        format,
+        url: `/uploads/portfolio/renditions/${fileName}`,
+      });
+    }
+  }
+
+  return { width, height, renditions };
+}
+
+function removeRenditions(item) {
+  (item.renditions || []).forEach((rendition) => {
+    const filePath = path.join(
+      __dirname,
+      "uploads",
+      rendition.url.replace("/uploads/", ""),
+    );
+    if (fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+    }
+  });
+}
+
+// Smallest fallback-format rendition, or a video's poster, for email thumbnails
+function thumbnailUrl(item) {
+  if (item.poster) return item.poster;
+  const thumbnail = (item.renditions || []).find(
+    (rendition) => rendition.format === "jpeg" || rendition.format === "png",
+  );
+  return thumbnail ? thumbnail.url : item.url;
+}
+
+// ---- VIDEO PROCESSING ---- //
+// Videos are probed with ffprobe for duration and dimensions, and ffmpeg grabs
+// a poster frame so gallery tiles aren't black until playback. QuickTime
+// uploads only play in Safari, so they also get an H.264/AAC mp4 copy. The
+// item records
+//   duration, width, height - seconds and display size, after rotation
+//   poster                  - JPEG frame
+//   playbackUrl             - mp4 copy, once transcoded
+//   transcodeStatus         - "pending" | "done" | "failed", for QuickTime only
+// Transcoding takes far longer than an upload request should, so it runs in
+// the background, one video at a time.
+const execFileAsync = promisify(execFile);
+const FFMPEG_PATH = process.env.FFMPEG_PATH || "ffmpeg";
+const FFPROBE_PATH = process.env.FFPROBE_PATH || "ffprobe";
+const TRANSCODE_TIMEOUT_MS = 30 * 60 * 1000;
+const POSTER_MAX_WIDTH = 1280;
+
+const TRANSCODE_SOURCE_TYPES = ["video/quicktime", "video/mov"];
+const LEGACY_VIDEO_TYPES = {
+  mp4: "video/mp4",
+  webm: "video/webm",
+  ogg: "video/ogg",
+  mov: "video/quicktime",
+};
+
+function isVideoType(fileType) {
+  return (fileType || "").startsWith("video/");
+}
+
+function needsTranscode(fileType) {
+  return TRANSCODE_SOURCE_TYPES.includes(fileType);
+}
+
+async function probeVideo(filePath) {
+  const { stdout } = await execFileAsync(FFPROBE_PATH, [
+    "-v",
+    "error",
+    "-print_format",
+    "json",
+    "-show_format",
+    "-show_streams",
+    filePath,
+  ]);
+  const probe = JSON.parse(stdout);
+  const stream =
+    (probe.streams || []).find((s) => s.codec_type === "video") || {};
+
+  // Phone footage is stored landscape with a rotation flag, either as the old
+  // `rotate` tag or a display matrix
+  const displayMatrix = (stream.side_data_list || []).find(
+    (data) => data.rotation !== undefined,
+  );
+  const rotation = Number(
+    (stream.tags && stream.tags.rotate) ||
+      (displayMatrix && displayMatrix.rotation) ||
+      0,
+  );
+  const sideways = Math.abs(rotation) % 180 === 90;
+
+  return {
+    duration: parseFloat(probe.format && probe.format.duration) || null,
+    width: (sideways ? stream.height : stream.width) || null,
+    height: (sideways ? stream.width : stream.height) || null,
+  };
+}
+
+async function extractPoster(filePath, duration) {
+  const fileName = `${path.parse(filePath).name}-poster.jpg`;
+  // A second in skips fade-ins; very short clips use their midpoint
+  const seekTo = duration ? Math.min(1, duration / 2) : 0;
+  await execFileAsync(FFMPEG_PATH, [
+    "-v",
+    "error",
+    "-y",
+    "-ss",
+    String(seekTo),
+    "-i",
+    filePath,
+    "-frames:v",
+    "1",
+    "-vf",
+    `scale='min(${POSTER_MAX_WIDTH},iw)':-2`,
+    "-q:v",
+    "3",
+    path.join(renditionsDir, fileName),
+  ]);
+  return `/uploads/portfolio/renditions/${fileName}`;
+}
+
+async function transcodeVideo(filePath) {
+  const fileName = `${path.parse(filePath).name}-web.mp4`;
+  await execFileAsync(
+    FFMPEG_PATH,
+    [
+      "-v",
+      "error",
+      "-y",
+      "-i",
+      filePath,
+      "-c:v",
+      "libx264",
+      "-preset",
+      "veryfast",
+      "-crf",
+      "23",
+      "-pix_fmt",
+      "yuv420p",
+      // yuv420p needs even dimensions
+      "-vf",
+      "scale=trunc(iw/2)*2:trunc(ih/2)*2",
+      "-c:a",
+      "aac",
+      "-b:a",
+      "128k",
+      // Move the index to the front so playback starts before the download ends
+      "-movflags",
+      "+faststart",
+      path.join(renditionsDir, fileName),
+    ],
+    { timeout: TRANSCODE_TIMEOUT_MS },
+  );
+  return `/uploads/portfolio/renditions/${fileName}`;
+}
+
+// Poster and metadata for a new upload. A missing ffmpeg shouldn't block
+// uploads, so failures are logged and the item is saved without them.
+async function processVideo(filePath, fileType) {
+  let metadata = {};
+  try {
+    metadata = await probeVideo(filePath);
+    metadata.poster = await extractPoster(filePath, metadata.duration);
+  } catch (error) {
+    console.error(`Failed to process video ${filePath}:`, error.message);
+  }
+  if (needsTranscode(fileType)) {
+    metadata.transcodeStatus = "pending";
+  }
+  return metadata;
+}
+
+let transcodeChain = Promise.resolve();
+
+function queueTranscode(item) {
+  const filePath = path.join(
+    __dirname,
+    "uploads",
+    item.url.replace("/uploads/", ""),
+  );
+  const run = async () => {
+    let changes;
+    try {
+      changes = {
+        playbackUrl: await transcodeVideo(filePath),
+        transcodeStatus: "done",
+      };
+      console.log(`Transcoded ${item.url}`);
+    } catch (error) {
+      console.error(`Failed to transcode ${item.url}:`, error.message);
+      changes = { transcodeStatus: "failed" };
+    }
+    const updated = await portfolioRepository.update(item.id, changes);
+    // Deleted while transcoding
+    if (!updated && changes.playbackUrl) {
+      removeVideoFiles(changes);
+    }
+  };
+  transcodeChain = transcodeChain.then(run).catch((error) => {
+    console.error("Transcode queue error:", error);
+  });
+  return transcodeChain;
+}
+
+// Transcodes still pending when the server last stopped
+async function resumePendingTranscodes() {
+  const items = await portfolioRepository.list();
+  items
+    .filter((item) => item.transcodeStatus === "pending")
+    .forEach((item) => queueTranscode(item));
+}
+
+function removeVideoFiles(item) {
+  [item.poster, item.playbackUrl].filter(Boolean).forEach((url) => {
+    const filePath = path.join(
+      __dirname,
+      "uploads",
+      url.replace("/uploads/", ""),
+    );
+    if (fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+    }
+  });
+}
+
+// `node server.js --backfill-renditions` generates renditions, and video
+// posters and transcodes, for portfolio items uploaded before the pipeline
+// existed
+async function backfillRenditions() {
+  const items = await portfolioRepository.list();
+  let processed = 0;
+  for (const item of items) {
+    // The earliest items were saved without a fileType
+    const extension = path.extname(item.url).slice(1).toLowerCase();
+    const fileType =
+      item.fileType ||
+      LEGACY_IMAGE_TYPES[extension] ||
+      LEGACY_VIDEO_TYPES[extension];
+    const isVideo = isVideoType(fileType);
+    if (isVideo ? item.poster : item.renditions) continue;
+    if (!isVideo && !canCreateRenditions(fileType)) continue;
+
+    const filePath = path.join(
+      __dirname,
+      "uploads",
+      item.url.replace("/uploads/", ""),
+    );
+    if (!fs.existsSync(filePath)) {
+      console.warn(`Skipping ${item.url}: file not found`);
+      continue;
+    }
+
+    if (isVideo) {
+      const metadata = await processVideo(filePath, fileType);
+      if (!metadata.poster) continue;
+      const updated = await portfolioRepository.update(item.id, {
+        fileType,
+        ...metadata,
+      });
+      if (updated.transcodeStatus === "pending") {
+        await queueTranscode(updated);
+      }
+      processed++;
+      console.log(`Created poster for ${item.url}`);
+      continue;
+    }
+
+    try {
+      await portfolioRepository.update(item.id, {
+        fileType,
+        ...(await createRenditions(filePath)),
+      });
+      processed++;
+      console.log(`Created renditions for ${item.url}`);
+    } catch (error) {
+      console.error(`Failed to create renditions for ${item.url}:`, error);
+    }
+  }
+  console.log(`Backfilled renditions for ${processed} portfolio items`);
+}
+
+// ---- MAIL QUEUE ---- //
+// Bulk email (such as subscriber notifications) is queued instead of being sent
+// inside the request. A background worker sends queued messages at
+// MAIL_SEND_RATE_PER_MINUTE and retries failures with exponential backoff up to
+// MAIL_MAX_ATTEMPTS. Both queue backends implement:
+//   enqueue(messages)              -> number of jobs queued
+//   claimNext()                    -> next due job (now "sending"), or null
+//   markSent(id)
+//   markFailed(id, error, retryAt) -> "pending" again until retryAt, or "failed" when retryAt is null
+//   retry(id)                      -> requeue a failed job right away; false when it isn't failed
+//   resetInterrupted()             -> put jobs left "sending" by a restart back to "pending"
+//   purgeSent(before)              -> drop sent jobs older than `before`
+//   removeRecipient(email)         -> drop every job addressed to `email` that isn't mid-send
+//   recipients(batch)              -> addresses with a job in `batch`, whatever its status
+//   status({ status, batch, limit }) -> { counts, jobs } without message bodies
+const MAIL_SEND_RATE_PER_MINUTE =
+  parseInt(process.env.MAIL_SEND_RATE_PER_MINUTE, 10) || 30;
+const MAIL_MAX_ATTEMPTS = parseInt(process.env.MAIL_MAX_ATTEMPTS, 10) || 5;
+const MAIL_SENT_RETENTION_DAYS = 30;
+const mailQueueFile = path.join(dataDir, "mail-queue.json");
+
+const emptyMailCounts = () => ({ pending: 0, sending: 0, sent: 0, failed: 0 });
+
+// Job summary returned by status(), without the message bodies
+function summarizeMailJob(job) {
+  const { text, html, ...summary } = job;
+  return summary;
+}
+
+function createFileMailQueue(file) {
+  const mutate = (change) =>
+    withFileLock(file, () => {
+      const jobs = readJsonFile(file, []);
+      const result = change(jobs);
+      writeJsonFile(file, jobs);
+      return result;
+    });
+
+  return {
+    enqueue(messages) {
+      return mutate((jobs) => {
+        const now = new Date().toISOString();
+        let nextId = jobs.reduce((max, job) => Math.max(max, job.id), 0) + 1;
+        messages.forEach((message) => {
+          jobs.push({
+            id: nextId++,
+            batch: message.batch || null,
+            to: message.to,
+            subject: message.subject,
+            text: message.text,
+            html: message.html,
+            status: "pending",
+            attempts: 0,
+            lastError: null,
+            nextAttemptAt: now,
+            createdAt: now,
+            sentAt: null,
+          });
+        });
+        return messages.length;
+      });
+    },
+    claimNext() {
+      return mutate((jobs) => {
+        const now = new Date().toISOString();
+        const job = jobs.find(
+          (j) => j.status === "pending" && j.nextAttemptAt <= now,
+        );
+        if (!job) return null;
+        job.status = "sending";
+        job.attempts += 1;
+        return { ...job };
+      });
+    },
+    markSent(id) {
+      return mutate((jobs) => {
+        const job = jobs.find((j) => j.id === id);
+        if (job) {
+          job.status = "sent";
+          job.sentAt = new Date().toISOString();
+          job.lastError = null;
+        }
+      });
+    },
+    markFailed(id, error, retryAt) {
+      return mutate((jobs) => {
+        const job = jobs.find((j) => j.id === id);
+        if (job) {
+          job.status = retryAt ? "pending" : "failed";
+          job.lastError = error;
+          if (retryAt) job.nextAttemptAt = retryAt;
+        }
+      });
+    },
+    retry(id) {
+      return mutate((jobs) => {
+        const job = jobs.find((j) => j.id === id && j.status === "failed");
+        if (!job) return false;
+        job.status = "pending";
+        job.nextAttemptAt = new Date().toISOString();
+        return true;
+      });
+    },
+    resetInterrupted() {
+      return mutate((jobs) => {
+        jobs
+          .filter((j) => j.status === "sending")
+          .forEach((j) => (j.status = "pending"));
+      });
+    },
+    purgeSent(before) {
+      return mutate((jobs) => {
+        const cutoff = before.toISOString();
+        const kept = jobs.filter(
+          (j) => j.status !== "sent" || j.sentAt >= cutoff,
+        );
+        jobs.splice(0, jobs.length, ...kept);
+      });
+    },
+    removeRecipient(email) {
+      return mutate((jobs) => {
+        const kept = jobs.filter(
+          (j) => j.to !== email || j.status === "sending",
+        );
+        jobs.splice(0, jobs.length, ...kept);
+      });
+    },
+    async recipients(batch) {
+      return readJsonFile(file, [])
+        .filter((job) => job.batch === batch)
+        .map((job) => job.to);
+    },
+    async status({ status, batch, limit = 100 } = {}) {
+      const jobs = readJsonFile(file, []);
+      const counts = emptyMailCounts();
+      jobs.forEach((job) => counts[job.status]++);
+      return {
+        counts,
+        jobs: jobs
+          .filter(
+            (job) =>
+              (!status || job.status === status) &&
+              (!batch || job.batch === batch),
+          )
+          .slice(-limit)
+          .reverse()
+          .map(summarizeMailJob),
+      };
+    },
+  };
+}
+
+function createPostgresMailQueue(pool) {
+  const fromRow = (row) =>
+    row && {
+      id: row.id,
+      batch: row.batch,
+      to: row.recipient,
+      subject: row.subject,
+      text: row.text_body,
+      html: row.html_body,
+      status: row.status,
+      attempts: row.attempts,
+      lastError: row.last_error,
+      nextAttemptAt: row.next_attempt_at && row.next_attempt_at.toISOString(),
+      createdAt: row.created_at && row.created_at.toISOString(),
+      sentAt: row.sent_at && row.sent_at.toISOString(),
+    };
+
+  return {
+    async enqueue(messages) {
+      // Insert in chunks to stay well under the bind parameter limit
+      for (let start = 0; start < messages.length; start += 500) {
+        const chunk = messages.slice(start, start + 500);
+        const values = [];
+        const rows = chunk.map((message, i) => {
+          values.push(
+            message.batch || null,
+            message.to,
+            message.subject,
+            message.text,
+            message.html,
+          );
+          const n = i * 5;
+          return `($${n + 1}, $${n + 2}, $${n + 3}, $${n + 4}, $${n + 5})`;
+        });
+        await pool.query(
+          `INSERT INTO mail_queue (batch, recipient, subject, text_body, html_body)
+           VALUES ${rows.join(", ")}`,
+          values,
+        );
+      }
+      return messages.length;
+    },
+    async claimNext() {
+      const result = await pool.query(
+        `UPDATE mail_queue SET status = 'sending', attempts = attempts + 1
+         WHERE id = (
+           SELECT id FROM mail_queue
+           WHERE status = 'pending' AND next_attempt_at <= NOW()
+           ORDER BY next_attempt_at, id
+           LIMIT 1
+           FOR UPDATE SKIP LOCKED
+         )
+         RETURNING *`,
+      );
+      return fromRow(result.rows[0]) || null;
+    },
+    async markSent(id) {
+      await pool.query(
+        `UPDATE mail_queue SET status = 'sent', sent_at = CURRENT_TIMESTAMP, last_error = NULL
+         WHERE id = $1`,
+        [id],
+      );
+    },
+    async markFailed(id, error, retryAt) {
+      await pool.query(
+        `UPDATE mail_queue
+         SET status = $2, last_error = $3, next_attempt_at = COALESCE($4, next_attempt_at)
+         WHERE id = $1`,
+        [id, retryAt ? "pending" : "failed", error, retryAt],
+      );
+    },
+    async retry(id) {
+      const result = await pool.query(
+        `UPDATE mail_queue SET status = 'pending', next_attempt_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND status = 'failed'`,
+        [id],
+      );
+      return result.rowCount > 0;
+    },
+    async resetInterrupted() {
+      await pool.query(
+        "UPDATE mail_queue SET status = 'pending' WHERE status = 'sending'",
+      );
+    },
+    async purgeSent(before) {
+      await pool.query(
+        "DELETE FROM mail_queue WHERE status = 'sent' AND sent_at < $1",
+        [before],
+      );
+    },
+    async removeRecipient(email) {
+      await pool.query(
+        "DELETE FROM mail_queue WHERE recipient = $1 AND status <> 'sending'",
+        [email],
+      );
+    },
+    async recipients(batch) {
+      const result = await pool.query(
+        "SELECT DISTINCT recipient FROM mail_queue WHERE batch = $1",
+        [batch],
+      );
+      return result.rows.map((row) => row.recipient);
+    },
+    async status({ status, batch, limit = 100 } = {}) {
+      const counts = emptyMailCounts();
+      const countResult = await pool.query(
+        "SELECT status, COUNT(*) AS count FROM mail_queue GROUP BY status",
+      );
+      countResult.rows.forEach((row) => (counts[row.status] = row.count));
+
+      const jobsResult = await pool.query(
+        `SELECT * FROM mail_queue
+         WHERE ($1::text IS NULL OR status = $1) AND ($2::text IS NULL OR batch = $2)
+         ORDER BY id DESC
+         LIMIT $3`,
+        [status || null, batch || null, limit],
+      );
+      return {
+        counts,
+        jobs: jobsResult.rows.map((row) => summarizeMailJob(fromRow(row))),
+      };
+    },
+  };
+}
+
+const mailQueue = pool
+  ? createPostgresMailQueue(pool)
+  : createFileMailQueue(mailQueueFile);
+
+// Exponential backoff: 1, 2, 4, 8... minutes, capped at an hour
+function mailRetryDelay(attempts) {
+  return Math.min(60 * 1000 * 2 ** (attempts - 1), 60 * 60 * 1000);
+}
+
+async function processNextMail() {
+  const job = await mailQueue.claimNext();
+  if (!job) return false;
+
+  try {
+    const result = await sendEmail({
+      to: job.to,
+      subject: job.subject,
+      text: job.text,
+      html: job.html,
+    });
+    if (result && result.mock) {
+      // Retrying can't help until the mail service is configured
+      await mailQueue.markFailed(job.id, result.error, null);
+    } else {
+      await mailQueue.markSent(job.id);
+    }
+  } catch (error) {
+    const retryAt =
+      job.attempts < MAIL_MAX_ATTEMPTS
+        ? new Date(Date.now() + mailRetryDelay(job.attempts)).toISOString()
+        : null;
+    await mailQueue.markFailed(job.id, error.message, retryAt);
+  }
+  return true;
+}
+
+// Send one queued message per tick so the provider sees a steady rate
+async function startMailWorker() {
+  await mailQueue.resetInterrupted();
+
+  let busy = false;
+  setInterval(
+    async () => {
+      if (busy) return;
+      busy = true;
+      try {
+        await processNextMail();
+      } catch (error) {
+        console.error("Mail worker error:", error);
+      } finally {
+        busy = false;
+      }
+    },
+    Math.max(100, Math.round(60000 / MAIL_SEND_RATE_PER_MINUTE)),
+  );
+
+  setInterval(
+    () => {
+      const before = new Date(
+        Date.now() - MAIL_SENT_RETENTION_DAYS * 24 * 60 * 60 * 1000,
+      );
+      mailQueue
+        .purgeSent(before)
+        .catch((error) => console.error("Mail queue purge error:", error));
+    },
+    60 * 60 * 1000,
+  );
+
+  console.log(
+    `Mail worker started (${MAIL_SEND_RATE_PER_MINUTE} emails per minute)`,
+  );
+}
+
+// ---- RATE LIMITING ---- //
+// Counters live in a store shared by every limiter. Each key counts hits in a
+// fixed window that starts with its first hit. Both stores implement:
+//   increment(key, windowMs) -> { count, resetAt } after counting this hit
+//   get(key)                 -> { count, resetAt }, or null once the window is over
+//   set(key, count, resetAt)
+//   reset(key)
+//   purgeExpired()
+// resetAt is in milliseconds. The in-memory store is the default; set
+// RATE_LIMIT_STORE=postgres to keep limits and lockouts across restarts.
+// Keys include the client IP, so "trust proxy" has to match the deployment for
+// req.ip to be the visitor rather than the proxy (see TRUST_PROXY).
+const RATE_LIMIT_PURGE_INTERVAL_MS = 10 * 60 * 1000;
+// Failed logins: after LOGIN_LOCKOUT_THRESHOLD failures for an IP, or for an
+// account from one IP, within LOGIN_FAILURE_WINDOW_MS, each further failure
+// locks it out for twice as long as the one before, up to LOGIN_LOCKOUT_MAX_MS
+const LOGIN_LOCKOUT_THRESHOLD = 5;
+const LOGIN_FAILURE_WINDOW_MS = 24 * 60 * 60 * 1000;
+const LOGIN_LOCKOUT_BASE_MS = 60 * 1000;
+const LOGIN_LOCKOUT_MAX_MS = 24 * 60 * 60 * 1000;
+// Failures for a username from anywhere: after LOGIN_THROTTLE_THRESHOLD, each
+// attempt has to wait LOGIN_THROTTLE_BASE_MS after the last failure, doubling
+// up to LOGIN_THROTTLE_MAX_MS. This slows guessing spread over many IPs but
+// never locks the account, so the admin is at worst kept waiting a minute.
+const LOGIN_THROTTLE_THRESHOLD = 10;
+const LOGIN_THROTTLE_BASE_MS = 1000;
+const LOGIN_THROTTLE_MAX_MS = 60 * 1000;
+
+function createMemoryRateLimitStore() {
+  const entries = new Map();
+  const live = (key, now = Date.now()) => {
+    const entry = entries.get(key);
+    return entry && entry.resetAt > now ? entry : null;
+  };
+
+  return {
+    async increment(key, windowMs) {
+      const now = Date.now();
+      const entry = live(key, now) || { count: 0, resetAt: now + windowMs };
+      entry.count += 1;
+      entries.set(key, entry);
+      return { ...entry };
+    },
+    async get(key) {
+      const entry = live(key);
+      return entry ? { ...entry } : null;
+    },
+    async set(key, count, resetAt) {
+      entries.set(key, { count, resetAt });
+    },
+    async reset(key) {
+      entries.delete(key);
+    },
+    async purgeExpired() {
+      const now = Date.now();
+      for (const [key, entry] of entries) {
+        if (entry.resetAt <= now) entries.delete(key);
+      }
+    },
+  };
+}
+
+function createPostgresRateLimitStore(pool) {
+  const fromRow = (row) =>
+    row ? { count: row.count, resetAt: row.reset_at.getTime() } : null;
+
+  return {
+    async increment(key, windowMs) {
+      const now = new Date();
+      const result = await pool.query(
+        `INSERT INTO rate_limits (key, count, reset_at) VALUES ($1, 1, $2)
+         ON CONFLICT (key) DO UPDATE SET
+           count = CASE WHEN rate_limits.reset_at <= $3 THEN 1 ELSE rate_limits.count + 1 END,
+           reset_at = CASE WHEN rate_limits.reset_at <= $3 THEN EXCLUDED.reset_at ELSE rate_limits.reset_at END
+         RETURNING count, reset_at`,
+        [key, new Date(now.getTime() + windowMs), now],
+      );
+      return fromRow(result.rows[0]);
+    },
+    async get(key) {
+      const result = await pool.query(
+        "SELECT count, reset_at FROM rate_limits WHERE key = $1 AND reset_at > $2",
+        [key, new Date()],
+      );
+      return fromRow(result.rows[0]);
+    },
+    async set(key, count, resetAt) {
+      await pool.query(
+        `INSERT INTO rate_limits (key, count, reset_at) VALUES ($1, $2, $3)
+         ON CONFLICT (key) DO UPDATE SET count = EXCLUDED.count, reset_at = EXCLUDED.reset_at`,
+        [key, count, new Date(resetAt)],
+      );
+    },
+    async reset(key) {
+      await pool.query("DELETE FROM rate_limits WHERE key = $1", [key]);
+    },
+    async purgeExpired() {
+      await pool.query("DELETE FROM rate_limits WHERE reset_at <= $1", [
+        new Date(),
+      ]);
+    },
+  };
+}
+
+function selectRateLimitStore() {
+  if (process.env.RATE_LIMIT_STORE === "postgres") {
+    if (pool) return createPostgresRateLimitStore(pool);
+    console.warn(
+      "RATE_LIMIT_STORE=postgres needs DATABASE_URL - using in-memory rate limits",
+    );
+  }
+  return createMemoryRateLimitStore();
+}
+
+const rateLimitStore = selectRateLimitStore();
+
+function sendTooManyRequests(res, resetAt, message) {
+  const retryAfter = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+  res.set("Retry-After", String(retryAfter));
+  res.status(429).json({ error: message });
+}
+
+// Middleware allowing `max` requests per `windowMs` for each value of `key`
+// (the client IP by default). Requests `key` returns nothing for aren't
+// counted. If the store fails the request is let through rather than blocked.
+function rateLimit({
+  name,
+  windowMs,
+  max,
+  key = (req) => req.ip,
+  message = "Too many requests. Please try again later.",
+}) {
+  return async (req, res, next) => {
+    const value = key(req);
+    if (!value) return next();
+    try {
+      const { count, resetAt } = await rateLimitStore.increment(
+        `${name}:${value}`,
+        windowMs,
+      );
+      if (count > max) {
+        return sendTooManyRequests(res, resetAt, message);
+      }
+    } catch (error) {
+      console.error(`Rate limit (${name}) error:`, error);
+    }
+    next();
+  };
+}
+
+// On the 2FA step the account comes from the login challenge, and on
+// password checks of a signed-in user from the session
+function loginUsername(req) {
+  const user = req.challengeUser || req.user;
+  return String(user ? user.username : req.body.username || "")
+    .trim()
+    .toLowerCase();
+}
+
+// Failed logins lock out the IP and the account from that IP. The account
+// key includes the IP so that nobody can keep the admin locked out by failing
+// logins from elsewhere; guessing from many addresses is left to the
+// per-username throttle.
+function loginLockoutKeys(req) {
+  return [`ip:${req.ip}`, `account:${loginUsername(req)}|${req.ip}`];
+}
+
+async function loginLockout(req, res, next) {
+  try {
+    const throttle = await rateLimitStore.get(
+      `login-throttle:${loginUsername(req)}`,
+    );
+    if (throttle) {
+      const seconds = Math.ceil((throttle.resetAt - Date.now()) / 1000);
+      return sendTooManyRequests(
+        res,
+        throttle.resetAt,
+        `Too many failed logins for this account. Try again in ${seconds} second${seconds === 1 ? "" : "s"}.`,
+      );
+    }
+    for (const key of loginLockoutKeys(req)) {
+      const lock = await rateLimitStore.get(`login-lock:${key}`);
+      if (lock) {
+        const minutes = Math.ceil((lock.resetAt - Date.now()) / 60000);
+        return sendTooManyRequests(
+          res,
+          lock.resetAt,
+          `Too many failed login attempts. Try again in ${minutes} minute${minutes === 1 ? "" : "s"}.`,
+        );
+      }
+    }
+  } catch (error) {
+    console.error("Login lockout check error:", error);
+  }
+  next();
+}
+
+async function recordLoginFailure(req) {
+  for (const key of loginLockoutKeys(req)) {
+    const { count } = await rateLimitStore.increment(
+      `login-failures:${key}`,
+      LOGIN_FAILURE_WINDOW_MS,
+    );
+    if (count >= LOGIN_LOCKOUT_THRESHOLD) {
+      const duration = Math.min(
+        LOGIN_LOCKOUT_BASE_MS * 2 ** (count - LOGIN_LOCKOUT_THRESHOLD),
+        LOGIN_LOCKOUT_MAX_MS,
+      );
+      await rateLimitStore.set(`login-lock:${key}`, 1, Date.now() + duration);
+    }
+  }
+
+  const username = loginUsername(req);
+  const { count } = await rateLimitStore.increment(
+    `login-failures:user:${username}`,
+    LOGIN_FAILURE_WINDOW_MS,
+  );
+  if (count >= LOGIN_THROTTLE_THRESHOLD) {
+    const delay = Math.min(
+      LOGIN_THROTTLE_BASE_MS * 2 ** (count - LOGIN_THROTTLE_THRESHOLD),
+      LOGIN_THROTTLE_MAX_MS,
+    );
+    await rateLimitStore.set(
+      `login-throttle:${username}`,
+      1,
+      Date.now() + delay,
+    );
+  }
+}
+
+// The per-username count is left to expire, so a successful login doesn't
+// hand someone guessing from elsewhere a fresh allowance
+async function clearLoginFailures(req) {
+  for (const key of loginLockoutKeys(req)) {
+    await rateLimitStore.reset(`login-failures:${key}`);
+  }
+}
+
+function startRateLimitPurge() {
+  setInterval(() => {
+    rateLimitStore
+      .purgeExpired()
+      .catch((error) => console.error("Rate limit purge error:", error));
+  }, RATE_LIMIT_PURGE_INTERVAL_MS);
+}
+
+// ---- JWT Authentication ---- //
+// Admin accounts live in the users table, each with a role. Logging in starts
+// a session: a short-lived JWT access token plus a refresh token of the form
+// "<session id>.<secret>". Every refresh swaps in a new secret, so a refresh
+// token works once; presenting an old one means it was copied, and the whole
+// session is revoked. Revoking a session also stops its access token, since
+// auth checks the session on every request.
+// Require environment variables for security
+if (!process.env.JWT_SECRET) {
+  console.error("FATAL: JWT_SECRET environment variable is required");
+  process.exit(1);
+}
+
+const JWT_SECRET = process.env.JWT_SECRET;
+const ACCESS_TOKEN_TTL_SECONDS = 15 * 60;
+const REFRESH_TOKEN_TTL_DAYS =
+  parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+const PASSWORD_RESET_TTL_MINUTES = 60;
+const BCRYPT_ROUNDS = 12;
+// Most to least privileged. Viewers can look at the admin pages, editors can
+// also change things, and owners can also manage accounts.
+const USER_ROLES = ["owner", "editor", "viewer"];
+const SAFE_METHODS = ["GET", "HEAD", "OPTIONS"];
+const SESSION_CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+const usersFile = path.join(dataDir, "users.json");
+const sessionsFile = path.join(dataDir, "sessions.json");
+
+const userRepository = pool
+  ? createPostgresRepository(pool, {
+      table: "users",
+      columns: {
+        id: "id",
+        username: "username",
+        email: "email",
+        passwordHash: "password_hash",
+        role: "role",
+        passwordResetHash: "password_reset_hash",
+        passwordResetExpiresAt: "password_reset_expires_at",
+        lastLoginAt: "last_login_at",
+        totpSecret: "totp_secret",
+        totpPendingSecret: "totp_pending_secret",
+        totpEnabledAt: "totp_enabled_at",
+        totpLastStep: "totp_last_step",
+        recoveryCodeHashes: "recovery_code_hashes",
+        createdAt: "created_at",
+        updatedAt: "updated_at",
+      },
+      jsonColumns: ["recoveryCodeHashes"],
+    })
+  : createFileRepository(usersFile);
+
+const sessionRepository = pool
+  ? createPostgresRepository(pool, {
+      table: "sessions",
+      columns: {
+        id: "id",
+        userId: "user_id",
+        refreshHash: "refresh_hash",
+        expiresAt: "expires_at",
+        revokedAt: "revoked_at",
+        ip: "ip",
+        userAgent: "user_agent",
+        createdAt: "created_at",
+        lastUsedAt: "last_used_at",
+      },
+    })
+  : createFileRepository(sessionsFile);
+
+// Refresh and reset tokens are only stored hashed
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+function hasRole(user, role) {
+  return USER_ROLES.indexOf(user.role) <= USER_ROLES.indexOf(role);
+}
+
+function formatUser(user) {
+  return {
+    id: user.id,
+    username: user.username,
+    email: user.email,
+    role: user.role,
+    twoFactorEnabled: Boolean(user.totpEnabledAt),
+    lastLoginAt: user.lastLoginAt,
+    createdAt: user.createdAt,
+  };
+}
+
+async function findUserByUsername(username) {
+  const name = String(username || "").toLowerCase();
+  const users = await userRepository.list();
+  return users.find((user) => user.username.toLowerCase() === name) || null;
+}
+
+// The first owner comes from ADMIN_USER/ADMIN_PASS_HASH. Once any account
+// exists the env vars are no longer used.
+async function bootstrapOwner() {
+  if ((await userRepository.list()).length) return;
+  if (!process.env.ADMIN_PASS_HASH) {
+    console.error(
+      "FATAL: ADMIN_PASS_HASH environment variable is required to create the owner account",
+    );
+    process.exit(1);
+  }
+  const now = new Date().toISOString();
+  const owner = await userRepository.insert({
+    id: Date.now(),
+    username: process.env.ADMIN_USER || "Martin3z",
+    email: process.env.ADMIN_EMAIL || process.env.CONTACT_EMAIL || null,
+    passwordHash: process.env.ADMIN_PASS_HASH,
+    role: "owner",
+    passwordResetHash: null,
+    passwordResetExpiresAt: null,
+    lastLoginAt: null,
+    createdAt: now,
+    updatedAt: now,
+  });
+  console.log(`Created owner account "${owner.username}" from ADMIN_USER`);
+}
+
+function issueTokens(user, sessionId, secret) {
+  return {
+    token: jwt.sign(
+      {
+        sub: String(user.id),
+        sid: sessionId,
+        username: user.username,
+        role: user.role,
+      },
+      JWT_SECRET,
+      { expiresIn: ACCESS_TOKEN_TTL_SECONDS },
+    ),
+    refreshToken: `${sessionId}.${secret}`,
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+    user: formatUser(user),
+  };
+}
+
+async function createSession(user, req) {
+  const sessionId = crypto.randomBytes(16).toString("hex");
+  const secret = crypto.randomBytes(32).toString("hex");
+  const now = new Date();
+  await sessionRepository.insert({
+    id: sessionId,
+    userId: user.id,
+    refreshHash: hashToken(secret),
+    expiresAt: new Date(
+      now.getTime() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000,
+    ).toISOString(),
+    revokedAt: null,
+    ip: req.ip,
+    userAgent: String(req.headers["user-agent"] || "").slice(0, 500),
+    createdAt: now.toISOString(),
+    lastUsedAt: now.toISOString(),
+  });
+  return issueTokens(user, sessionId, secret);
+}
+
+// The live session a refresh token belongs to, or null. A token whose secret
+// doesn't match was already rotated away, so its session is revoked.
+async function findSessionByRefreshToken(refreshToken) {
+  const [sessionId, secret] = String(refreshToken || "").split(".");
+  if (!sessionId || !secret) return null;
+  const session = await sessionRepository.get(sessionId);
+  if (
+    !session ||
+    session.revokedAt ||
+    new Date(session.expiresAt) <= new Date()
+  ) {
+    return null;
+  }
+  if (session.refreshHash !== hashToken(secret)) {
+    console.warn(`Refresh token reused for session ${sessionId}; revoking it`);
+    await revokeSession(sessionId);
+    return null;
+  }
+  return session;
+}
+
+async function rotateSession(session, req) {
+  const user = await userRepository.get(session.userId);
+  if (!user) return null;
+  const secret = crypto.randomBytes(32).toString("hex");
+  await sessionRepository.update(session.id, {
+    refreshHash: hashToken(secret),
+    ip: req.ip,
+    lastUsedAt: new Date().toISOString(),
+  });
+  return issueTokens(user, session.id, secret);
+}
+
+function revokeSession(sessionId) {
+  return sessionRepository.update(sessionId, {
+    revokedAt: new Date().toISOString(),
+  });
+}
+
+// Sign a user out everywhere, optionally keeping the session in use
+async function revokeUserSessions(userId, { except } = {}) {
+  const revokedAt = new Date().toISOString();
+  const sessions = (await sessionRepository.list()).filter(
+    (session) =>
+      session.userId === userId && !session.revokedAt && session.id !== except,
+  );
+  await sessionRepository.updateMany(
+    sessions.map((session) => [session.id, { revokedAt }]),
+  );
+  return sessions.length;
+}
+
+async function removeStaleSessions() {
+  const now = new Date();
+  const stale = (await sessionRepository.list()).filter(
+    (session) => session.revokedAt || new Date(session.expiresAt) <= now,
+  );
+  for (const session of stale) {
+    await sessionRepository.remove(session.id);
+  }
+}
+
+function startSessionCleanup() {
+  setInterval(() => {
+    removeStaleSessions().catch((error) =>
+      console.error("Session cleanup error:", error),
+    );
+  }, SESSION_CLEANUP_INTERVAL_MS);
+}
+
+// The user and session behind a verified access token, or null once the
+// session has been signed out, revoked or has expired, so a stolen access
+// token stops working with its session rather than at its own expiry.
+// Throws the jsonwebtoken errors for tokens that don't verify.
+async function findTokenSession(token) {
+  const decoded = jwt.verify(token, JWT_SECRET);
+  const session = await sessionRepository.get(decoded.sid);
+  if (
+    !session ||
+    session.revokedAt ||
+    new Date(session.expiresAt) <= new Date()
+  ) {
+    return null;
+  }
+  const user = await userRepository.get(session.userId);
+  if (!user || String(user.id) !== decoded.sub) return null;
+  return { user, session };
+}
+
+// Authentication middleware for routes that need at least `role`, which can
+// also be a function of the request. Sets req.user and req.authSession.
+function requireRole(role) {
+  return async (req, res, next) => {
+    try {
+      const authHeader = req.headers.authorization;
+      if (!authHeader || !authHeader.startsWith("Bearer ")) {
+        return res.status(401).json({ error: "Access token required" });
+      }
+
+      const token = authHeader.substring(7); // Remove 'Bearer ' prefix
+      const found = await findTokenSession(token);
+      if (!found) {
+        return res.status(401).json({ error: "Session has been signed out" });
+      }
+      const { user, session } = found;
+
+      const needed = typeof role === "function" ? role(req) : role;
+      if (!hasRole(user, needed)) {
+        return res
+          .status(403)
+          .json({ error: "Your account doesn't have permission to do that" });
+      }
+      req.user = user;
+      req.authSession = session;
+      next();
+    } catch (error) {
+      if (error.name === "JsonWebTokenError") {
+        return res.status(401).json({ error: "Invalid token" });
+      } else if (error.name === "TokenExpiredError") {
+        return res.status(401).json({ error: "Token expired" });
+      }
+      console.error("Authentication error:", error);
+      return res.status(500).json({ error: "Authentication error" });
+    }
+  };
+}
+
+// Default for admin routes: any role may read, editors and owners may change
+const auth = requireRole((req) =>
+  SAFE_METHODS.includes(req.method) ? "viewer" : "editor",
+);
+
+// Whether a public route was called with a valid admin token of a live
+// session, for routes that show admins more (such as unpublished portfolio
+// items)
+async function isAdminRequest(req) {
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith("Bearer ")) return false;
+  try {
+    return Boolean(await findTokenSession(authHeader.substring(7)));
+  } catch (error) {
+    return false;
+  }
+}
+
+// Health check endpoint for Cloud Run deployment
+app.get("/health", (req, res) => {
+  try {
+    // Check if critical services are available
+    const healthStatus = {
+      status: "healthy",
+      timestamp: new Date().toISOString(),
+      uptime: process.uptime(),
+      database: pool ? "connected" : "unavailable",
+      environment: process.env.NODE_ENV || "development"
+    };
+    
+    // Return 200 OK with health information
+    res.status(200).json(healthStatus);
+  } catch (error) {
+    console.error("Health check error:", error);
+    res.status(503).json({
+      status: "unhealthy",
+      timestamp: new Date().toISOString(),
+      error: "Service unavailable"
+    });
+  }
+});
+
+// Login endpoint
+app.post(
+  "/login",
+  rateLimit({
+    name: "login",
+    windowMs: 15 * 60 * 1000,
+    max: 20,
+    message: "Too many login attempts. Please try again later.",
+  }),
+  loginLockout,
+  [
+    body("username").notEmpty().withMessage("Username is required"),
+    body("password").notEmpty().withMessage("Password is required"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { username, password } = req.body;
+
+      const user = await findUserByUsername(username);
+      const isValidPassword =
+        user && (await bcrypt.compare(password, user.passwordHash));
+      if (!isValidPassword) {
+        await recordLoginFailure(req);
+        return res.status(401).json({ error: "Invalid credentials" });
+      }
+      // Failures are only cleared once the second factor passes too, so a
+      // known password doesn't reset the lockout on code guesses
+      if (user.totpEnabledAt) {
+        return res.json({
+          twoFactorRequired: true,
+          challenge: createTwoFactorChallenge(user),
+          expiresIn: TWO_FACTOR_CHALLENGE_TTL_SECONDS,
+          message: "Enter the code from your authenticator app",
+        });
+      }
+      await clearLoginFailures(req);
+
+      const loggedIn = await userRepository.update(user.id, {
+        lastLoginAt: new Date().toISOString(),
+      });
+      const session = await createSession(loggedIn, req);
+      res.json({ ...session, message: "Login successful" });
+    } catch (error) {
+      console.error("Login error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  },
+);
+
+// Second login step for accounts with 2FA: the challenge from /login plus an
+// authenticator code or a recovery code
+app.post(
+  "/login/2fa",
+  rateLimit({
+    name: "login-2fa",
+    windowMs: 15 * 60 * 1000,
+    max: 20,
+    message: "Too many login attempts. Please try again later.",
+  }),
+  requireTwoFactorChallenge,
+  loginLockout,
+  [body("code").isString().trim().notEmpty().withMessage("Code is required")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ error: errors.array()[0].msg });
+      }
+
+      const user = req.challengeUser;
+      const factor = await verifySecondFactor(user, req.body.code);
+      if (!factor) {
+        await recordLoginFailure(req);
+        return res.status(401).json({ error: "Invalid code" });
+      }
+      await clearLoginFailures(req);
+
+      const loggedIn = await userRepository.update(user.id, {
+        lastLoginAt: new Date().toISOString(),
+      });
+      const session = await createSession(loggedIn, req);
+      res.json({
+        ...session,
+        ...(factor === "recovery" && {
+          recoveryCodesLeft: (loggedIn.recoveryCodeHashes || []).length,
+        }),
+        message: "Login successful",
+      });
+    } catch (error) {
+      console.error("Two-factor login error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  },
+);
+
+// ---- ACCOUNTS ---- //
+const passwordRule = (field) =>
+  body(field)
+    .isString()
+    .isLength({ min: 10, max: 200 })
+    .withMessage("Password must be 10-200 characters");
+
+// Swap a refresh token for a new access token and refresh token
+app.post("/auth/refresh", async (req, res) => {
+  try {
+    const session = await findSessionByRefreshToken(req.body.refreshToken);
+    const tokens = session && (await rotateSession(session, req));
+    if (!tokens) {
+      return res
+        .status(401)
+        .json({ error: "Session expired. Please log in again." });
+    }
+    res.json(tokens);
+  } catch (error) {
+    console.error("Token refresh error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Ends the session behind the refresh token (or the access token) so neither
+// can be used again
+app.post("/auth/logout", async (req, res) => {
+  try {
+    let sessionId = null;
+    const session = await findSessionByRefreshToken(req.body.refreshToken);
+    if (session) {
+      sessionId = session.id;
+    } else if ((req.headers.authorization || "").startsWith("Bearer ")) {
+      try {
+        sessionId = jwt.verify(
+          req.headers.authorization.substring(7),
+          JWT_SECRET,
+        ).sid;
+      } catch (error) {
+        // An expired or invalid token has nothing left to sign out
+      }
+    }
+    if (sessionId) {
+      await revokeSession(sessionId);
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error("Logout error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+app.post("/auth/logout-all", requireRole("viewer"), async (req, res) => {
+  try {
+    const revoked = await revokeUserSessions(req.user.id);
+    res.json({ success: true, revoked });
+  } catch (error) {
+    console.error("Logout everywhere error:", error);
+    res.status(500).json({ error: "Failed to sign out other sessions" });
+  }
+});
+
+app.get("/auth/me", requireRole("viewer"), (req, res) => {
+  res.json({
+    ...formatUser(req.user),
+    recoveryCodesLeft: (req.user.recoveryCodeHashes || []).length,
+  });
+});
+
+// Changing the password signs out every other session
+app.post(
+  "/auth/password",
+  requireRole("viewer"),
+  loginLockout,
+  [
+    body("currentPassword")
+      .isString()
+      .notEmpty()
+      .withMessage("Current password is required"),
+    passwordRule("newPassword"),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: errors.array()[0].msg });
+    }
+
+    try {
+      const valid = await bcrypt.compare(
+        req.body.currentPassword,
+        req.user.passwordHash,
+      );
+      // Counted like a failed login, so a stolen access token can't be used
+      // to guess the password
+      if (!valid) {
+        await recordLoginFailure(req);
+        return res.status(400).json({ error: "Current password is incorrect" });
+      }
+      await userRepository.update(req.user.id, {
+        passwordHash: await bcrypt.hash(req.body.newPassword, BCRYPT_ROUNDS),
+        updatedAt: new Date().toISOString(),
+      });
+      await revokeUserSessions(req.user.id, { except: req.authSession.id });
+      res.json({ success: true, message: "Password changed" });
+    } catch (error) {
+      console.error("Password change error:", error);
+      res.status(500).json({ error: "Failed to change password" });
+    }
+  },
+);
+
+// Emails a reset link to the account with this address. The response is the
+// same either way, so it can't be used to find out which addresses have
+// accounts. The link needs PUBLIC_BASE_URL: without it there is no address
+// to trust, so no reset mail is sent at all.
+app.post(
+  "/auth/password-reset/request",
+  rateLimit({
+    name: "password-reset",
+    windowMs: 60 * 60 * 1000,
+    max: 5,
+    message: "Too many reset requests. Please try again later.",
+  }),
+  [body("email").isEmail().withMessage("Valid email is required")],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: errors.array()[0].msg });
+    }
+
+    const baseUrl = configuredBaseUrl();
+    if (!baseUrl) {
+      console.error(
+        "Password reset requested, but PUBLIC_BASE_URL is not set - not sending a reset link",
+      );
+      return res.status(503).json({
+        error:
+          "Password reset by email isn't set up. Ask the site owner to reset your password.",
+      });
+    }
+
+    try {
+      const email = req.body.email.trim().toLowerCase();
+      const user = (await userRepository.list()).find(
+        (candidate) => (candidate.email || "").toLowerCase() === email,
+      );
+      if (user) {
+        const token = crypto.randomBytes(32).toString("hex");
+        await userRepository.update(user.id, {
+          passwordResetHash: hashToken(token),
+          passwordResetExpiresAt: new Date(
+            Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000,
+          ).toISOString(),
+        });
+        const resetUrl = `${baseUrl}/auth/password-reset?token=${token}`;
+        try {
+          await sendEmail({
+            to: user.email,
+            subject: "Reset your password",
+            text: `Hi ${user.username},\n\nOpen this link to choose a new password:\n\n${resetUrl}\n\nThe link expires in ${PASSWORD_RESET_TTL_MINUTES} minutes. If you didn't ask for this, you can ignore this email.`,
+            html: `
+              <p>Hi ${escapeHtml(user.username)},</p>
+              <p><a href="${resetUrl}">Choose a new password</a></p>
+              <p style="font-size: 12px; color: #666;">
+                The link expires in ${PASSWORD_RESET_TTL_MINUTES} minutes. If you didn't ask for this, you can ignore this email.
+              </p>
+            `,
+          });
+        } catch (emailError) {
+          console.error("Password reset email error:", emailError);
+        }
+      }
+      res.json({
+        success: true,
+        message: "If an account uses that address, a reset link is on its way.",
+      });
+    } catch (error) {
+      console.error("Password reset request error:", error);
+      res.status(500).json({ error: "Failed to start password reset" });
+    }
+  },
+);
+
+async function findUserByResetToken(token) {
+  if (!token || typeof token !== "string") return null;
+  const hash = hashToken(token);
+  const user = (await userRepository.list()).find(
+    (candidate) => candidate.passwordResetHash === hash,
+  );
+  if (!user || new Date(user.passwordResetExpiresAt) <= new Date()) {
+    return null;
+  }
+  return user;
+}
+
+function renderPasswordResetPage(token, { error } = {}) {
+  return `
+    <html><body style="${PAGE_STYLE}">
+      <h2>Choose a New Password</h2>
+      ${error ? `<p style="color: #dc3545;">${escapeHtml(error)}</p>` : ""}
+      <form method="POST" action="/auth/password-reset">
+        <input type="hidden" name="token" value="${escapeHtml(token)}">
+        <label>
+          New password<br>
+          <input type="password" name="password" required minlength="10" maxlength="200" autocomplete="new-password">
+        </label>
+        <button type="submit" style="margin-top: 12px;">Save Password</button>
+      </form>
+    </body></html>
+  `;
+}
+
+function sendResetLinkInvalid(res) {
+  res.status(400).send(`
+    <html><body style="${PAGE_STYLE}">
+      <h2>Reset Link Expired</h2>
+      <p>This password reset link is invalid or has expired. Request a new one from the login page.</p>
+    </body></html>
+  `);
+}
+
+app.get("/auth/password-reset", async (req, res) => {
+  try {
+    if (!(await findUserByResetToken(req.query.token))) {
+      return sendResetLinkInvalid(res);
+    }
+    res.send(renderPasswordResetPage(req.query.token));
+  } catch (error) {
+    console.error("Password reset page error:", error);
+    res.status(500).send(`
+      <html><body style="${PAGE_STYLE}">
+        <h2>Error</h2>
+        <p>There was an error loading this page. Please try again later.</p>
+      </body></html>
+    `);
+  }
+});
+
+// Resetting the password signs the account out everywhere
+app.post(
+  "/auth/password-reset",
+  [passwordRule("password")],
+  async (req, res) => {
+    try {
+      const user = await findUserByResetToken(req.body.token);
+      if (!user) return sendResetLinkInvalid(res);
+
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).send(
+          renderPasswordResetPage(req.body.token, {
+            error: errors.array()[0].msg,
+          }),
+        );
+      }
+
+      await userRepository.update(user.id, {
+        passwordHash: await bcrypt.hash(req.body.password, BCRYPT_ROUNDS),
+        passwordResetHash: null,
+        passwordResetExpiresAt: null,
+        updatedAt: new Date().toISOString(),
+      });
+      await revokeUserSessions(user.id);
+      res.send(`
+        <html><body style="${PAGE_STYLE}">
+          <h2>Password Updated</h2>
+          <p>Your new password is saved. <a href="/?admin=1">Log in</a></p>
+        </body></html>
+      `);
+    } catch (error) {
+      console.error("Password reset error:", error);
+      res.status(500).send(`
+        <html><body style="${PAGE_STYLE}">
+          <h2>Error</h2>
+          <p>Your password could not be reset. Please try again later.</p>
+        </body></html>
+      `);
+    }
+  },
+);
+
+// ---- TWO-FACTOR AUTHENTICATION ---- //
+// Optional TOTP second factor (RFC 6238: HMAC-SHA1, 6 digits, 30-second
+// steps), the flavour every authenticator app understands. With it on, /login
+// answers with a short-lived challenge instead of tokens and /login/2fa
+// trades the challenge plus a code for the session.
+const TOTP_ISSUER = "Alex Martínez Portfolio";
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+// Steps either side of now that are still accepted, for clock drift
+const TOTP_DRIFT_STEPS = 1;
+const TWO_FACTOR_CHALLENGE_TTL_SECONDS = 5 * 60;
+const RECOVERY_CODE_COUNT = 10;
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+// Challenges get their own signing key so one can never pass as an access token
+const TWO_FACTOR_CHALLENGE_SECRET = crypto
+  .createHmac("sha256", JWT_SECRET)
+  .update("login-2fa-challenge")
+  .digest("hex");
+const TWO_FACTOR_OFF = {
+  totpSecret: null,
+  totpPendingSecret: null,
+  totpEnabledAt: null,
+  totpLastStep: null,
+  recoveryCodeHashes: null,
+};
+
+function base32Encode(buffer) {
+  let bits = "";
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, "0");
+  let output = "";
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, "0"), 2)];
+  }
+  return output;
+}
+
+function base32Decode(text) {
+  let bits = "";
+  for (const char of text.toUpperCase().replace(/[\s=]/g, "")) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) throw new Error("Invalid base32 character");
+    bits += value.toString(2).padStart(5, "0");
+  }
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+}
+
+function totpCode(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(counter)
+    .digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, "0");
+}
+
+// The time step `code` belongs to, or null if it isn't valid right now
+function findTotpStep(secret, code) {
+  if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(code)) return null;
+  const current = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+  for (let drift = -TOTP_DRIFT_STEPS; drift <= TOTP_DRIFT_STEPS; drift++) {
+    const step = current + drift;
+    const expected = Buffer.from(totpCode(secret, step));
+    if (crypto.timingSafeEqual(expected, Buffer.from(code))) return step;
+  }
+  return null;
+}
+
+function totpProvisioningUri(user, secret) {
+  const label = encodeURIComponent(`${TOTP_ISSUER}:${user.username}`);
+  // encodeURIComponent rather than URLSearchParams: some apps show a "+" for
+  // a space literally
+  return (
+    `otpauth://totp/${label}?secret=${secret}` +
+    `&issuer=${encodeURIComponent(TOTP_ISSUER)}` +
+    `&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_STEP_SECONDS}`
+  );
+}
+
+// Recovery codes look like "3f9a1-c07be" and, like refresh tokens, are only
+// stored hashed
+function normalizeRecoveryCode(code) {
+  return String(code || "")
+    .toLowerCase()
+    .replace(/[^0-9a-f]/g, "");
+}
+
+function generateRecoveryCodes() {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const code = crypto.randomBytes(5).toString("hex");
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+  return {
+    codes,
+    hashes: codes.map((code) => hashToken(normalizeRecoveryCode(code))),
+  };
+}
+
+// Checks an authenticator or recovery code for a user with 2FA on and uses it
+// up. Returns "totp", "recovery" or null.
+async function verifySecondFactor(user, code) {
+  const input = String(code || "").replace(/\s/g, "");
+  const step = findTotpStep(user.totpSecret, input);
+  // Codes are spent with a compare-and-set against the values read with the
+  // user, so of two requests racing with the same code only one gets in
+  if (step !== null) {
+    // Each code works once, even inside its 30 seconds
+    if (user.totpLastStep && step <= user.totpLastStep) return null;
+    const spent = await userRepository.updateIf(
+      user.id,
+      { totpLastStep: user.totpLastStep ?? null },
+      { totpLastStep: step },
+    );
+    return spent ? "totp" : null;
+  }
+  const hashes = user.recoveryCodeHashes || [];
+  const hash = hashToken(normalizeRecoveryCode(input));
+  if (!hashes.includes(hash)) return null;
+  const spent = await userRepository.updateIf(
+    user.id,
+    { recoveryCodeHashes: user.recoveryCodeHashes ?? null },
+    { recoveryCodeHashes: hashes.filter((candidate) => candidate !== hash) },
+  );
+  return spent ? "recovery" : null;
+}
+
+function createTwoFactorChallenge(user) {
+  return jwt.sign({ sub: String(user.id) }, TWO_FACTOR_CHALLENGE_SECRET, {
+    expiresIn: TWO_FACTOR_CHALLENGE_TTL_SECONDS,
+  });
+}
+
+// Loads the account a /login challenge was issued for into req.challengeUser
+async function requireTwoFactorChallenge(req, res, next) {
+  try {
+    const { sub } = jwt.verify(
+      String(req.body.challenge || ""),
+      TWO_FACTOR_CHALLENGE_SECRET,
+    );
+    const user = await userRepository.get(parseInt(sub));
+    if (!user || !user.totpEnabledAt) throw new Error("2FA is not enabled");
+    req.challengeUser = user;
+    next();
+  } catch (error) {
+    res.status(401).json({
+      error: "Your login has expired. Please sign in again.",
+      challengeExpired: true,
+    });
+  }
+}
+
+// Sensitive 2FA changes need the account password as well as a session.
+// Wrong passwords count as failed logins, so a stolen access token can't be
+// used to guess the password; routes put loginLockout in front of this.
+async function requirePassword(req, res, next) {
+  try {
+    if (
+      !req.body.password ||
+      !(await bcrypt.compare(String(req.body.password), req.user.passwordHash))
+    ) {
+      await recordLoginFailure(req);
+      return res.status(400).json({ error: "Password is incorrect" });
+    }
+    next();
+  } catch (error) {
+    console.error("Password check error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+}
+
+// Step one of enrollment: a fresh secret to scan. It only takes effect once
+// a code from it is confirmed through /auth/2fa/enable.
+app.post(
+  "/auth/2fa/setup",
+  requireRole("viewer"),
+  loginLockout,
+  requirePassword,
+  async (req, res) => {
+    try {
+      if (req.user.totpEnabledAt) {
+        return res
+          .status(400)
+          .json({ error: "Two-factor authentication is already on" });
+      }
+      const secret = base32Encode(crypto.randomBytes(20));
+      await userRepository.update(req.user.id, {
+        totpPendingSecret: secret,
+        updatedAt: new Date().toISOString(),
+      });
+      res.json({ secret, uri: totpProvisioningUri(req.user, secret) });
+    } catch (error) {
+      console.error("Two-factor setup error:", error);
+      res.status(500).json({ error: "Failed to start two-factor setup" });
+    }
+  },
+);
+
+app.post(
+  "/auth/2fa/enable",
+  requireRole("viewer"),
+  [body("code").isString().trim().notEmpty().withMessage("Code is required")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ error: errors.array()[0].msg });
+      }
+      const secret = req.user.totpPendingSecret;
+      if (req.user.totpEnabledAt || !secret) {
+        return res.status(400).json({ error: "Start two-factor setup first" });
+      }
+      const step = findTotpStep(secret, req.body.code.replace(/\s/g, ""));
+      if (step === null) {
+        return res.status(400).json({
+          error:
+            "That code doesn't match. Check your device's clock and try again.",
+        });
+      }
+
+      const recovery = generateRecoveryCodes();
+      await userRepository.update(req.user.id, {
+        totpSecret: secret,
+        totpPendingSecret: null,
+        totpEnabledAt: new Date().toISOString(),
+        totpLastStep: step,
+        recoveryCodeHashes: recovery.hashes,
+        updatedAt: new Date().toISOString(),
+      });
+      res.json({
+        success: true,
+        recoveryCodes: recovery.codes,
+        message: "Two-factor authentication is on",
+      });
+    } catch (error) {
+      console.error("Two-factor enable error:", error);
+      res
+        .status(500)
+        .json({ error: "Failed to turn on two-factor authentication" });
+    }
+  },
+);
+
+// New recovery codes; the old ones stop working
+app.post(
+  "/auth/2fa/recovery-codes",
+  requireRole("viewer"),
+  loginLockout,
+  requirePassword,
+  async (req, res) => {
+    try {
+      if (!req.user.totpEnabledAt) {
+        return res
+          .status(400)
+          .json({ error: "Two-factor authentication is off" });
+      }
+      const recovery = generateRecoveryCodes();
+      await userRepository.update(req.user.id, {
+        recoveryCodeHashes: recovery.hashes,
+        updatedAt: new Date().toISOString(),
+      });
+      res.json({ success: true, recoveryCodes: recovery.codes });
+    } catch (error) {
+      console.error("Recovery code error:", error);
+      res.status(500).json({ error: "Failed to create recovery codes" });
+    }
+  },
+);
+
+app.post(
+  "/auth/2fa/disable",
+  requireRole("viewer"),
+  loginLockout,
+  requirePassword,
+  async (req, res) => {
+    try {
+      if (!req.user.totpEnabledAt) {
+        return res
+          .status(400)
+          .json({ error: "Two-factor authentication is off" });
+      }
+      // A password alone isn't enough to drop the second factor
+      if (!(await verifySecondFactor(req.user, req.body.code))) {
+        await recordLoginFailure(req);
+        return res.status(400).json({
+          error: "Enter a current code from your app or a recovery code",
+        });
+      }
+      await userRepository.update(req.user.id, {
+        ...TWO_FACTOR_OFF,
+        updatedAt: new Date().toISOString(),
+      });
+      res.json({ success: true, message: "Two-factor authentication is off" });
+    } catch (error) {
+      console.error("Two-factor disable error:", error);
+      res
+        .status(500)
+        .json({ error: "Failed to turn off two-factor authentication" });
+    }
+  },
+);
+
+// ---- ADMIN: USERS ---- //
+// Owner-only account management. There is always at least one owner.
+const requireOwner = requireRole("owner");
+
+function userValidationRules({ partial }) {
+  const field = (name) => (partial ? body(name).optional() : body(name));
+  return [
+    ...(partial
+      ? []
+      : [
+          body("username")
+            .isString()
+            .trim()
+            .matches(/^[A-Za-z0-9._-]{3,50}$/)
+            .withMessage(
+              "Username must be 3-50 letters, numbers, dots, dashes or underscores",
+            ),
+        ]),
+    field("role")
+      .isIn(USER_ROLES)
+      .withMessage(`Role must be one of: ${USER_ROLES.join(", ")}`),
+    body("email")
+      .optional({ values: "falsy" })
+      .isEmail()
+      .normalizeEmail()
+      .withMessage("Valid email is required"),
+    partial ? passwordRule("password").optional() : passwordRule("password"),
+  ];
+}
+
+async function isLastOwner(user) {
+  if (user.role !== "owner") return false;
+  const owners = (await userRepository.list()).filter(
+    (candidate) => candidate.role === "owner",
+  );
+  return owners.length === 1;
+}
+
+app.get("/admin/users", requireOwner, async (req, res) => {
+  try {
+    const users = await userRepository.list();
+    res.json(users.map(formatUser));
+  } catch (error) {
+    console.error("User list error:", error);
+    res.status(500).json({ error: "Failed to load users" });
+  }
+});
+
+app.post(
+  "/admin/users",
+  requireOwner,
+  userValidationRules({ partial: false }),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: errors.array()[0].msg });
+    }
+
+    try {
+      if (await findUserByUsername(req.body.username)) {
+        return res.status(409).json({ error: "That username is taken" });
+      }
+      const now = new Date().toISOString();
+      const user = await userRepository.insert({
+        id: Date.now(),
+        username: req.body.username,
+        email: req.body.email || null,
+        passwordHash: await bcrypt.hash(req.body.password, BCRYPT_ROUNDS),
+        role: req.body.role,
+        passwordResetHash: null,
+        passwordResetExpiresAt: null,
+        lastLoginAt: null,
+        createdAt: now,
+        updatedAt: now,
+      });
+      res.json(formatUser(user));
+    } catch (error) {
+      console.error("User create error:", error);
+      res.status(500).json({ error: "Failed to create user" });
+    }
+  },
+);
+
+// Setting someone's password signs them out everywhere
+app.patch(
+  "/admin/users/:id",
+  requireOwner,
+  userValidationRules({ partial: true }),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: errors.array()[0].msg });
+    }
+
+    try {
+      const id = parseInt(req.params.id);
+      const user = await userRepository.get(id);
+      if (!user) {
+        return res.status(404).json({ error: "User not found" });
+      }
+      if (
+        req.body.role &&
+        req.body.role !== "owner" &&
+        (await isLastOwner(user))
+      ) {
+        return res
+          .status(400)
+          .json({ error: "There must be at least one owner" });
+      }
+
+      const changes = { updatedAt: new Date().toISOString() };
+      if (req.body.role) changes.role = req.body.role;
+      if (req.body.email !== undefined) changes.email = req.body.email || null;
+      if (req.body.password) {
+        changes.passwordHash = await bcrypt.hash(
+          req.body.password,
+          BCRYPT_ROUNDS,
+        );
+      }
+      const updated = await userRepository.update(id, changes);
+      if (req.body.password) {
+        await revokeUserSessions(id);
+      }
+      res.json(formatUser(updated));
+    } catch (error) {
+      console.error("User update error:", error);
+      res.status(500).json({ error: "Failed to update user" });
+    }
+  },
+);
+
+app.post("/admin/users/:id/revoke", requireOwner, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (!(await userRepository.get(id))) {
+      return res.status(404).json({ error: "User not found" });
+    }
+    const revoked = await revokeUserSessions(id);
+    res.json({ success: true, revoked });
+  } catch (error) {
+    console.error("User revoke error:", error);
+    res.status(500).json({ error: "Failed to sign out user" });
+  }
+});
+
+// For someone who lost both their authenticator and recovery codes
+app.post("/admin/users/:id/reset-2fa", requireOwner, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (!(await userRepository.get(id))) {
+      return res.status(404).json({ error: "User not found" });
+    }
+    const user = await userRepository.update(id, {
+      ...TWO_FACTOR_OFF,
+      updatedAt: new Date().toISOString(),
+    });
+    res.json(formatUser(user));
+  } catch (error) {
+    console.error("User 2FA reset error:", error);
+    res
+      .status(500)
+      .json({ error: "Failed to reset two-factor authentication" });
+  }
+});
+
+app.delete("/admin/users/:id", requireOwner, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const user = await userRepository.get(id);
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+    if (await isLastOwner(user)) {
+      return res
+        .status(400)
+        .json({ error: "There must be at least one owner" });
+    }
+    await revokeUserSessions(id);
+    await userRepository.remove(id);
+    res.json({ success: true });
+  } catch (error) {
+    console.error("User delete error:", error);
+    res.status(500).json({ error: "Failed to delete user" });
+  }
+});
+
+// ---- ABOUT ---- //
+app.post(
+  "/upload/about",
+  auth,
+  upload.single("file"),
+  verifyUploads,
+  async (req, res) => {
+    try {
+      if (!req.file) {
+        return res.status(400).json({ error: "No file uploaded" });
+      }
+
+      const fileUrl = `/uploads/about/${req.file.filename}`;
+      const aboutData = {
+        image: fileUrl,
+        uploadedAt: new Date().toISOString(),
+      };
+
+      await aboutStore.write(aboutData);
+
+      res.json({ success: true, url: fileUrl });
+    } catch (error) {
+      console.error("About upload error:", error);
+      res.status(500).json({ error: "Failed to upload file" });
+    }
+  },
+);
+
+app.get("/about-data", async (req, res) => {
+  try {
+    const aboutData = await aboutStore.read();
+    res.json(aboutData || { image: "" });
+  } catch (error) {
+    console.error("About data error:", error);
+    res.status(500).json({ error: "Failed to load about data" });
+  }
+});
+
+// ---- PORTFOLIO ---- //
+// Footer for every subscriber email: the preference center plus the
+// one-click unsubscribe link
+function buildSubscriberEmailFooter(subscriber, baseUrl) {
+  const preferencesUrl = `${baseUrl}/preferences?token=${subscriber.unsubscribe_token}`;
+  const unsubscribeUrl = `${baseUrl}/unsubscribe?token=${subscriber.unsubscribe_token}`;
+  return {
+    text: `Manage your email preferences: ${preferencesUrl}\nUnsubscribe: ${unsubscribeUrl}`,
+    html: `
+      <hr>
+      <p style="font-size: 12px; color: #666;">
+        <a href="${preferencesUrl}" style="color: #666;">Manage email preferences</a> ·
+        <a href="${unsubscribeUrl}" style="color: #666;">Unsubscribe from these emails</a>
+      </p>`,
+  };
+}
+
+// Build the "New Artwork Added" email for one subscriber. A batch upload sends
+// one email listing every new piece.
+function buildNewArtworkEmail(subscriber, items, baseUrl) {
+  // Determine if it's an image or video for the notification
+  const isVideo = (items[0].fileType || "").startsWith("video/");
+  const artworkType = isVideo ? "video artwork" : "artwork";
+  const added =
+    items.length === 1 ? `a new ${artworkType}` : `${items.length} new pieces`;
+  const addedHtml =
+    items.length === 1
+      ? `a new <strong>${artworkType}</strong>`
+      : `<strong>${added}</strong>`;
+  const list =
+    items.length === 1
+      ? { text: "", html: "" }
+      : buildEmailItemList(items, baseUrl);
+  const footer = buildSubscriberEmailFooter(subscriber, baseUrl);
+
+  return {
+    to: subscriber.email,
+    subject: "🎨 New Artwork Added to Alex Martínez Portfolio!",
+    text: `Hi ${subscriber.name}!\n\nI've just added ${added} to my portfolio. Check it out and see what I've been working on lately!\n\n${list.text ? list.text + "\n\n" : ""}View the latest work: ${baseUrl}\n\nBest regards,\nAlex Martínez\n\n${footer.text}`,
+    html: `
+      <h2>🎨 New Artwork Added!</h2>
+      <p>Hi ${escapeHtml(subscriber.name)}!</p>
+      <p>I've just added ${addedHtml} to my portfolio. Check it out and see what I've been working on lately!</p>
+      ${list.html}
+      <p style="text-align: center; margin: 30px 0;">
+        <a href="${baseUrl}" 
+           style="background: #007bff; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block;">
+          View Latest Work
+        </a>
+      </p>
+      <p>Thank you for following my artistic journey!</p>
+      <p>Best regards,<br>Alex Martínez</p>
+      ${footer.html}
+    `,
+  };
+}
+
+// Queue the new-artwork email about `items` for every confirmed subscriber; the
+// mail worker delivers them in the background
+async function queueNewArtworkNotifications(items, baseUrl) {
+  // Skip email notifications if database is unavailable
+  if (!pool) {
+    console.warn(
+      "Database unavailable - skipping email notifications for new portfolio item",
+    );
+    return 0;
+  }
+
+  // Digest subscribers hear about this item in their next daily/weekly email
+  const subscribers = await pool.query(
+    `SELECT name, email, unsubscribe_token FROM subscribers
+     WHERE is_active = true AND confirmed_at IS NOT NULL AND notify_artwork = true AND frequency = 'instant'`,
+  );
+  if (subscribers.rows.length === 0) {
+    return 0;
+  }
+
+  const queued = await mailQueue.enqueue(
+    subscribers.rows.map((subscriber) => ({
+      batch: `portfolio-${items[0].id}`,
+      ...buildNewArtworkEmail(subscriber, items, baseUrl),
+    })),
+  );
+  console.log(`Portfolio notification queued for ${queued} subscribers`);
+  return queued;
+}
+
+// Thumbnail grid (HTML) and link list (text) of portfolio items for emails
+function buildEmailItemList(items, baseUrl) {
+  const cells = items
+    .map((item) => {
+      const isVideo = (item.fileType || "").startsWith("video/");
+      const thumbnail =
+        isVideo && !item.poster
+          ? `<a href="${baseUrl}${item.url}" style="display: block; width: 180px; padding: 60px 0; background: #111; color: white; text-align: center; text-decoration: none;">▶ Video</a>`
+          : `<a href="${baseUrl}${item.url}"><img src="${baseUrl}${thumbnailUrl(item)}" alt="" width="180" style="display: block; border-radius: 6px;"></a>`;
+      return `
+        <td style="padding: 8px; vertical-align: top; width: 180px;">
+          ${thumbnail}
+          <p style="font-size: 13px; color: #444; margin: 6px 0 0;">${item.title ? `<strong>${item.title}</strong><br>` : ""}${item.caption || ""}</p>
+        </td>`;
+    })
+    .join("");
+
+  return {
+    html: items.length
+      ? `<table role="presentation" style="border-collapse: collapse;"><tr>${cells}</tr></table>`
+      : "",
+    text: items
+      .map(
+        (item) =>
+          `- ${item.title || item.caption || "Untitled"}: ${baseUrl}${item.url}`,
+      )
+      .join("\n"),
+  };
+}
+
+const NOTIFICATION_FREQUENCIES = ["instant", "daily", "weekly"];
+const DIGEST_PERIODS = {
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000,
+};
+const DIGEST_CHECK_INTERVAL_MS = 15 * 60 * 1000;
+
+// Build the digest email listing everything added since the subscriber's last one
+function buildDigestEmail(subscriber, items, baseUrl) {
+  const period = subscriber.frequency === "weekly" ? "this week" : "today";
+  const footer = buildSubscriberEmailFooter(subscriber, baseUrl);
+  const count = `${items.length} new piece${items.length === 1 ? "" : "s"}`;
+
+  const list = buildEmailItemList(items, baseUrl);
+
+  return {
+    to: subscriber.email,
+    subject: `🎨 ${count} from Alex Martínez ${period}`,
+    text: `Hi ${subscriber.name}!\n\nHere's what I added to my portfolio ${period}:\n\n${list.text}\n\nView the portfolio: ${baseUrl}\n\nBest regards,\nAlex Martínez\n\n${footer.text}`,
+    html: `
+      <h2>🎨 ${count} ${period}</h2>
+      <p>Hi ${escapeHtml(subscriber.name)}!</p>
+      <p>Here's what I added to my portfolio ${period}:</p>
+      ${list.html}
+      <p style="text-align: center; margin: 30px 0;">
+        <a href="${baseUrl}"
+           style="background: #007bff; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block;">
+          View the Portfolio
+        </a>
+      </p>
+      <p>Best regards,<br>Alex Martínez</p>
+      ${footer.html}
+    `,
+  };
+}
+
+// Queue one digest per daily/weekly subscriber whose period has elapsed,
+// covering portfolio items added since their last digest (or confirmation)
+async function queueDueDigests(now = new Date()) {
+  if (!pool) return 0;
+
+  const subscribers = await pool.query(
+    `SELECT id, name, email, unsubscribe_token, frequency, confirmed_at, last_digest_at
+     FROM subscribers
+     WHERE is_active = true AND confirmed_at IS NOT NULL AND notify_artwork = true
+       AND frequency <> 'instant'`,
+  );
+  const due = subscribers.rows
+    .map((subscriber) => ({
+      subscriber,
+      // A resubscribe moves confirmed_at forward, so don't catch up on the gap
+      since: new Date(
+        Math.max(
+          new Date(subscriber.confirmed_at).getTime(),
+          subscriber.last_digest_at
+            ? new Date(subscriber.last_digest_at).getTime()
+            : 0,
+        ),
+      ),
+    }))
+    .filter(
+      ({ subscriber, since }) =>
+        now - since >= DIGEST_PERIODS[subscriber.frequency],
+    );
+  if (due.length === 0) return 0;
+
+  const items = (await listPortfolioItems()).filter(
+    (item) =>
+      isPublished(item) &&
+      publishedTime(item) &&
+      new Date(publishedTime(item)) <= now,
+  );
+  const baseUrl = publicBaseUrl();
+  const batch = `digest-${now.toISOString().slice(0, 10)}`;
+
+  let queued = 0;
+  for (const { subscriber, since } of due) {
+    const newItems = items
+      .filter((item) => new Date(publishedTime(item)) > since)
+      .sort((a, b) => new Date(publishedTime(a)) - new Date(publishedTime(b)));
+    // An empty period still advances last_digest_at; there's just nothing to send
+    if (newItems.length > 0) {
+      queued += await mailQueue.enqueue([
+        { batch, ...buildDigestEmail(subscriber, newItems, baseUrl) },
+      ]);
+    }
+    await pool.query(
+      "UPDATE subscribers SET last_digest_at = $2 WHERE id = $1",
+      [subscriber.id, now],
+    );
+  }
+  if (queued > 0) {
+    console.log(`Queued ${queued} portfolio digest emails`);
+  }
+  return queued;
+}
+
+function startDigestScheduler() {
+  let busy = false;
+  const tick = async () => {
+    if (busy) return;
+    busy = true;
+    try {
+      await queueDueDigests();
+    } catch (error) {
+      console.error("Digest scheduler error:", error);
+    } finally {
+      busy = false;
+    }
+  };
+  setInterval(tick, DIGEST_CHECK_INTERVAL_MS);
+  tick();
+}
+
+// Save a verified upload in uploads/portfolio/ as a portfolio item, with its
+// image renditions or video poster. Uploads are drafts unless published
+// straight away.
+async function createPortfolioItem(file, { status = "draft" } = {}) {
+  let images = {};
+  if (canCreateRenditions(file.mimetype)) {
+    try {
+      images = await createRenditions(file.path);
+    } catch (renditionError) {
+      // The original still works on its own, so keep the upload
+      console.error("Failed to create image renditions:", renditionError);
+    }
+  } else if (isVideoType(file.mimetype)) {
+    images = await processVideo(file.path, file.mimetype);
+  }
+
+  const newItem = await portfolioRepository.insert({
+    id: Date.now(),
+    url: `/uploads/portfolio/${file.filename}`,
+    uploadedAt: new Date().toISOString(),
+    fileType: file.mimetype,
+    caption: "",
+    title: "",
+    year: null,
+    medium: "",
+    dimensions: "",
+    tags: [],
+    alt: "",
+    position: null,
+    featured: false,
+    status,
+    publishAt: null,
+    publishedAt: status === "published" ? new Date().toISOString() : null,
+    notifiedAt: null,
+    shareToken: null,
+    ...images,
+  });
+
+  if (newItem.transcodeStatus === "pending") {
+    queueTranscode(newItem);
+  }
+  return newItem;
+}
+
+// ---- PUBLISHING ---- //
+// Only published items are listed publicly. An unlisted item opens for anyone
+// with its share link (/?work=<shareToken>), and a scheduled one is published
+// by the publish scheduler once `publishAt` has passed.
+const PORTFOLIO_STATUSES = ["draft", "scheduled", "published", "unlisted"];
+const UPLOAD_STATUSES = ["draft", "published"];
+const PUBLISH_CHECK_INTERVAL_MS = 60 * 1000;
+
+// Items saved before statuses existed are published
+function itemStatus(item) {
+  return item.status || "published";
+}
+
+function isPublished(item) {
+  return itemStatus(item) === "published";
+}
+
+function publishedTime(item) {
+  return item.publishedAt || item.uploadedAt;
+}
+
+// Email subscribers about published items they haven't heard about yet, so an
+// item is announced once, when it is first published
+async function notifyNewPortfolioItems(items, baseUrl) {
+  const fresh = items.filter((item) => isPublished(item) && !item.notifiedAt);
+  if (fresh.length === 0) return 0;
+  try {
+    const queued = await queueNewArtworkNotifications(fresh, baseUrl);
+    const notifiedAt = new Date().toISOString();
+    for (const item of fresh) {
+      await portfolioRepository.update(item.id, { notifiedAt });
+    }
+    return queued;
+  } catch (notificationError) {
+    console.error(
+      "Failed to queue portfolio notifications:",
+      notificationError,
+    );
+    // Don't fail the upload if notification fails
+    return 0;
+  }
+}
+
+// Publish scheduled items whose time has come; items due together go out
+// in one notification
+async function publishDueItems(now = new Date()) {
+  const due = (await listPortfolioItems()).filter(
+    (item) =>
+      itemStatus(item) === "scheduled" &&
+      item.publishAt &&
+      new Date(item.publishAt) <= now,
+  );
+  if (due.length === 0) return 0;
+
+  const published = [];
+  for (const item of due) {
+    const updated = await portfolioRepository.update(item.id, {
+      status: "published",
+      publishedAt: now.toISOString(),
+    });
+    if (updated) published.push(updated);
+  }
+  console.log(`Published ${published.length} scheduled portfolio items`);
+  await notifyNewPortfolioItems(published, publicBaseUrl());
+  return published.length;
+}
+
+function startPublishScheduler() {
+  let busy = false;
+  const tick = async () => {
+    if (busy) return;
+    busy = true;
+    try {
+      await publishDueItems();
+    } catch (error) {
+      console.error("Publish scheduler error:", error);
+    } finally {
+      busy = false;
+    }
+  };
+  setInterval(tick, PUBLISH_CHECK_INTERVAL_MS);
+  tick();
+}
+
+app.post(
+  "/upload/portfolio",
+  auth,
+  upload.single("file"),
+  verifyUploads,
+  async (req, res) => {
+    try {
+      if (!req.file) {
+        return res.status(400).json({ error: "No file uploaded" });
+      }
+
+      const status = UPLOAD_STATUSES.includes(req.body.status)
+        ? req.body.status
+        : "draft";
+      const newItem = await createPortfolioItem(req.file, { status });
+      await notifyNewPortfolioItems([newItem], buildBaseUrl(req));
+
+      res.json(newItem);
+    } catch (error) {
+      console.error("Portfolio upload error:", error);
+      res.status(500).json({ error: "Failed to upload portfolio item" });
+    }
+  },
+);
+
+// Resumable uploads: large files (mostly video) are sent in chunks, so a
+// dropped connection only costs the chunk in flight.
+//   POST   /upload/portfolio/sessions              { filename, size, mimetype, checksum?, batchId? }
+//   GET    /upload/portfolio/sessions/:id          -> `received` is the offset to resume from
+//   PUT    /upload/portfolio/sessions/:id          application/octet-stream chunk at the
+//                                                  Upload-Offset header, with
+//                                                  Upload-Checksum: sha256 <hex>
+//   POST   /upload/portfolio/sessions/:id/complete checks the SHA-256 of the whole file
+//                                                  if one was given, and creates the
+//                                                  portfolio item
+//   DELETE /upload/portfolio/sessions/:id          abandons the upload
+//   POST   /upload/portfolio/batches/:batchId/notify
+// A browser can only hash a file by reading all of it into memory, so the
+// whole-file checksum is optional; sessions started without one must send
+// Upload-Checksum with every chunk instead.
+// Completing a session without a batchId notifies subscribers right away.
+// Sessions that share a batchId wait for the batch's notify call, which sends
+// one email covering every item completed in it. If that call never comes, the
+// batch's items are announced when its sessions expire instead of never.
+// Parts are plain files on this server's disk, so sessions are always kept in
+// a JSON file next to them rather than in Postgres.
+const UPLOAD_CHUNK_SIZE = 5 * 1024 * 1024; // 5 MB
+const RESUMABLE_MAX_FILE_SIZE = 1024 * 1024 * 1024; // 1 GB
+const UPLOAD_SESSION_TTL_MS = 24 * 60 * 60 * 1000;
+const uploadPartsDir = path.join(dataDir, "upload-parts");
+fs.mkdirSync(uploadPartsDir, { recursive: true });
+const uploadSessionRepository = createFileRepository(
+  path.join(dataDir, "upload-sessions.json"),
+);
+
+function uploadPartPath(session) {
+  return path.join(uploadPartsDir, `${session.id}.part`);
+}
+
+async function receivedBytes(session) {
+  try {
+    return (await fs.promises.stat(uploadPartPath(session))).size;
+  } catch (error) {
+    if (error.code === "ENOENT") return 0;
+    throw error;
+  }
+}
+
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash("sha256");
+    fs.createReadStream(filePath)
+      .on("error", reject)
+      .on("data", (chunk) => hash.update(chunk))
+      .on("end", () => resolve(hash.digest("hex")));
+  });
+}
+
+async function formatUploadSession(session) {
+  return {
+    id: session.id,
+    filename: session.filename,
+    size: session.size,
+    mimetype: session.mimetype,
+    batchId: session.batchId,
+    chunkSize: UPLOAD_CHUNK_SIZE,
+    received: await receivedBytes(session),
+    itemId: session.itemId || null,
+  };
+}
+
+async function removeUploadSession(session) {
+  await uploadSessionRepository.remove(session.id);
+  await fs.promises.rm(uploadPartPath(session), { force: true });
+}
+
+async function findUploadSession(req, res) {
+  const session = await uploadSessionRepository.get(req.params.id);
+  if (!session) {
+    res.status(404).json({ error: "Upload session not found" });
+  }
+  return session;
+}
+
+// Close the given completed sessions of one batch and announce their items
+// in a single email
+async function announceUploadBatch(sessions, baseUrl) {
+  const items = (
+    await Promise.all(
+      sessions.map((session) => portfolioRepository.get(session.itemId)),
+    )
+  ).filter((item) => item && !item.deletedAt);
+  for (const session of sessions) {
+    await removeUploadSession(session);
+  }
+  const queued = items.length
+    ? await notifyNewPortfolioItems(items, baseUrl)
+    : 0;
+  return { items: items.length, queued };
+}
+
+async function purgeStaleUploadSessions(now = Date.now()) {
+  const stale = (await uploadSessionRepository.list()).filter(
+    (session) =>
+      now - new Date(session.updatedAt).getTime() > UPLOAD_SESSION_TTL_MS,
+  );
+  const batches = new Map();
+  for (const session of stale) {
+    if (session.batchId && session.itemId) {
+      if (!batches.has(session.batchId)) batches.set(session.batchId, []);
+      batches.get(session.batchId).push(session);
+    } else {
+      await removeUploadSession(session);
+    }
+  }
+  // Completed items whose batch was never closed still get their email
+  for (const [batchId, sessions] of batches) {
+    const { queued } = await announceUploadBatch(sessions, publicBaseUrl());
+    console.log(
+      `Upload batch ${batchId} expired without a notify call; queued ${queued} emails`,
+    );
+  }
+}
+
+function startUploadSessionCleanup() {
+  const tick = () =>
+    purgeStaleUploadSessions().catch((error) => {
+      console.error("Upload session cleanup failed:", error);
+    });
+  setInterval(tick, 60 * 60 * 1000);
+  tick();
+}
+
+app.post(
+  "/upload/portfolio/sessions",
+  auth,
+  [
+    body("filename")
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 255 })
+      .withMessage("Filename is required"),
+    body("size")
+      .isInt({ min: 1, max: RESUMABLE_MAX_FILE_SIZE })
+      .withMessage("File too large. Maximum size is 1GB.")
+      .toInt(),
+    body("mimetype")
+      .isIn(allowedTypes)
+      .withMessage("Invalid file type. Only images and videos are allowed."),
+    body("checksum")
+      .optional()
+      .matches(/^[a-f0-9]{64}$/i)
+      .withMessage("Checksum must be a SHA-256 hex digest"),
+    body("batchId")
+      .optional()
+      .matches(/^[A-Za-z0-9_-]{8,64}$/)
+      .withMessage("Invalid batch id"),
+    body("status")
+      .optional()
+      .isIn(UPLOAD_STATUSES)
+      .withMessage("Uploads can be saved as draft or published"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ error: errors.array()[0].msg });
+      }
+
+      const now = new Date().toISOString();
+      const session = await uploadSessionRepository.insert({
+        id: crypto.randomBytes(16).toString("hex"),
+        filename: req.body.filename,
+        size: req.body.size,
+        mimetype: req.body.mimetype,
+        checksum: req.body.checksum ? req.body.checksum.toLowerCase() : null,
+        batchId: req.body.batchId || null,
+        status: req.body.status || "draft",
+        createdAt: now,
+        updatedAt: now,
+      });
+      res.status(201).json(await formatUploadSession(session));
+    } catch (error) {
+      console.error("Upload session create error:", error);
+      res.status(500).json({ error: "Failed to start upload" });
+    }
+  },
+);
+
+app.get("/upload/portfolio/sessions/:id", auth, async (req, res) => {
+  try {
+    const session = await findUploadSession(req, res);
+    if (!session) return;
+    res.json(await formatUploadSession(session));
+  } catch (error) {
+    console.error("Upload session error:", error);
+    res.status(500).json({ error: "Failed to load upload" });
+  }
+});
+
+app.put(
+  "/upload/portfolio/sessions/:id",
+  auth,
+  express.raw({ type: "application/octet-stream", limit: UPLOAD_CHUNK_SIZE }),
+  async (req, res) => {
+    try {
+      const session = await findUploadSession(req, res);
+      if (!session) return;
+      if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return res
+          .status(400)
+          .json({ error: "Send the chunk as application/octet-stream" });
+      }
+
+      const checksum = /^sha256 ([a-f0-9]{64})$/i.exec(
+        req.get("Upload-Checksum") || "",
+      );
+      if (!checksum && !session.checksum) {
+        return res
+          .status(400)
+          .json({ error: "Upload-Checksum header is required" });
+      }
+      if (
+        checksum &&
+        crypto.createHash("sha256").update(req.body).digest("hex") !==
+          checksum[1].toLowerCase()
+      ) {
+        return res.status(400).json({ error: "Chunk checksum mismatch" });
+      }
+
+      const offset = parseInt(req.get("Upload-Offset"), 10);
+      // Chunks for one session are appended one at a time, so a retried chunk
+      // can't land twice
+      const result = await withFileLock(uploadPartPath(session), async () => {
+        const received = await receivedBytes(session);
+        if (offset !== received) {
+          return {
+            status: 409,
+            body: { error: "Offset does not match the upload", received },
+          };
+        }
+        if (received + req.body.length > session.size) {
+          return {
+            status: 400,
+            body: { error: "Chunk runs past the end of the file", received },
+          };
+        }
+        await fs.promises.appendFile(uploadPartPath(session), req.body);
+        return { status: 200, body: { received: received + req.body.length } };
+      });
+
+      if (result.status === 200) {
+        await uploadSessionRepository.update(session.id, {
+          updatedAt: new Date().toISOString(),
+        });
+      }
+      res.status(result.status).json(result.body);
+    } catch (error) {
+      console.error("Upload chunk error:", error);
+      res.status(500).json({ error: "Failed to store chunk" });
+    }
+  },
+);
+
+app.post("/upload/portfolio/sessions/:id/complete", auth, async (req, res) => {
+  try {
+    const session = await findUploadSession(req, res);
+    if (!session) return;
+
+    const result = await withFileLock(uploadPartPath(session), async () => {
+      // A retried complete after a dropped response gets the same item back
+      const current = await uploadSessionRepository.get(session.id);
+      if (!current) {
+        return { status: 404, body: { error: "Upload session not found" } };
+      }
+      if (current.itemId) {
+        return { item: await portfolioRepository.get(current.itemId) };
+      }
+
+      const received = await receivedBytes(session);
+      if (received !== session.size) {
+        return {
+          status: 400,
+          body: { error: "Upload is incomplete", received },
+        };
+      }
+      if (
+        session.checksum &&
+        (await hashFile(uploadPartPath(session))) !== session.checksum
+      ) {
+        await removeUploadSession(session);
+        return {
+          status: 400,
+          body: { error: "Checksum mismatch. Please upload the file again." },
+        };
+      }
+
+      const filename = Date.now() + "-" + Math.round(Math.random() * 1e9);
+      const file = {
+        originalname: session.filename,
+        filename,
+        path: path.join(__dirname, "uploads", "portfolio", filename),
+        mimetype: session.mimetype,
+      };
+      await fs.promises.rename(uploadPartPath(session), file.path);
+      const error = await verifyUploadedFile(file);
+      if (error) {
+        removeUploadedFiles([file]);
+        await removeUploadSession(session);
+        return { status: 400, body: { error } };
+      }
+
+      const item = await createPortfolioItem(file, { status: session.status });
+      if (session.batchId) {
+        await uploadSessionRepository.update(session.id, {
+          itemId: item.id,
+          updatedAt: new Date().toISOString(),
+        });
+      } else {
+        await removeUploadSession(session);
+        await notifyNewPortfolioItems([item], buildBaseUrl(req));
+      }
+      return { item };
+    });
+
+    if (result.body) {
+      return res.status(result.status).json(result.body);
+    }
+    res.json(result.item);
+  } catch (error) {
+    console.error("Upload complete error:", error);
+    res.status(500).json({ error: "Failed to upload portfolio item" });
+  }
+});
+
+app.delete("/upload/portfolio/sessions/:id", auth, async (req, res) => {
+  try {
+    const session = await findUploadSession(req, res);
+    if (!session) return;
+    if (session.itemId) {
+      return res
+        .status(409)
+        .json({ error: "Upload already completed; delete the item instead" });
+    }
+    await removeUploadSession(session);
+    res.json({ success: true });
+  } catch (error) {
+    console.error("Upload session delete error:", error);
+    res.status(500).json({ error: "Failed to cancel upload" });
+  }
+});
+
+app.post(
+  "/upload/portfolio/batches/:batchId/notify",
+  auth,
+  async (req, res) => {
+    try {
+      const sessions = (await uploadSessionRepository.list()).filter(
+        (session) => session.batchId === req.params.batchId && session.itemId,
+      );
+      const { items, queued } = await announceUploadBatch(
+        sessions,
+        buildBaseUrl(req),
+      );
+      res.json({ success: true, items, queued });
+    } catch (error) {
+      console.error("Upload batch notify error:", error);
+      res.status(500).json({ error: "Failed to notify subscribers" });
+    }
+  },
+);
+
+// Gallery order: featured items first, then the artist's manual order. Items
+// that were never placed (uploads since the last reorder) follow in upload order.
+function sortPortfolio(items) {
+  const rank = (item) =>
+    item.position === null || item.position === undefined
+      ? Number.MAX_SAFE_INTEGER
+      : item.position;
+  return [...items].sort(
+    (a, b) => Number(!!b.featured) - Number(!!a.featured) || rank(a) - rank(b),
+  );
+}
+
+// ?collection=<slug> lists that collection's items in its order; ?tag= keeps
+// items with that tag and ?featured=true only featured ones. They can be
+// combined. ?work=<shareToken> returns just the item behind a share link.
+// Visitors see published items only; admins see every status.
+app.get("/portfolio-images", async (req, res) => {
+  try {
+    let items = sortPortfolio(await listPortfolioItems());
+
+    if (req.query.work) {
+      const item = items.find(
+        (entry) =>
+          entry.shareToken &&
+          entry.shareToken === String(req.query.work) &&
+          ["published", "unlisted"].includes(itemStatus(entry)),
+      );
+      if (!item) {
+        return res.status(404).json({ error: "Portfolio item not found" });
+      }
+      return res.json([item]);
+    }
+    if (!(await isAdminRequest(req))) {
+      items = items.filter(isPublished);
+    }
+
+    if (req.query.collection) {
+      const collection = (await collectionRepository.list()).find(
+        (c) => c.slug === String(req.query.collection),
+      );
+      if (!collection) {
+        return res.status(404).json({ error: "Collection not found" });
+      }
+      const itemsById = new Map(items.map((item) => [item.id, item]));
+      items = collection.itemIds.map((id) => itemsById.get(id)).filter(Boolean);
+    }
+    if (req.query.tag) {
+      const [tag] = normalizeTags([String(req.query.tag)]);
+      items = items.filter((item) => (item.tags || []).includes(tag));
+    }
+    if (req.query.featured === "true") {
+      items = items.filter((item) => item.featured);
+    }
+
+    res.json(items);
+  } catch (error) {
+    console.error("Portfolio images error:", error);
+    res.status(500).json({ error: "Failed to load portfolio images" });
+  }
+});
+
+// Editable portfolio item details and their maximum lengths
+const PORTFOLIO_TEXT_FIELDS = {
+  title: { label: "Title", max: 200 },
+  caption: { label: "Caption", max: 500 },
+  medium: { label: "Medium", max: 200 },
+  dimensions: { label: "Dimensions", max: 100 },
+  alt: { label: "Alt text", max: 300 },
+};
+const MAX_PORTFOLIO_TAGS = 20;
+
+// Tags are matched case-insensitively, so they are stored lowercased and once each
+function normalizeTags(tags) {
+  return [
+    ...new Set(tags.map((tag) => sanitizeText(tag).toLowerCase())),
+  ].filter(Boolean);
+}
+
+// Update any of a portfolio item's details; fields left out are unchanged
+app.patch(
+  "/portfolio/:id",
+  auth,
+  [
+    ...Object.entries(PORTFOLIO_TEXT_FIELDS).map(([field, { label, max }]) => {
+      const message = `${label} must be a string with maximum ${max} characters`;
+      return body(field)
+        .optional()
+        .isString()
+        .withMessage(message)
+        .isLength({ max })
+        .withMessage(message);
+    }),
+    // An empty year clears it
+    body("year")
+      .optional({ values: "falsy" })
+      .isInt({ min: 1000, max: new Date().getFullYear() + 1 })
+      .withMessage("Year must be a valid year")
+      .toInt(),
+    body("tags")
+      .optional()
+      .isArray({ max: MAX_PORTFOLIO_TAGS })
+      .withMessage(`Tags must be a list of up to ${MAX_PORTFOLIO_TAGS} tags`),
+    body("tags.*")
+      .isString()
+      .withMessage("Each tag must be a string with maximum 40 characters")
+      .isLength({ max: 40 })
+      .withMessage("Each tag must be a string with maximum 40 characters"),
+    body("collectionIds")
+      .optional()
+      .isArray()
+      .withMessage("Collections must be a list"),
+    body("collectionIds.*").isInt().withMessage("Unknown collection").toInt(),
+    body("featured")
+      .optional()
+      .isBoolean()
+      .withMessage("Featured must be true or false")
+      .toBoolean(true),
+    body("status")
+      .optional()
+      .isIn(PORTFOLIO_STATUSES)
+      .withMessage("Status must be draft, scheduled, published or unlisted"),
+    body("publishAt")
+      .optional()
+      .isISO8601()
+      .withMessage("Publish time must be a date and time"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ error: errors.array()[0].msg });
+      }
+
+      // Sanitize text to prevent XSS
+      const changes = {};
+      Object.keys(PORTFOLIO_TEXT_FIELDS).forEach((field) => {
+        if (req.body[field] !== undefined) {
+          changes[field] = sanitizeText(req.body[field]);
+        }
+      });
+      if (req.body.year !== undefined) {
+        changes.year = req.body.year || null;
+      }
+      if (req.body.tags !== undefined) {
+        changes.tags = normalizeTags(req.body.tags);
+      }
+      if (req.body.featured !== undefined) {
+        changes.featured = req.body.featured;
+      }
+
+      const current = await portfolioRepository.get(parseInt(req.params.id));
+      if (!current || current.deletedAt) {
+        return res.status(404).json({ error: "Portfolio item not found" });
+      }
+      const status = req.body.status || itemStatus(current);
+      if (req.body.status !== undefined) {
+        changes.status = status;
+      }
+      if (status === "scheduled" && (req.body.status || req.body.publishAt)) {
+        const publishAt = req.body.publishAt || current.publishAt;
+        if (!publishAt || new Date(publishAt) <= new Date()) {
+          return res
+            .status(400)
+            .json({ error: "Choose a publish time in the future" });
+        }
+        changes.publishAt = new Date(publishAt).toISOString();
+      }
+      if (status === "published" && !current.publishedAt) {
+        changes.publishedAt = new Date().toISOString();
+      }
+      if (status === "unlisted" && !current.shareToken) {
+        changes.shareToken = crypto.randomBytes(16).toString("hex");
+      }
+
+      const updated = await portfolioRepository.update(current.id, changes);
+      if (!updated) {
+        return res.status(404).json({ error: "Portfolio item not found" });
+      }
+      if (isPublished(updated) && !isPublished(current)) {
+        await notifyNewPortfolioItems([updated], buildBaseUrl(req));
+      }
+      if (req.body.collectionIds !== undefined) {
+        await setItemCollections(updated.id, req.body.collectionIds);
+      }
+
+      res.json(updated);
+    } catch (error) {
+      console.error("Portfolio update error:", error);
+      res.status(500).json({ error: "Failed to update portfolio item" });
+    }
+  },
+);
+
+// Saves the gallery order. `ids` must list every portfolio item exactly once,
+// so an order made from a stale page can't drop or duplicate positions.
+app.put(
+  "/portfolio/order",
+  auth,
+  [
+    body("ids").isArray().withMessage("ids must be a list of portfolio items"),
+    body("ids.*").isInt().withMessage("Unknown portfolio item").toInt(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ error: errors.array()[0].msg });
+      }
+
+      const { ids } = req.body;
+      const current = new Set(
+        (await listPortfolioItems()).map((item) => item.id),
+      );
+      if (
+        new Set(ids).size !== ids.length ||
+        ids.length !== current.size ||
+        ids.some((id) => !current.has(id))
+      ) {
+        return res.status(409).json({
+          error: "The portfolio has changed. Reload the page and try again.",
+        });
+      }
+
+      const saved = await portfolioRepository.updateMany(
+        ids.map((id, position) => [id, { position }]),
+      );
+      if (!saved) {
+        return res.status(409).json({
+          error: "The portfolio has changed. Reload the page and try again.",
+        });
+      }
+      res.json(sortPortfolio(await listPortfolioItems()));
+    } catch (error) {
+      console.error("Portfolio reorder error:", error);
+      res.status(500).json({ error: "Failed to save the order" });
+    }
+  },
+);
+
+// Moves the item to the trash; its files stay until it is purged
+app.delete("/portfolio/:id", auth, async (req, res) => {
+  try {
+    const item = await portfolioRepository.get(parseInt(req.params.id));
+    if (item && !item.deletedAt) {
+      await portfolioRepository.update(item.id, {
+        deletedAt: new Date().toISOString(),
+      });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error("Portfolio delete error:", error);
+    res.status(500).json({ error: "Failed to delete portfolio item" });
+  }
+});
+
+// ---- PORTFOLIO TRASH ---- //
+// Deleted items keep their files and details (including collection
+// membership) for TRASH_RETENTION_DAYS, so they can be restored. After that
+// they are purged for good.
+const TRASH_RETENTION_DAYS =
+  parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30;
+const TRASH_RETENTION_MS = TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+
+function trashPurgeTime(item) {
+  return new Date(
+    new Date(item.deletedAt).getTime() + TRASH_RETENTION_MS,
+  ).toISOString();
+}
+
+// Removes an item along with its media files
+async function purgePortfolioItem(item) {
+  const filePath = path.join(
+    __dirname,
+    "uploads",
+    item.url.replace("/uploads/", ""),
+  );
+  if (fs.existsSync(filePath)) {
+    fs.unlinkSync(filePath);
+  }
+  removeRenditions(item);
+  removeVideoFiles(item);
+  await setItemCollections(item.id, []);
+  await portfolioRepository.remove(item.id);
+}
+
+async function purgeExpiredTrash(now = Date.now()) {
+  const expired = (await portfolioRepository.list()).filter(
+    (item) => item.deletedAt && now >= new Date(trashPurgeTime(item)).getTime(),
+  );
+  for (const item of expired) {
+    await purgePortfolioItem(item);
+  }
+  if (expired.length > 0) {
+    console.log(`Purged ${expired.length} portfolio items from the trash`);
+  }
+}
+
+function startTrashPurge() {
+  const tick = () =>
+    purgeExpiredTrash().catch((error) => {
+      console.error("Trash purge failed:", error);
+    });
+  setInterval(tick, 60 * 60 * 1000);
+  tick();
+}
+
+async function findTrashedItem(req, res) {
+  const item = await portfolioRepository.get(parseInt(req.params.id));
+  if (!item || !item.deletedAt) {
+    res.status(404).json({ error: "Item not found in the trash" });
+    return null;
+  }
+  return item;
+}
+
+// Most recently deleted first
+app.get("/portfolio/trash", auth, async (req, res) => {
+  try {
+    const items = (await portfolioRepository.list())
+      .filter((item) => item.deletedAt)
+      .sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt))
+      .map((item) => ({ ...item, purgeAt: trashPurgeTime(item) }));
+    res.json({ retentionDays: TRASH_RETENTION_DAYS, items });
+  } catch (error) {
+    console.error("Trash list error:", error);
+    res.status(500).json({ error: "Failed to load the trash" });
+  }
+});
+
+app.post("/portfolio/trash/:id/restore", auth, async (req, res) => {
+  try {
+    const item = await findTrashedItem(req, res);
+    if (!item) return;
+    res.json(await portfolioRepository.update(item.id, { deletedAt: null }));
+  } catch (error) {
+    console.error("Trash restore error:", error);
+    res.status(500).json({ error: "Failed to restore portfolio item" });
+  }
+});
+
+app.delete("/portfolio/trash/:id", auth, async (req, res) => {
+  try {
+    const item = await findTrashedItem(req, res);
+    if (!item) return;
+    await purgePortfolioItem(item);
+    res.json({ success: true });
+  } catch (error) {
+    console.error("Trash delete error:", error);
+    res.status(500).json({ error: "Failed to delete portfolio item" });
+  }
+});
+
+// ---- COLLECTIONS ---- //
+// Named series of portfolio items. A collection keeps its items in its own
+// order (itemIds) and an item can belong to several. The cover is one of the
+// collection's items, or its first item when none is picked. The slug is set
+// once from the name so shared /?collection=<slug> links keep working after a
+// rename.
+const collectionsFile = path.join(__dirname, "uploads", "collections.json");
+const collectionRepository = pool
+  ? createPostgresRepository(pool, {
+      table: "collections",
+      columns: {
+        id: "id",
+        name: "name",
+        slug: "slug",
+        description: "description",
+        coverItemId: "cover_item_id",
+        itemIds: "item_ids",
+        createdAt: "created_at",
+        updatedAt: "updated_at",
+      },
+      jsonColumns: ["itemIds"],
+    })
+  : createFileRepository(collectionsFile);
+
+function slugify(text) {
+  return (
+    text
+      .normalize("NFKD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "")
+      .slice(0, 60) || "collection"
+  );
+}
+
+function uniqueSlug(name, collections) {
+  const base = slugify(name);
+  const taken = new Set(collections.map((collection) => collection.slug));
+  let slug = base;
+  for (let n = 2; taken.has(slug); n++) {
+    slug = `${base}-${n}`;
+  }
+  return slug;
+}
+
+function formatCollection(collection, itemsById) {
+  const items = collection.itemIds
+    .map((id) => itemsById.get(id))
+    .filter(Boolean);
+  return {
+    id: collection.id,
+    name: collection.name,
+    slug: collection.slug,
+    description: collection.description,
+    coverItemId: collection.coverItemId,
+    itemIds: items.map((item) => item.id),
+    itemCount: items.length,
+    cover: itemsById.get(collection.coverItemId) || items[0] || null,
+  };
+}
+
+// Pass `publishedOnly` for visitors, so unpublished members are left out
+async function loadCollectionsWithItems({ publishedOnly = false } = {}) {
+  const [collections, allItems] = await Promise.all([
+    collectionRepository.list(),
+    listPortfolioItems(),
+  ]);
+  const items = publishedOnly ? allItems.filter(isPublished) : allItems;
+  return {
+    collections,
+    items,
+    itemsById: new Map(items.map((item) => [item.id, item])),
+  };
+}
+
+// Add or remove one item so it belongs to exactly `collectionIds`; new
+// members go to the end of the collection
+async function setItemCollections(itemId, collectionIds) {
+  const collections = await collectionRepository.list();
+  for (const collection of collections) {
+    const isMember = collection.itemIds.includes(itemId);
+    if (isMember === collectionIds.includes(collection.id)) continue;
+    await collectionRepository.update(collection.id, {
+      itemIds: isMember
+        ? collection.itemIds.filter((id) => id !== itemId)
+        : [...collection.itemIds, itemId],
+      coverItemId:
+        collection.coverItemId === itemId ? null : collection.coverItemId,
+      updatedAt: new Date().toISOString(),
+    });
+  }
+}
+
+// Validation rules shared by collection create (name required) and update
+function collectionValidationRules({ partial }) {
+  const name = partial ? body("name").optional() : body("name");
+  return [
+    name
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage("Name is required")
+      .isLength({ max: 100 })
+      .withMessage("Name must be at most 100 characters"),
+    body("description")
+      .optional()
+      .isString()
+      .isLength({ max: 1000 })
+      .withMessage("Description must be at most 1,000 characters"),
+    body("itemIds")
+      .optional()
+      .isArray({ max: 500 })
+      .withMessage("A collection can hold at most 500 items"),
+    body("itemIds.*").isInt().withMessage("Unknown portfolio item").toInt(),
+    body("coverItemId")
+      .optional({ values: "null" })
+      .isInt()
+      .withMessage("Unknown portfolio item")
+      .toInt(),
+  ];
+}
+
+// Checks and normalizes itemIds/coverItemId against the portfolio. Returns an
+// error message, or null with `fields` updated in place.
+function applyCollectionItems(fields, current, itemsById) {
+  if (fields.itemIds !== undefined) {
+    fields.itemIds = [...new Set(fields.itemIds)];
+    if (fields.itemIds.some((id) => !itemsById.has(id))) {
+      return "Unknown portfolio item";
+    }
+  }
+  const itemIds = fields.itemIds || (current ? current.itemIds : []);
+  const coverItemId =
+    fields.coverItemId !== undefined
+      ? fields.coverItemId
+      : current && current.coverItemId;
+  if (coverItemId && !itemIds.includes(coverItemId)) {
+    // The old cover was dropped along with its item
+    if (fields.coverItemId === undefined) {
+      fields.coverItemId = null;
+      return null;
+    }
+    return "The cover must be one of the collection's items";
+  }
+  return null;
+}
+
+app.get("/collections", async (req, res) => {
+  try {
+    const { collections, itemsById } = await loadCollectionsWithItems({
+      publishedOnly: !(await isAdminRequest(req)),
+    });
+    res.json(
+      collections.map((collection) => formatCollection(collection, itemsById)),
+    );
+  } catch (error) {
+    console.error("Collections error:", error);
+    res.status(500).json({ error: "Failed to load collections" });
+  }
+});
+
+app.get("/collections/:slug", async (req, res) => {
+  try {
+    const { collections, itemsById } = await loadCollectionsWithItems({
+      publishedOnly: !(await isAdminRequest(req)),
+    });
+    const collection = collections.find((c) => c.slug === req.params.slug);
+    if (!collection) {
+      return res.status(404).json({ error: "Collection not found" });
+    }
+    res.json({
+      ...formatCollection(collection, itemsById),
+      items: collection.itemIds.map((id) => itemsById.get(id)).filter(Boolean),
+    });
+  } catch (error) {
+    console.error("Collection error:", error);
+    res.status(500).json({ error: "Failed to load collection" });
+  }
+});
+
+// Every tag in use, most used first
+app.get("/portfolio-tags", async (req, res) => {
+  try {
+    const admin = await isAdminRequest(req);
+    const counts = new Map();
+    (await listPortfolioItems()).forEach((item) => {
+      if (!admin && !isPublished(item)) return;
+      (item.tags || []).forEach((tag) => {
+        counts.set(tag, (counts.get(tag) || 0) + 1);
+      });
+    });
+    res.json(
+      [...counts]
+        .map(([tag, count]) => ({ tag, count }))
+        .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag)),
+    );
+  } catch (error) {
+    console.error("Portfolio tags error:", error);
+    res.status(500).json({ error: "Failed to load tags" });
+  }
+});
+
+app.post(
+  "/collections",
+  auth,
+  collectionValidationRules({ partial: false }),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ error: errors.array()[0].msg });
+      }
+
+      const { collections, itemsById } = await loadCollectionsWithItems();
+      const fields = {
+        itemIds: req.body.itemIds || [],
+        coverItemId: req.body.coverItemId || null,
+      };
+      const itemsError = applyCollectionItems(fields, null, itemsById);
+      if (itemsError) {
+        return res.status(400).json({ error: itemsError });
+      }
+
+      const name = sanitizeText(req.body.name);
+      const now = new Date().toISOString();
+      const collection = await collectionRepository.insert({
+        id: Date.now(),
+        name,
+        slug: uniqueSlug(name, collections),
+        description: sanitizeText(req.body.description || ""),
+        ...fields,
+        createdAt: now,
+        updatedAt: now,
+      });
+      res.json(formatCollection(collection, itemsById));
+    } catch (error) {
+      console.error("Collection create error:", error);
+      res.status(500).json({ error: "Failed to create collection" });
+    }
+  },
+);
+
+app.patch(
+  "/collections/:id",
+  auth,
+  collectionValidationRules({ partial: true }),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ error: errors.array()[0].msg });
+      }
+
+      const id = parseInt(req.params.id);
+      const { collections, itemsById } = await loadCollectionsWithItems();
+      const current = collections.find((collection) => collection.id === id);
+      if (!current) {
+        return res.status(404).json({ error: "Collection not found" });
+      }
+
+      const fields = {
+        itemIds: req.body.itemIds,
+        coverItemId: req.body.coverItemId,
+      };
+      const itemsError = applyCollectionItems(fields, current, itemsById);
+      if (itemsError) {
+        return res.status(400).json({ error: itemsError });
+      }
+      if (req.body.name !== undefined) {
+        fields.name = sanitizeText(req.body.name);
+      }
+      if (req.body.description !== undefined) {
+        fields.description = sanitizeText(req.body.description);
+      }
+      // The file backend assigns every key, so leave out unchanged fields
+      Object.keys(fields).forEach((key) => {
+        if (fields[key] === undefined) delete fields[key];
+      });
+
+      const updated = await collectionRepository.update(id, {
+        ...fields,
+        updatedAt: new Date().toISOString(),
+      });
+      res.json(formatCollection(updated, itemsById));
+    } catch (error) {
+      console.error("Collection update error:", error);
+      res.status(500).json({ error: "Failed to update collection" });
+    }
+  },
+);
+
+// Deleting a collection leaves its items in the portfolio
+app.delete("/collections/:id", auth, async (req, res) => {
+  try {
+    const removed = await collectionRepository.remove(parseInt(req.params.id));
+    if (!removed) {
+      return res.status(404).json({ error: "Collection not found" });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error("Collection delete error:", error);
+    res.status(500).json({ error: "Failed to delete collection" });
+  }
+});
+
+// ---- TOOLS ---- //
+// The Tools + Tech page. Each tool has a logo (a file under public/ for the
+// original set, or an upload in uploads/tools/), an optional link and a
+// sortOrder within its category.
+const TOOL_CATEGORIES = ["studio", "ops", "hardware"];
+const toolsFile = path.join(__dirname, "uploads", "tools.json");
+const toolRepository = pool
+  ? createPostgresRepository(pool, {
+      table: "tools",
+      columns: {
+        id: "id",
+        name: "name",
+        category: "category",
+        logo: "logo",
+        url: "url",
+        sortOrder: "sort_order",
+        createdAt: "created_at",
+        updatedAt: "updated_at",
+      },
+    })
+  : createFileRepository(toolsFile);
+
+const DEFAULT_TOOLS = {
+  studio: [
+    ["Ableton Live", "/logos/Ableton.png", "https://www.ableton.com"],
+    ["Adobe Creative Cloud", "/logos/Adobe.jpeg", "https://www.adobe.com"],
+    ["Avid Pro Tools", "/logos/Avid.jpg", "https://www.avid.com/pro-tools"],
+    ["Blender", "/logos/Blender.png", "https://www.blender.org"],
+    ["ChatGPT", "/logos/Chat.png", "https://chatgpt.com"],
+    ["Cycling '74 Max", "/logos/Cycling.png", "https://cycling74.com"],
+    [
+      "DaVinci Resolve",
+      "/logos/Davinci.jpeg",
+      "https://www.blackmagicdesign.com/products/davinciresolve",
+    ],
+    [
+      "JavaScript",
+      "/logos/Javascript.png",
+      "https://developer.mozilla.org/docs/Web/JavaScript",
+    ],
+    ["Logic Pro", "/logos/Logic.jpeg", "https://www.apple.com/logic-pro/"],
+    [
+      "MediaPipe",
+      "/logos/Mediapipe.png",
+      "https://ai.google.dev/edge/mediapipe",
+    ],
+    ["p5.js", "/logos/P5.png", "https://p5js.org"],
+    ["Python", "/logos/Python.jpeg", "https://www.python.org"],
+    ["TouchOSC", "/logos/Touch_OSC.png", "https://hexler.net/touchosc"],
+    ["TouchDesigner", "/logos/TouchDesigner.png", "https://derivative.ca"],
+    ["Hex", "/logos/Hex.jpeg", "https://hex.tech"],
+    ["GIMP", "/logos/Gimp.jpeg", "https://www.gimp.org"],
+    ["Inkscape", "/logos/Inkscape.jpeg", "https://inkscape.org"],
+    [
+      "Visual Studio Code",
+      "/logos/VS_code.jpeg",
+      "https://code.visualstudio.com",
+    ],
+    ["Figma", "/logos/Figma.jpeg", "https://www.figma.com"],
+    ["Runway", "/logos/Runway.png", "https://runwayml.com"],
+    ["Midjourney", "/logos/Midjourney.png", "https://www.midjourney.com"],
+  ],
+  ops: [
+    ["Slack", "/logos_corp/Slack.png", "https://slack.com"],
+    [
+      "Jira",
+      "/logos_corp/Jira.jpeg",
+      "https://www.atlassian.com/software/jira",
+    ],
+    [
+      "Confluence",
+      "/logos_corp/Confluence.jpeg",
+      "https://www.atlassian.com/software/confluence",
+    ],
+    ["Asana", "/logos_corp/Asana.png", "https://asana.com"],
+    ["Notion", "/logos_corp/Notion.png", "https://www.notion.so"],
+    ["monday.com", "/logos_corp/Monday.jpeg", "https://monday.com"],
+    [
+      "Microsoft 365",
+      "/logos_corp/Office.png",
+      "https://www.microsoft.com/microsoft-365",
+    ],
+    ["Smartsheet", "/logos_corp/Smartsheet.png", "https://www.smartsheet.com"],
+    [
+      "Freshdesk",
+      "/logos_corp/Freshdesk.png",
+      "https://www.freshworks.com/freshdesk/",
+    ],
+    ["GitHub", "/logos/Github.png", "https://github.com"],
+    ["Zapier", "/logos_corp/Zapier.png", "https://zapier.com"],
+    ["n8n", "/logos_corp/n8n.png", "https://n8n.io"],
+    ["Make", "/logos_corp/Make.png", "https://www.make.com"],
+    [
+      "Google Workspace",
+      "/logos_corp/Google.png",
+      "https://workspace.google.com",
+    ],
+  ],
+  hardware: [
+    ["Arduino", "/logos_hardware/Arduino.png", "https://www.arduino.cc"],
+    ["M5Stack", "/logos_hardware/M5.png", "https://m5stack.com"],
+    [
+      "Raspberry Pi",
+      "/logos_hardware/Rasberry.png",
+      "https://www.raspberrypi.com",
+    ],
+  ],
+};
+
+// DEFAULT_TOOLS as records, with small fixed ids so seeding is idempotent
+function defaultToolRecords() {
+  let id = 0;
+  return TOOL_CATEGORIES.flatMap((category) =>
+    DEFAULT_TOOLS[category].map(([name, logo, url], index) => ({
+      id: ++id,
+      name,
+      category,
+      logo,
+      url,
+      sortOrder: index,
+    })),
+  );
+}
+
+// Postgres is seeded by its migration; the file backend on first run
+if (!pool && !fs.existsSync(toolsFile)) {
+  const now = new Date().toISOString();
+  writeJsonFile(
+    toolsFile,
+    defaultToolRecords().map((tool) => ({
+      ...tool,
+      createdAt: now,
+      updatedAt: now,
+    })),
+  );
+}
+
+function sortTools(tools) {
+  return [...tools].sort(
+    (a, b) =>
+      TOOL_CATEGORIES.indexOf(a.category) -
+        TOOL_CATEGORIES.indexOf(b.category) ||
+      a.sortOrder - b.sortOrder ||
+      a.name.localeCompare(b.name),
+  );
+}
+
+function removeToolLogo(logo) {
+  // Only uploaded logos; the original set ships with the site
+  if (!logo || !logo.startsWith("/uploads/tools/")) return;
+  const filePath = path.join(
+    __dirname,
+    "uploads",
+    logo.replace("/uploads/", ""),
+  );
+  if (fs.existsSync(filePath)) {
+    fs.unlinkSync(filePath);
+  }
+}
+
+function rejectNonImageLogo(req, res, next) {
+  if (req.file && !allowedImageTypes.includes(req.file.mimetype)) {
+    removeUploadedFiles([req.file]);
+    return res.status(400).json({ error: "The logo must be an image file" });
+  }
+  next();
+}
+
+function toolValidationRules({ partial }) {
+  const field = (name) => (partial ? body(name).optional() : body(name));
+  return [
+    field("name")
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage("Name must be 1-100 characters"),
+    field("category")
+      .isIn(TOOL_CATEGORIES)
+      .withMessage(`Category must be one of: ${TOOL_CATEGORIES.join(", ")}`),
+    body("url")
+      .optional({ values: "falsy" })
+      .isURL({ protocols: ["http", "https"], require_protocol: true })
+      .withMessage("Link must be a full http(s) URL"),
+    body("sortOrder")
+      .optional({ values: "falsy" })
+      .isInt({ min: 0, max: 10000 })
+      .withMessage("Sort order must be a whole number of 0 or more")
+      .toInt(),
+  ];
+}
+
+// Copy validated form fields onto a tool
+function applyToolFields(tool, fields) {
+  if (fields.name !== undefined) tool.name = sanitizeText(fields.name);
+  if (fields.category !== undefined) tool.category = fields.category;
+  if (fields.url !== undefined) tool.url = fields.url || "";
+  if (fields.sortOrder !== undefined) tool.sortOrder = fields.sortOrder || 0;
+  return tool;
+}
+
+app.get("/tools", async (req, res) => {
+  try {
+    res.json(sortTools(await toolRepository.list()));
+  } catch (error) {
+    console.error("Tools listing error:", error);
+    res.status(500).json({ error: "Failed to load tools" });
+  }
+});
+
+app.post(
+  "/upload/tools",
+  auth,
+  upload.single("logo"),
+  verifyUploads,
+  rejectNonImageLogo,
+  toolValidationRules({ partial: false }),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        if (req.file) removeUploadedFiles([req.file]);
+        return res.status(400).json({ error: errors.array()[0].msg });
+      }
+      if (!req.file) {
+        return res.status(400).json({ error: "A logo image is required" });
+      }
+
+      const now = new Date().toISOString();
+      const tool = await toolRepository.insert(
+        applyToolFields(
+          {
+            id: Date.now(),
+            logo: `/uploads/tools/${req.file.filename}`,
+            url: "",
+            sortOrder: 0,
+            createdAt: now,
+            updatedAt: now,
+          },
+          req.body,
+        ),
+      );
+      res.json(tool);
+    } catch (error) {
+      console.error("Tool create error:", error);
+      res.status(500).json({ error: "Failed to add tool" });
+    }
+  },
+);
+
+// A new logo file replaces the old one
+app.patch(
+  "/upload/tools/:id",
+  auth,
+  upload.single("logo"),
+  verifyUploads,
+  rejectNonImageLogo,
+  toolValidationRules({ partial: true }),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        if (req.file) removeUploadedFiles([req.file]);
+        return res.status(400).json({ error: errors.array()[0].msg });
+      }
+
+      const current = await toolRepository.get(parseInt(req.params.id));
+      if (!current) {
+        if (req.file) removeUploadedFiles([req.file]);
+        return res.status(404).json({ error: "Tool not found" });
+      }
+
+      const changes = applyToolFields({}, req.body);
+      if (req.file) {
+        changes.logo = `/uploads/tools/${req.file.filename}`;
+      }
+      const updated = await toolRepository.update(current.id, {
+        ...changes,
+        updatedAt: new Date().toISOString(),
+      });
+      if (req.file) {
+        removeToolLogo(current.logo);
+      }
+      res.json(updated);
+    } catch (error) {
+      console.error("Tool update error:", error);
+      res.status(500).json({ error: "Failed to update tool" });
+    }
+  },
+);
+
+app.delete("/tools/:id", auth, async (req, res) => {
+  try {
+    const removed = await toolRepository.remove(parseInt(req.params.id));
+    if (!removed) {
+      return res.status(404).json({ error: "Tool not found" });
+    }
+    removeToolLogo(removed.logo);
+    res.json({ success: true });
+  } catch (error) {
+    console.error("Tool delete error:", error);
+    res.status(500).json({ error: "Failed to delete tool" });
+  }
+});
+
+// ---- SHOP ---- //
+const shopFile = path.join(__dirname, "uploads", "shop.json");
+
+const shopRepository = pool
+  ? createPostgresRepository(pool, {
+      table: "shop_products",
+      columns: {
+        id: "id",
+        title: "title",
+        description: "description",
+        price: "price",
+        currency: "currency",
+        editionSize: "edition_size",
+        stock: "stock",
+        images: "images",
+        createdAt: "created_at",
+        updatedAt: "updated_at",
+      },
+      jsonColumns: ["images"],
+    })
+  : createFileRepository(shopFile);
+
+// Validation rules shared by product create (all required) and update (all optional)
+function productValidationRules({ partial }) {
+  const field = (name) => (partial ? body(name).optional() : body(name));
+  return [
+    field("title")
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 200 })
+      .withMessage("Title must be 1-200 characters"),
+    body("description")
+      .optional()
+      .isString()
+      .isLength({ max: 5000 })
+      .withMessage("Description must be at most 5000 characters"),
+    field("price")
+      .isFloat({ min: 0 })
+      .withMessage("Price must be a number of 0 or more"),
+    body("currency")
+      .optional()
+      .trim()
+      .isAlpha()
+      .isLength({ min: 3, max: 3 })
+      .withMessage("Currency must be a 3-letter code such as USD"),
+    body("editionSize")
+      .optional({ values: "falsy" })
+      .isInt({ min: 1 })
+      .withMessage("Edition size must be a whole number of at least 1"),
+    field("stock")
+      .isInt({ min: 0 })
+      .withMessage("Stock must be a whole number of 0 or more"),
+  ];
+}
+
+// Copy validated form fields onto a product, converting multipart strings to numbers
+function applyProductFields(product, fields) {
+  if (fields.title !== undefined) product.title = sanitizeText(fields.title);
+  if (fields.description !== undefined) {
+    product.description = sanitizeText(fields.description);
+  }
+  if (fields.price !== undefined) {
+    product.price = Math.round(parseFloat(fields.price) * 100) / 100;
+  }
+  if (fields.currency !== undefined) {
+    product.currency = fields.currency.toUpperCase();
+  }
+  if (fields.editionSize !== undefined) {
+    product.editionSize = fields.editionSize
+      ? parseInt(fields.editionSize, 10)
+      : null;
+  }
+  if (fields.stock !== undefined) product.stock = parseInt(fields.stock, 10);
+  return product;
+}
+
+// Shop products are artwork listings, so only image files are accepted
+function rejectNonImageFiles(req, res, next) {
+  const files = req.files || [];
+  if (files.some((file) => !allowedImageTypes.includes(file.mimetype))) {
+    removeUploadedFiles(files);
+    return res
+      .status(400)
+      .json({ error: "Product images must be image files" });
+  }
+  next();
+}
+
+function removeShopImage(url) {
+  const filePath = path.join(
+    __dirname,
+    "uploads",
+    url.replace("/uploads/", ""),
+  );
+  if (fs.existsSync(filePath)) {
+    fs.unlinkSync(filePath);
+  }
+}
+
+function stockError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Combine repeated lines for the same product into product id -> quantity
+function sumQuantities(lines) {
+  const quantities = new Map();
+  lines.forEach((line) => {
+    const id = Number(line.productId);
+    quantities.set(id, (quantities.get(id) || 0) + line.quantity);
+  });
+  return quantities;
+}
+
+// Atomically take stock for a set of order lines: either every line is
+// fulfilled or nothing is written and an error with a `code` is thrown
+async function decrementShopStock(lines) {
+  const quantities = sumQuantities(lines);
+  const updatedAt = new Date().toISOString();
+
+  if (!pool) {
+    return withFileLock(shopFile, () => {
+      const products = readJsonFile(shopFile, []);
+      for (const [id, quantity] of quantities) {
+        const product = products.find((p) => p.id === id);
+        if (!product) {
+          throw stockError("PRODUCT_NOT_FOUND", `Product ${id} not found`);
+        }
+        if (product.stock < quantity) {
+          throw stockError(
+            "OUT_OF_STOCK",
+            `Not enough stock for "${product.title}"`,
+          );
+        }
+      }
+      for (const [id, quantity] of quantities) {
+        const product = products.find((p) => p.id === id);
+        product.stock -= quantity;
+        product.updatedAt = updatedAt;
+      }
+      writeJsonFile(shopFile, products);
+    });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    for (const [id, quantity] of quantities) {
+      const result = await client.query(
+        `UPDATE shop_products SET stock = stock - $2::integer, updated_at = $3
+         WHERE id = $1 AND stock >= $2::integer
+         RETURNING id`,
+        [id, quantity, updatedAt],
+      );
+      if (result.rowCount === 0) {
+        const product = await client.query(
+          "SELECT title FROM shop_products WHERE id = $1",
+          [id],
+        );
+        throw product.rowCount
+          ? stockError(
+              "OUT_OF_STOCK",
+              `Not enough stock for "${product.rows[0].title}"`,
+            )
+          : stockError("PRODUCT_NOT_FOUND", `Product ${id} not found`);
+      }
+    }
+    await client.query("COMMIT");
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Put stock back for order lines that will never be paid; missing products are skipped
+async function restoreShopStock(lines) {
+  const updatedAt = new Date().toISOString();
+  if (!pool) {
+    return withFileLock(shopFile, () => {
+      const products = readJsonFile(shopFile, []);
+      for (const [id, quantity] of sumQuantities(lines)) {
+        const product = products.find((p) => p.id === id);
+        if (product) {
+          product.stock += quantity;
+          product.updatedAt = updatedAt;
+        }
+      }
+      writeJsonFile(shopFile, products);
+    });
+  }
+  for (const [id, quantity] of sumQuantities(lines)) {
+    await pool.query(
+      "UPDATE shop_products SET stock = stock + $2::integer, updated_at = $3 WHERE id = $1",
+      [id, quantity, updatedAt],
+    );
+  }
+}
+
+app.get("/shop", async (req, res) => {
+  try {
+    res.json(await shopRepository.list());
+  } catch (error) {
+    console.error("Shop listing error:", error);
+    res.status(500).json({ error: "Failed to load shop products" });
+  }
+});
+
+app.post(
+  "/upload/shop",
+  auth,
+  upload.array("images", 10),
+  verifyUploads,
+  rejectNonImageFiles,
+  productValidationRules({ partial: false }),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        removeUploadedFiles(req.files);
+        return res.status(400).json({ error: errors.array()[0].msg });
+      }
+
+      const now = new Date().toISOString();
+      const product = applyProductFields(
+        {
+          id: Date.now(),
+          title: "",
+          description: "",
+          price: 0,
+          currency: "USD",
+          editionSize: null,
+          stock: 0,
+          images: (req.files || []).map(
+            (file) => `/uploads/shop/${file.filename}`,
+          ),
+          createdAt: now,
+          updatedAt: now,
+        },
+        req.body,
+      );
+
+      if (product.editionSize && product.stock > product.editionSize) {
+        removeUploadedFiles(req.files);
+        return res
+          .status(400)
+          .json({ error: "Stock cannot be larger than the edition size" });
+      }
+
+      res.json(await shopRepository.insert(product));
+    } catch (error) {
+      console.error("Product create error:", error);
+      removeUploadedFiles(req.files);
+      res.status(500).json({ error: "Failed to create product" });
+    }
+  },
+);
+
+app.patch(
+  "/upload/shop/:id",
+  auth,
+  upload.array("images", 10),
+  verifyUploads,
+  rejectNonImageFiles,
+  productValidationRules({ partial: true }),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        removeUploadedFiles(req.files);
+        return res.status(400).json({ error: errors.array()[0].msg });
+      }
+
+      // Multipart sends a single value as a string and repeated values as an array
+      const removeImages = [].concat(req.body.removeImages || []);
+
+      const id = parseInt(req.params.id);
+      const product = await shopRepository.get(id);
+      if (!product) {
+        removeUploadedFiles(req.files);
+        return res.status(404).json({ error: "Product not found" });
+      }
+
+      // Only the submitted fields are written, so an order taking stock
+      // meanwhile isn't undone unless the stock itself was edited
+      const changes = applyProductFields({}, req.body);
+      const updated = { ...product, ...changes };
+      if (updated.editionSize && updated.stock > updated.editionSize) {
+        removeUploadedFiles(req.files);
+        return res
+          .status(400)
+          .json({ error: "Stock cannot be larger than the edition size" });
+      }
+
+      const removed = product.images.filter((url) =>
+        removeImages.includes(url),
+      );
+      changes.images = product.images
+        .filter((url) => !removeImages.includes(url))
+        .concat(
+          (req.files || []).map((file) => `/uploads/shop/${file.filename}`),
+        );
+      changes.updatedAt = new Date().toISOString();
+
+      const saved = await shopRepository.update(id, changes);
+      removed.forEach(removeShopImage);
+      res.json(saved);
+    } catch (error) {
+      console.error("Product update error:", error);
+      removeUploadedFiles(req.files);
+      res.status(500).json({ error: "Failed to update product" });
+    }
+  },
+);
+
+app.delete("/shop/:id", auth, async (req, res) => {
+  try {
+    const removed = await shopRepository.remove(parseInt(req.params.id));
+
+    if (!removed) {
+      return res.status(404).json({ error: "Product not found" });
+    }
+
+    removed.images.forEach(removeShopImage);
+    res.json({ success: true });
+  } catch (error) {
+    console.error("Product delete error:", error);
+    res.status(500).json({ error: "Failed to delete product" });
+  }
+});
+
+// ---- PAYMENTS ---- //
+// A payment provider adapter exposes:
+//   name
+//   createCheckout(order, { baseUrl, expiresAt })
+//     -> Promise<{ reference, checkoutUrl }>; the checkout should stop taking
+//        payment at expiresAt, when the order's reserved stock is released
+//   parseWebhook(rawBody, headers) -> { type, orderId, reference }
+//     where type is "payment.succeeded" or "payment.failed"; it throws when
+//     the webhook signature doesn't verify
+// Add real providers to `paymentProviders` and select one with PAYMENT_PROVIDER.
+
+// Local provider for testing the whole checkout flow offline. Its checkout page
+// is served by this app and posts a signed event to the same webhook handler.
+function createFakePaymentProvider({ secret }) {
+  const sign = (payload) =>
+    crypto.createHmac("sha256", secret).update(payload).digest("hex");
+
+  return {
+    name: "fake",
+    sign,
+    async createCheckout(order, { baseUrl }) {
+      const reference = "fake_" + crypto.randomBytes(8).toString("hex");
+      return {
+        reference,
+        checkoutUrl: `${baseUrl}/payments/fake/${order.id}`,
+      };
+    },
+    parseWebhook(rawBody, headers) {
+      const expected = Buffer.from(sign(rawBody));
+      const received = Buffer.from(String(headers["x-fake-signature"] || ""));
+      if (
+        expected.length !== received.length ||
+        !crypto.timingSafeEqual(expected, received)
+      ) {
+        throw new Error("Invalid webhook signature");
+      }
+      return JSON.parse(rawBody);
+    },
+  };
+}
+
+const paymentProviders = {
+  fake: () =>
+    createFakePaymentProvider({
+      // Without a configured secret, sign with a per-process one (fine for offline testing)
+      secret:
+        process.env.PAYMENT_WEBHOOK_SECRET ||
+        crypto.randomBytes(32).toString("hex"),
+    }),
+};
+
+// Checkout stays disabled until a provider is chosen explicitly, so the fake
+// provider can never take "payments" on a deployment by accident. Its pay
+// page lets anyone mark an order paid, so production never gets it at all.
+let paymentProvider = null;
+if (
+  process.env.PAYMENT_PROVIDER === "fake" &&
+  process.env.NODE_ENV === "production"
+) {
+  console.warn(
+    'PAYMENT_PROVIDER "fake" is not available in production - checkout will be disabled',
+  );
+} else if (process.env.PAYMENT_PROVIDER) {
+  const createProvider = paymentProviders[process.env.PAYMENT_PROVIDER];
+  if (createProvider) {
+    paymentProvider = createProvider();
+  } else {
+    console.warn(
+      `Unknown PAYMENT_PROVIDER "${process.env.PAYMENT_PROVIDER}" - checkout will be disabled`,
+    );
+  }
+}
+
+// ---- ORDERS ---- //
+const ordersFile = path.join(dataDir, "orders.json");
+// Unpaid orders hold their stock this long before it goes back on sale
+const ORDER_PENDING_TTL_MINUTES =
+  parseInt(process.env.ORDER_PENDING_TTL_MINUTES, 10) || 60;
+const ORDER_PENDING_TTL_MS = ORDER_PENDING_TTL_MINUTES * 60 * 1000;
+const ORDER_EXPIRY_INTERVAL_MS = 5 * 60 * 1000;
+
+const orderRepository = pool
+  ? createPostgresRepository(pool, {
+      table: "orders",
+      columns: {
+        id: "id",
+        status: "status",
+        items: "items",
+        total: "total",
+        currency: "currency",
+        customer: "customer",
+        provider: "provider",
+        providerReference: "provider_reference",
+        createdAt: "created_at",
+        updatedAt: "updated_at",
+        paidAt: "paid_at",
+      },
+      jsonColumns: ["items", "customer"],
+    })
+  : createFileRepository(ordersFile);
+
+function formatMoney(amount, currency) {
+  return new Intl.NumberFormat("en-US", { style: "currency", currency }).format(
+    amount,
+  );
+}
+
+// Email the buyer a receipt and let the artist know a piece has sold
+async function sendOrderConfirmationEmails(order) {
+  const lines = order.items
+    .map(
+      (item) =>
+        `${item.quantity} × ${item.title} — ${formatMoney(item.unitPrice * item.quantity, order.currency)}`,
+    )
+    .join("\n");
+  const htmlLines = order.items
+    .map(
+      (item) =>
+        `<li>${item.quantity} × ${escapeHtml(item.title)} — ${formatMoney(item.unitPrice * item.quantity, order.currency)}</li>`,
+    )
+    .join("");
+  const total = formatMoney(order.total, order.currency);
+
+  try {
+    await sendEmail({
+      to: order.customer.email,
+      subject: `Your Alex Martínez order #${order.id}`,
+      text: `Hi ${order.customer.name}!\n\nThank you for your purchase. Your payment has been received.\n\n${lines}\n\nTotal: ${total}\n\nI'll be in touch about shipping soon.\n\nBest regards,\nAlex Martínez`,
+      html: `
+        <h2>Thank you for your order!</h2>
+        <p>Hi ${escapeHtml(order.customer.name)}!</p>
+        <p>Your payment has been received. Here is your receipt for order <strong>#${order.id}</strong>:</p>
+        <ul>${htmlLines}</ul>
+        <p><strong>Total: ${total}</strong></p>
+        <p>I'll be in touch about shipping soon.</p>
+        <p>Best regards,<br>Alex Martínez</p>
+      `,
+    });
+  } catch (emailError) {
+    console.error(`Failed to send receipt for order ${order.id}:`, emailError);
+  }
+
+  try {
+    await sendEmail({
+      to: process.env.CONTACT_EMAIL || "alexjmartinez0502@gmail.com",
+      subject: `New shop order #${order.id} from ${order.customer.name}`,
+      text: `${order.customer.name} <${order.customer.email}> paid ${total}.\n\n${lines}`,
+      html: `
+        <h3>New Shop Order #${order.id}</h3>
+        <p><strong>Customer:</strong> ${escapeHtml(order.customer.name)} &lt;${escapeHtml(order.customer.email)}&gt;</p>
+        <ul>${htmlLines}</ul>
+        <p><strong>Total:</strong> ${total}</p>
+      `,
+    });
+  } catch (emailError) {
+    console.error(
+      `Failed to send order notification for order ${order.id}:`,
+      emailError,
+    );
+  }
+}
+
+// Moves a pending order to paid or failed as the event says. Returns
+// { order, changed } or { error }.
+async function transitionPendingOrder(event) {
+  const order = await orderRepository.get(Number(event.orderId));
+  if (!order) {
+    return { error: "Order not found" };
+  }
+  if (order.status !== "pending") {
+    if (order.status === "expired" && event.type === "payment.succeeded") {
+      console.warn(
+        `Payment received for expired order ${order.id}; its stock was released, so refund or fulfil it by hand`,
+      );
+    }
+    return { order, changed: false };
+  }
+  if (order.providerReference !== event.reference) {
+    return { error: "Payment reference does not match order" };
+  }
+
+  const now = new Date().toISOString();
+  let changes;
+  if (event.type === "payment.succeeded") {
+    changes = { status: "paid", paidAt: now };
+  } else if (event.type === "payment.failed") {
+    changes = { status: "failed" };
+  } else {
+    return { order, changed: false };
+  }
+  const updated = await orderRepository.updateIf(
+    order.id,
+    { status: "pending" },
+    { ...changes, updatedAt: now },
+  );
+  // A concurrent delivery of the same event got there first
+  if (!updated) {
+    return { order: await orderRepository.get(order.id), changed: false };
+  }
+  return { order: updated, changed: true };
+}
+
+// Apply a verified provider event to its order. Repeated deliveries of the
+// same event are ignored so providers can safely retry webhooks.
+async function applyPaymentEvent(event) {
+  const result = await transitionPendingOrder(event);
+  if (result.changed) {
+    if (result.order.status === "paid") {
+      await sendOrderConfirmationEmails(result.order);
+    } else if (result.order.status === "failed") {
+      await restoreShopStock(result.order.items);
+    }
+  }
+  return result;
+}
+
+// Expire orders left unpaid past the TTL and put their stock back. The
+// compare-and-set means a payment arriving at the same moment wins or loses
+// cleanly, never both.
+async function expireStaleOrders() {
+  const cutoff = Date.now() - ORDER_PENDING_TTL_MS;
+  const stale = (await orderRepository.list()).filter(
+    (order) => order.status === "pending" && new Date(order.createdAt) < cutoff,
+  );
+  for (const order of stale) {
+    const expired = await orderRepository.updateIf(
+      order.id,
+      { status: "pending" },
+      { status: "expired", updatedAt: new Date().toISOString() },
+    );
+    if (expired) {
+      await restoreShopStock(expired.items);
+      console.log(`Order ${order.id} expired unpaid; stock released`);
+    }
+  }
+}
+
+function startOrderExpiry() {
+  const tick = () =>
+    expireStaleOrders().catch((error) => {
+      console.error("Order expiry failed:", error);
+    });
+  setInterval(tick, ORDER_EXPIRY_INTERVAL_MS);
+  tick();
+}
+
+// Shared by the HTTP webhook route and the fake provider's checkout page
+async function handlePaymentWebhook(rawBody, headers) {
+  const event = paymentProvider.parseWebhook(rawBody, headers);
+  return applyPaymentEvent(event);
+}
+
+app.post(
+  "/orders",
+  rateLimit({
+    name: "orders",
+    windowMs: 60 * 60 * 1000,
+    max: 10,
+    message: "Too many orders. Please try again later.",
+  }),
+  [
+    body("name")
+      .notEmpty()
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage("Name must be 2-100 characters"),
+    body("email")
+      .isEmail()
+      .normalizeEmail()
+      .withMessage("Valid email is required"),
+    body("items")
+      .isArray({ min: 1, max: 20 })
+      .withMessage("Your cart must contain 1-20 items"),
+    body("items.*.productId")
+      .isInt()
+      .toInt()
+      .withMessage("Each cart item needs a product"),
+    body("items.*.quantity")
+      .isInt({ min: 1, max: 100 })
+      .toInt()
+      .withMessage("Quantities must be between 1 and 100"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      if (!paymentProvider) {
+        return res.status(503).json({
+          success: false,
+          error: "Checkout is currently unavailable. Please try again later.",
+        });
+      }
+
+      const { name, email } = req.body;
+      const requested = req.body.items.map((item) => ({
+        productId: item.productId,
+        quantity: item.quantity,
+      }));
+
+      const items = [];
+      for (const line of requested) {
+        const product = await shopRepository.get(line.productId);
+        if (!product) {
+          return res.status(400).json({
+            success: false,
+            error: "A product in your cart no longer exists",
+          });
+        }
+        items.push({
+          productId: product.id,
+          title: product.title,
+          quantity: line.quantity,
+          unitPrice: product.price,
+          currency: product.currency,
+        });
+      }
+
+      const currency = items[0].currency;
+      if (items.some((item) => item.currency !== currency)) {
+        return res.status(400).json({
+          success: false,
+          error: "All items in one order must use the same currency",
+        });
+      }
+
+      // Reserve stock up front; it is put back if the payment fails
+      try {
+        await decrementShopStock(items);
+      } catch (stockError) {
+        if (
+          stockError.code === "OUT_OF_STOCK" ||
+          stockError.code === "PRODUCT_NOT_FOUND"
+        ) {
+          return res
+            .status(409)
+            .json({ success: false, error: stockError.message });
+        }
+        throw stockError;
+      }
+
+      const now = new Date().toISOString();
+      const totalCents = items.reduce(
+        (sum, item) => sum + Math.round(item.unitPrice * 100) * item.quantity,
+        0,
+      );
+      const order = {
+        id: Date.now(),
+        status: "pending",
+        items,
+        total: totalCents / 100,
+        currency,
+        customer: { name: sanitizeText(name), email },
+        provider: paymentProvider.name,
+        providerReference: null,
+        createdAt: now,
+        updatedAt: now,
+        paidAt: null,
+      };
+
+      let checkout;
+      try {
+        checkout = await paymentProvider.createCheckout(order, {
+          baseUrl: buildBaseUrl(req),
+          expiresAt: new Date(
+            Date.parse(now) + ORDER_PENDING_TTL_MS,
+          ).toISOString(),
+        });
+      } catch (providerError) {
+        console.error("Payment provider checkout error:", providerError);
+        await restoreShopStock(items);
+        return res.status(502).json({
+          success: false,
+          error: "Could not start checkout. Please try again later.",
+        });
+      }
+
+      order.providerReference = checkout.reference;
+      await orderRepository.insert(order);
+
+      res.json({
+        success: true,
+        orderId: order.id,
+        checkoutUrl: checkout.checkoutUrl,
+      });
+    } catch (err) {
+      console.error("Order error:", err);
+      res.status(500).json({
+        success: false,
+        error: "Failed to place order. Please try again later.",
+      });
+    }
+  },
+);
+
+app.get("/orders", auth, async (req, res) => {
+  try {
+    const orders = await orderRepository.list();
+    res.json(orders.reverse());
+  } catch (error) {
+    console.error("Orders listing error:", error);
+    res.status(500).json({ error: "Failed to load orders" });
+  }
+});
+
+app.post("/payments/webhook", async (req, res) => {
+  try {
+    if (!paymentProvider) {
+      return res.status(503).json({ error: "Payments are not configured" });
+    }
+
+    let result;
+    try {
+      result = await handlePaymentWebhook(
+        req.rawBody ? req.rawBody.toString("utf8") : "",
+        req.headers,
+      );
+    } catch (verifyError) {
+      console.warn("Rejected payment webhook:", verifyError.message);
+      return res.status(400).json({ error: "Invalid webhook" });
+    }
+
+    if (result.error) {
+      return res.status(404).json({ error: result.error });
+    }
+    res.json({ received: true });
+  } catch (error) {
+    console.error("Payment webhook error:", error);
+    res.status(500).json({ error: "Failed to process webhook" });
+  }
+});
+
+// Checkout page for the fake provider: stands in for a hosted payment page.
+// Anyone can use it to mark an order paid, so it never exists in production.
+if (
+  paymentProvider &&
+  paymentProvider.name === "fake" &&
+  process.env.NODE_ENV !== "production"
+) {
+  app.get("/payments/fake/:orderId", async (req, res) => {
+    const order = await orderRepository.get(parseInt(req.params.orderId));
+    if (!order) {
+      return res.status(404).send(`
+        <html><body>
+          <h2>Order Not Found</h2>
+          <p>This checkout link is invalid.</p>
+        </body></html>
+      `);
+    }
+
+    res.send(`
+      <html><body style="font-family: Arial, sans-serif; max-width: 600px; margin: 50px auto; padding: 20px;">
+        <h2>Test Checkout</h2>
+        <p>Order #${order.id} — <strong>${formatMoney(order.total, order.currency)}</strong> (${order.status})</p>
+        <p>This is the offline fake payment provider. No money is taken.</p>
+        <form method="POST">
+          <button name="outcome" value="succeeded">Pay</button>
+          <button name="outcome" value="failed">Decline</button>
+        </form>
+      </body></html>
+    `);
+  });
+
+  app.post("/payments/fake/:orderId", async (req, res) => {
+    try {
+      const order = await orderRepository.get(parseInt(req.params.orderId));
+      if (!order) {
+        return res
+          .status(404)
+          .send("<html><body><h2>Order Not Found</h2></body></html>");
+      }
+
+      const payload = JSON.stringify({
+        type:
+          req.body.outcome === "succeeded"
+            ? "payment.succeeded"
+            : "payment.failed",
+        orderId: order.id,
+        reference: order.providerReference,
+      });
+      const result = await handlePaymentWebhook(payload, {
+        "x-fake-signature": paymentProvider.sign(payload),
+      });
+
+      res.send(`
+        <html><body style="font-family: Arial, sans-serif; max-width: 600px; margin: 50px auto; padding: 20px;">
+          <h2>Order ${result.order ? result.order.status : "not found"}</h2>
+          <p><a href="/">Return to the site</a></p>
+        </body></html>
+      `);
+    } catch (error) {
+      console.error("Fake checkout error:", error);
+      res.status(500).send("<html><body><h2>Error</h2></body></html>");
+    }
+  });
+}
+
+// ---- CONTACT FORM ---- //
+// Every submission is stored in the inbox before the artist is emailed, so a
+// message is never lost to a mail outage. Bots are kept out by a honeypot field
+// (hidden from people, so only scripts fill it in) and rate limits per IP and
+// per sender address. Message lifecycle: new -> read -> archived, or spam.
+const contactMessagesFile = path.join(dataDir, "contact-messages.json");
+const CONTACT_STATUSES = ["new", "read", "archived", "spam"];
+const CONTACT_HONEYPOT_FIELD = "website";
+const CONTACT_RATE_LIMIT = 10;
+const CONTACT_RATE_WINDOW_MS = 60 * 60 * 1000;
+const CONTACT_EMAIL_RATE_LIMIT = 5;
+
+const contactMessageRepository = pool
+  ? createPostgresRepository(pool, {
+      table: "contact_messages",
+      columns: {
+        id: "id",
+        name: "name",
+        email: "email",
+        message: "message",
+        status: "status",
+        ip: "ip",
+        userAgent: "user_agent",
+        replies: "replies",
+        createdAt: "created_at",
+        updatedAt: "updated_at",
+      },
+      jsonColumns: ["replies"],
+    })
+  : createFileRepository(contactMessagesFile);
+
+const contactRateLimit = rateLimit({
+  name: "contact",
+  windowMs: CONTACT_RATE_WINDOW_MS,
+  max: CONTACT_RATE_LIMIT,
+  message: "Too many messages. Please try again later.",
+});
+const contactEmailRateLimit = rateLimit({
+  name: "contact-email",
+  windowMs: CONTACT_RATE_WINDOW_MS,
+  max: CONTACT_EMAIL_RATE_LIMIT,
+  key: (req) => req.body.email,
+  message: "Too many messages. Please try again later.",
+});
+
+async function notifyContactMessage(contactMessage) {
+  const { id, name, email, message } = contactMessage;
+  await mailQueue.enqueue([
+    {
+      batch: `contact-${id}`,
+      to: process.env.CONTACT_EMAIL || "alexjmartinez0502@gmail.com",
+      subject: `New Inquiry from ${name}`,
+      text: `${message}\n\nFrom: ${name} <${email}>`,
+      html: `
+        <h3>New Contact Form Submission</h3>
+        <p><strong>Name:</strong> ${name}</p>
+        <p><strong>Email:</strong> ${email}</p>
+        <p><strong>Message:</strong></p>
+        <p>${message.replace(/\n/g, "<br>")}</p>
+      `,
+    },
+  ]);
+}
+
+// The SPA posts the form as FormData (multipart); upload.none() parses it
+// and rejects any attached files
+app.post(
+  "/contact",
+  contactRateLimit,
+  upload.none(),
+  [
+    body("name")
+      .notEmpty()
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage("Name must be 2-100 characters"),
+    body("email")
+      .isEmail()
+      .normalizeEmail()
+      .withMessage("Valid email is required"),
+    body("message")
+      .notEmpty()
+      .trim()
+      .isLength({ min: 10, max: 1000 })
+      .withMessage("Message must be 10-1000 characters"),
+  ],
+  contactEmailRateLimit,
+  async (req, res) => {
+    try {
+      const success = {
+        success: true,
+        message: "Message received successfully. We'll get back to you soon!",
+      };
+
+      // Look the same as a real submission so bots don't learn to skip it
+      if (req.body[CONTACT_HONEYPOT_FIELD]) {
+        return res.json(success);
+      }
+
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const now = new Date().toISOString();
+      const contactMessage = await contactMessageRepository.insert({
+        id: Date.now(),
+        name: sanitizeText(req.body.name),
+        email: req.body.email,
+        message: sanitizeText(req.body.message),
+        status: "new",
+        ip: req.ip,
+        userAgent: String(req.headers["user-agent"] || "").slice(0, 500),
+        replies: [],
+        createdAt: now,
+        updatedAt: now,
+      });
+
+      try {
+        await notifyContactMessage(contactMessage);
+      } catch (error) {
+        // The message is already in the inbox
+        console.error("Contact notification error:", error);
+      }
+
+      res.json(success);
+    } catch (err) {
+      console.error("Contact form error:", err);
+      res.status(500).json({
+        success: false,
+        error: "Failed to send message. Please try again later.",
+      });
+    }
+  },
+);
+
+// ---- ADMIN: CONTACT INBOX ---- //
+// "inbox" (the default filter) is every message that is new or read
+const CONTACT_INBOX_STATUSES = ["new", "read"];
+
+app.get("/admin/messages", auth, async (req, res) => {
+  try {
+    const limit = Math.min(
+      Math.max(parseInt(req.query.limit, 10) || 25, 1),
+      100,
+    );
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const statuses = CONTACT_STATUSES.includes(req.query.status)
+      ? [req.query.status]
+      : CONTACT_INBOX_STATUSES;
+
+    const all = await contactMessageRepository.list();
+    const counts = Object.fromEntries(
+      CONTACT_STATUSES.map((status) => [
+        status,
+        all.filter((message) => message.status === status).length,
+      ]),
+    );
+    const matching = all
+      .filter((message) => statuses.includes(message.status))
+      .sort((a, b) => b.id - a.id);
+
+    res.json({
+      messages: matching.slice((page - 1) * limit, page * limit),
+      total: matching.length,
+      page,
+      limit,
+      counts,
+    });
+  } catch (error) {
+    console.error("Contact inbox error:", error);
+    res.status(500).json({ error: "Failed to load messages" });
+  }
+});
+
+app.patch(
+  "/admin/messages/:id",
+  auth,
+  [
+    body("status")
+      .isIn(CONTACT_STATUSES)
+      .withMessage(`Status must be one of: ${CONTACT_STATUSES.join(", ")}`),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: errors.array()[0].msg });
+    }
+
+    try {
+      const updated = await contactMessageRepository.update(
+        parseInt(req.params.id),
+        { status: req.body.status, updatedAt: new Date().toISOString() },
+      );
+      if (!updated) {
+        return res.status(404).json({ error: "Message not found" });
+      }
+      res.json(updated);
+    } catch (error) {
+      console.error("Contact message update error:", error);
+      res.status(500).json({ error: "Failed to update message" });
+    }
+  },
+);
+
+// The reply is emailed to the sender through the mail queue and kept on the
+// message so the conversation shows in the inbox
+app.post(
+  "/admin/messages/:id/reply",
+  auth,
+  [
+    body("message")
+      .trim()
+      .isLength({ min: 1, max: 5000 })
+      .withMessage("Reply must be 1-5000 characters"),
+    body("subject")
+      .optional()
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage("Subject must be at most 200 characters"),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: errors.array()[0].msg });
+    }
+
+    try {
+      const id = parseInt(req.params.id);
+      const contactMessage = await contactMessageRepository.get(id);
+      if (!contactMessage) {
+        return res.status(404).json({ error: "Message not found" });
+      }
+
+      const reply = sanitizeText(req.body.message);
+      const subject = req.body.subject || "Re: your message to Alex Martínez";
+      await mailQueue.enqueue([
+        {
+          batch: `contact-${id}`,
+          to: contactMessage.email,
+          subject,
+          text: `${reply}\n\n---\nYou wrote:\n${contactMessage.message}`,
+          html: `
+            <p>${reply.replace(/\n/g, "<br>")}</p>
+            <hr>
+            <p style="color: #666;">You wrote:</p>
+            <blockquote style="color: #666;">${contactMessage.message.replace(/\n/g, "<br>")}</blockquote>
+          `,
+        },
+      ]);
+
+      const now = new Date().toISOString();
+      const changes = {
+        replies: [
+          ...(contactMessage.replies || []),
+          { subject: sanitizeText(subject), message: reply, sentAt: now },
+        ],
+        updatedAt: now,
+      };
+      if (contactMessage.status === "new") {
+        changes.status = "read";
+      }
+      const updated = await contactMessageRepository.update(id, changes);
+      res.json(updated);
+    } catch (error) {
+      console.error("Contact reply error:", error);
+      res.status(500).json({ error: "Failed to send reply" });
+    }
+  },
+);
+
+app.delete("/admin/messages/:id", auth, async (req, res) => {
+  try {
+    const removed = await contactMessageRepository.remove(
+      parseInt(req.params.id),
+    );
+    if (!removed) {
+      return res.status(404).json({ error: "Message not found" });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error("Contact message delete error:", error);
+    res.status(500).json({ error: "Failed to delete message" });
+  }
+});
+
+// ---- COMMISSIONS ---- //
+// Commission requests come in through a structured form with optional
+// reference images, then move through COMMISSION_STATUSES as the artist works
+// on them. The client gets an email with every status change, linking to a
+// status page that is found by the request's secret statusToken. Admin notes
+// are private; the quote is shown to the client. Reference images are stored
+// as `/admin/commissions/references/<file>` URLs; the status page serves the
+// same files to the client under its token.
+const commissionsFile = path.join(dataDir, "commissions.json");
+const COMMISSION_STATUSES = [
+  "new",
+  "quoted",
+  "accepted",
+  "in_progress",
+  "delivered",
+  "declined",
+];
+const COMMISSION_STATUS_LABELS = {
+  new: "Received",
+  quoted: "Quoted",
+  accepted: "Accepted",
+  in_progress: "In progress",
+  delivered: "Delivered",
+  declined: "Declined",
+};
+const COMMISSION_PROJECT_TYPES = {
+  portrait: "Portrait",
+  illustration: "Illustration",
+  painting: "Painting",
+  mural: "Mural",
+  digital: "Digital artwork",
+  other: "Something else",
+};
+const COMMISSION_BUDGETS = {
+  "under-500": "Under $500",
+  "500-1000": "$500 - $1,000",
+  "1000-2500": "$1,000 - $2,500",
+  "2500-5000": "$2,500 - $5,000",
+  "over-5000": "Over $5,000",
+};
+const COMMISSION_MAX_REFERENCES = 5;
+
+const commissionRepository = pool
+  ? createPostgresRepository(pool, {
+      table: "commissions",
+      columns: {
+        id: "id",
+        name: "name",
+        email: "email",
+        projectType: "project_type",
+        budget: "budget",
+        deadline: "deadline",
+        description: "description",
+        references: "reference_images",
+        status: "status",
+        quote: "quote",
+        notes: "notes",
+        statusToken: "status_token",
+        history: "history",
+        createdAt: "created_at",
+        updatedAt: "updated_at",
+      },
+      jsonColumns: ["references", "history"],
+    })
+  : createFileRepository(commissionsFile);
+
+async function findCommissionByToken(token) {
+  if (!token || typeof token !== "string") return null;
+  const commissions = await commissionRepository.list();
+  return commissions.find((commission) => commission.statusToken === token);
+}
+
+function commissionStatusUrl(commission, baseUrl) {
+  return `${baseUrl}/commissions/status?token=${commission.statusToken}`;
+}
+
+const COMMISSION_REFERENCE_PREFIX = "/admin/commissions/references/";
+
+function commissionReferenceUrl(filename) {
+  return COMMISSION_REFERENCE_PREFIX + filename;
+}
+
+// Path on disk of a stored reference URL, or null for anything else
+function commissionReferencePath(url) {
+  if (typeof url !== "string" || !url.startsWith(COMMISSION_REFERENCE_PREFIX)) {
+    return null;
+  }
+  const filename = url.slice(COMMISSION_REFERENCE_PREFIX.length);
+  if (!filename || filename !== path.basename(filename)) return null;
+  return path.join(commissionReferencesDir, filename);
+}
+
+function removeCommissionReferences(commission) {
+  (commission.references || []).forEach((url) => {
+    const filePath = commissionReferencePath(url);
+    if (filePath && fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+    }
+  });
+}
+
+// References used to be saved under the public uploads/commissions; move them
+// to the private directory and point their commissions at the new URLs
+async function migrateCommissionReferences() {
+  const legacyPrefix = "/uploads/commissions/";
+  const commissions = (await commissionRepository.list()).filter((commission) =>
+    (commission.references || []).some((url) => url.startsWith(legacyPrefix)),
+  );
+  for (const commission of commissions) {
+    const references = [];
+    for (const url of commission.references) {
+      if (!url.startsWith(legacyPrefix)) {
+        references.push(url);
+        continue;
+      }
+      const filename = path.basename(url);
+      const legacyPath = path.join(
+        __dirname,
+        "uploads",
+        "commissions",
+        filename,
+      );
+      if (fs.existsSync(legacyPath)) {
+        await fs.promises.rename(
+          legacyPath,
+          path.join(commissionReferencesDir, filename),
+        );
+      }
+      references.push(commissionReferenceUrl(filename));
+    }
+    await commissionRepository.update(commission.id, { references });
+  }
+  if (commissions.length > 0) {
+    console.log(
+      `Moved reference images of ${commissions.length} commissions out of uploads/`,
+    );
+  }
+}
+
+function rejectNonImageReferences(req, res, next) {
+  const files = req.files || [];
+  if (files.some((file) => !allowedImageTypes.includes(file.mimetype))) {
+    removeUploadedFiles(files);
+    return res
+      .status(400)
+      .json({ success: false, error: "Reference files must be images" });
+  }
+  next();
+}
+
+// Email to the client with a link to their status page. `message` is an
+// optional note from the artist, already sanitized. The link carries the
+// status token, so it uses the configured address rather than the request's.
+async function sendCommissionEmail(commission, { subject, intro, message }) {
+  const statusUrl = commissionStatusUrl(commission, publicBaseUrl());
+  try {
+    await sendEmail({
+      to: commission.email,
+      subject,
+      text: [
+        `Hi ${commission.name},`,
+        intro,
+        message,
+        `Follow your request here: ${statusUrl}`,
+        "Best regards,\nAlex Martínez",
+      ]
+        .filter(Boolean)
+        .join("\n\n"),
+      html: `
+        <p>Hi ${escapeHtml(commission.name)},</p>
+        <p>${escapeHtml(intro)}</p>
+        ${message ? `<blockquote>${escapeHtml(message).replace(/\n/g, "<br>")}</blockquote>` : ""}
+        <p><a href="${statusUrl}">View your commission request</a></p>
+        <p>Best regards,<br>Alex Martínez</p>
+      `,
+    });
+  } catch (error) {
+    console.error(`Failed to email commission ${commission.id}:`, error);
+  }
+}
+
+async function notifyArtistOfCommission(commission) {
+  const baseUrl = publicBaseUrl();
+  const type = COMMISSION_PROJECT_TYPES[commission.projectType];
+  const budget = COMMISSION_BUDGETS[commission.budget];
+  const references = commission.references.length;
+  try {
+    await sendEmail({
+      to: process.env.CONTACT_EMAIL || "alexjmartinez0502@gmail.com",
+      subject: `New commission request from ${commission.name}`,
+      text: [
+        `${commission.name} <${commission.email}>`,
+        `Project: ${type}\nBudget: ${budget}\nDeadline: ${commission.deadline || "None"}`,
+        commission.description,
+        references &&
+          `${references} reference image(s) attached. Sign in to view them: ${baseUrl}`,
+      ]
+        .filter(Boolean)
+        .join("\n\n"),
+      html: `
+        <h3>New Commission Request</h3>
+        <p><strong>From:</strong> ${escapeHtml(commission.name)} &lt;${escapeHtml(commission.email)}&gt;</p>
+        <p><strong>Project:</strong> ${type}<br>
+        <strong>Budget:</strong> ${budget}<br>
+        <strong>Deadline:</strong> ${commission.deadline || "None"}</p>
+        <p>${escapeHtml(commission.description).replace(/\n/g, "<br>")}</p>
+        ${references ? `<p>${references} reference image(s) attached. <a href="${baseUrl}">Sign in</a> to view them.</p>` : ""}
+      `,
+    });
+  } catch (error) {
+    console.error(
+      `Failed to send commission notification for ${commission.id}:`,
+      error,
+    );
+  }
+}
+
+// Multipart form: the fields below plus up to COMMISSION_MAX_REFERENCES
+// images in `references`. Shares the contact form's honeypot and rate limit.
+app.post(
+  "/upload/commissions",
+  contactRateLimit,
+  upload.array("references", COMMISSION_MAX_REFERENCES),
+  verifyUploads,
+  rejectNonImageReferences,
+  [
+    body("name")
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage("Name must be 2-100 characters"),
+    body("email")
+      .isEmail()
+      .normalizeEmail()
+      .withMessage("Valid email is required"),
+    body("projectType")
+      .isIn(Object.keys(COMMISSION_PROJECT_TYPES))
+      .withMessage("Choose a project type"),
+    body("budget")
+      .isIn(Object.keys(COMMISSION_BUDGETS))
+      .withMessage("Choose a budget range"),
+    body("deadline")
+      .optional({ values: "falsy" })
+      .isDate({ format: "YYYY-MM-DD", strictMode: true })
+      .withMessage("Deadline must be a date")
+      .custom((value) => value >= new Date().toISOString().slice(0, 10))
+      .withMessage("Deadline can't be in the past"),
+    body("description")
+      .trim()
+      .isLength({ min: 20, max: 3000 })
+      .withMessage("Description must be 20-3000 characters"),
+  ],
+  async (req, res) => {
+    const files = req.files || [];
+    try {
+      const success = {
+        success: true,
+        message:
+          "Thanks! Your commission request was received. Check your email for a link to follow its progress.",
+      };
+
+      if (req.body[CONTACT_HONEYPOT_FIELD]) {
+        removeUploadedFiles(files);
+        return res.json(success);
+      }
+
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        removeUploadedFiles(files);
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const now = new Date().toISOString();
+      const commission = await commissionRepository.insert({
+        id: Date.now(),
+        name: sanitizeText(req.body.name),
+        email: req.body.email,
+        projectType: req.body.projectType,
+        budget: req.body.budget,
+        deadline: req.body.deadline || null,
+        description: sanitizeText(req.body.description),
+        references: files.map((file) => commissionReferenceUrl(file.filename)),
+        status: "new",
+        quote: "",
+        notes: "",
+        statusToken: crypto.randomBytes(32).toString("hex"),
+        history: [{ status: "new", at: now, message: "" }],
+        createdAt: now,
+        updatedAt: now,
+      });
+
+      await sendCommissionEmail(commission, {
+        subject: "Your commission request was received",
+        intro:
+          "Thank you for your commission request! I'll review the details and get back to you with a quote.",
+      });
+      await notifyArtistOfCommission(commission);
+
+      res.json(success);
+    } catch (error) {
+      removeUploadedFiles(files);
+      console.error("Commission request error:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to send your request. Please try again later.",
+      });
+    }
+  },
+);
+
+function renderCommissionStatusPage(commission) {
+  const history = (commission.history || [])
+    .slice()
+    .reverse()
+    .map(
+      (entry) => `
+        <li style="margin-bottom: 12px;">
+          <strong>${COMMISSION_STATUS_LABELS[entry.status]}</strong>
+          <span style="color: #666;">${new Date(entry.at).toLocaleDateString("en-US", { dateStyle: "medium" })}</span>
+          ${entry.message ? `<br>${escapeHtml(entry.message).replace(/\n/g, "<br>")}` : ""}
+        </li>`,
+    )
+    .join("");
+  const references = (commission.references || [])
+    .filter(commissionReferencePath)
+    .map(
+      (url) =>
+        `<img src="/commissions/status/references/${escapeHtml(path.basename(url))}?token=${escapeHtml(commission.statusToken)}" alt="Reference image" style="width: 120px; height: 120px; object-fit: cover; margin: 4px;">`,
+    )
+    .join("");
+
+  return `
+    <html><body style="${PAGE_STYLE}">
+      <h2>Commission Request</h2>
+      <p>Hi ${escapeHtml(commission.name)}, here's where your request stands.</p>
+      <p style="font-size: 20px;">Status: <strong>${COMMISSION_STATUS_LABELS[commission.status]}</strong></p>
+      ${commission.quote ? `<p><strong>Quote:</strong> ${escapeHtml(commission.quote)}</p>` : ""}
+      <h3>Your Request</h3>
+      <p>
+        <strong>Project:</strong> ${COMMISSION_PROJECT_TYPES[commission.projectType]}<br>
+        <strong>Budget:</strong> ${COMMISSION_BUDGETS[commission.budget]}<br>
+        <strong>Deadline:</strong> ${commission.deadline ? escapeHtml(commission.deadline) : "None"}
+      </p>
+      <p>${escapeHtml(commission.description).replace(/\n/g, "<br>")}</p>
+      ${references ? `<div>${references}</div>` : ""}
+      <h3>Updates</h3>
+      <ul style="list-style: none; padding: 0;">${history}</ul>
+      <p style="font-size: 12px; color: #666; margin-top: 30px;">
+        Questions? Reply to any email about this request or <a href="/">get in touch on the website</a>.
+      </p>
+    </body></html>
+  `;
+}
+
+app.get("/commissions/status", async (req, res) => {
+  try {
+    const commission = await findCommissionByToken(req.query.token);
+    if (!commission) {
+      return res.status(404).send(`
+        <html><body style="${PAGE_STYLE}">
+          <h2>Commission Not Found</h2>
+          <p>This link is invalid or the request has been removed.</p>
+        </body></html>
+      `);
+    }
+    res.send(renderCommissionStatusPage(commission));
+  } catch (error) {
+    console.error("Commission status page error:", error);
+    res.status(500).send(`
+      <html><body style="${PAGE_STYLE}">
+        <h2>Error</h2>
+        <p>There was an error loading this commission. Please try again later.</p>
+      </body></html>
+    `);
+  }
+});
+
+// Send one reference image of `commission`, if it has that file
+function sendCommissionReference(commission, filename, res) {
+  const url = commissionReferenceUrl(filename);
+  const filePath = commissionReferencePath(url);
+  if (
+    !commission ||
+    !filePath ||
+    !(commission.references || []).includes(url)
+  ) {
+    return res.status(404).json({ error: "Reference not found" });
+  }
+  res.set("Cache-Control", "private, no-store");
+  res.sendFile(filePath, (error) => {
+    if (error && !res.headersSent) {
+      res.status(404).json({ error: "Reference not found" });
+    }
+  });
+}
+
+// The client sees their own references on the status page
+app.get("/commissions/status/references/:file", async (req, res) => {
+  try {
+    const commission = await findCommissionByToken(req.query.token);
+    sendCommissionReference(commission, req.params.file, res);
+  } catch (error) {
+    console.error("Commission reference error:", error);
+    res.status(500).json({ error: "Failed to load reference" });
+  }
+});
+
+app.get("/admin/commissions/references/:file", auth, async (req, res) => {
+  try {
+    const url = commissionReferenceUrl(req.params.file);
+    const commission = (await commissionRepository.list()).find((item) =>
+      (item.references || []).includes(url),
+    );
+    sendCommissionReference(commission, req.params.file, res);
+  } catch (error) {
+    console.error("Commission reference error:", error);
+    res.status(500).json({ error: "Failed to load reference" });
+  }
+});
+
+// Form options for the SPA, so labels live in one place
+app.get("/commissions/options", (req, res) => {
+  res.json({
+    projectTypes: COMMISSION_PROJECT_TYPES,
+    budgets: COMMISSION_BUDGETS,
+    statuses: COMMISSION_STATUS_LABELS,
+    maxReferences: COMMISSION_MAX_REFERENCES,
+  });
+});
+
+app.get("/admin/commissions", auth, async (req, res) => {
+  try {
+    const all = await commissionRepository.list();
+    const counts = Object.fromEntries(
+      COMMISSION_STATUSES.map((status) => [
+        status,
+        all.filter((commission) => commission.status === status).length,
+      ]),
+    );
+    const commissions = all
+      .filter(
+        (commission) =>
+          !COMMISSION_STATUSES.includes(req.query.status) ||
+          commission.status === req.query.status,
+      )
+      .sort((a, b) => b.id - a.id);
+    res.json({ commissions, counts });
+  } catch (error) {
+    console.error("Commission list error:", error);
+    res.status(500).json({ error: "Failed to load commissions" });
+  }
+});
+
+// A status change is recorded in the history (with the optional `message`
+// for the client) and emailed to the client
+app.patch(
+  "/admin/commissions/:id",
+  auth,
+  [
+    body("status")
+      .optional()
+      .isIn(COMMISSION_STATUSES)
+      .withMessage(`Status must be one of: ${COMMISSION_STATUSES.join(", ")}`),
+    body("quote")
+      .optional()
+      .isString()
+      .isLength({ max: 200 })
+      .withMessage("Quote must be at most 200 characters"),
+    body("notes")
+      .optional()
+      .isString()
+      .isLength({ max: 5000 })
+      .withMessage("Notes must be at most 5000 characters"),
+    body("message")
+      .optional()
+      .isString()
+      .isLength({ max: 2000 })
+      .withMessage("Message must be at most 2000 characters"),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: errors.array()[0].msg });
+    }
+
+    try {
+      const id = parseInt(req.params.id);
+      const commission = await commissionRepository.get(id);
+      if (!commission) {
+        return res.status(404).json({ error: "Commission not found" });
+      }
+
+      const now = new Date().toISOString();
+      const changes = { updatedAt: now };
+      if (req.body.quote !== undefined) {
+        changes.quote = sanitizeText(req.body.quote);
+      }
+      if (req.body.notes !== undefined) {
+        changes.notes = sanitizeText(req.body.notes);
+      }
+      const message = sanitizeText(req.body.message || "");
+      const statusChanged =
+        req.body.status !== undefined && req.body.status !== commission.status;
+      if (statusChanged) {
+        changes.status = req.body.status;
+        changes.history = [
+          ...(commission.history || []),
+          { status: req.body.status, at: now, message },
+        ];
+      }
+
+      const updated = await commissionRepository.update(id, changes);
+      if (statusChanged) {
+        const label = COMMISSION_STATUS_LABELS[updated.status];
+        await sendCommissionEmail(updated, {
+          subject: `Your commission request: ${label}`,
+          intro: `Your commission request is now: ${label}.${
+            updated.quote ? ` Quote: ${updated.quote}` : ""
+          }`,
+          message,
+        });
+      }
+      res.json(updated);
+    } catch (error) {
+      console.error("Commission update error:", error);
+      res.status(500).json({ error: "Failed to update commission" });
+    }
+  },
+);
+
+app.delete("/admin/commissions/:id", auth, async (req, res) => {
+  try {
+    const removed = await commissionRepository.remove(parseInt(req.params.id));
+    if (!removed) {
+      return res.status(404).json({ error: "Commission not found" });
+    }
+    removeCommissionReferences(removed);
+    res.json({ success: true });
+  } catch (error) {
+    console.error("Commission delete error:", error);
+    res.status(500).json({ error: "Failed to delete commission" });
+  }
+});
+
+// ---- SUBSCRIBE ENDPOINT ---- //
+// Subscriptions use double opt-in: a new (or returning) address stays inactive
+// until the link emailed to it is followed, so nobody can sign up someone else.
+const SUBSCRIBE_CONFIRM_TTL_HOURS =
+  parseInt(process.env.SUBSCRIBE_CONFIRM_TTL_HOURS, 10) || 48;
+
+// Both limits cover /subscribe and /subscribe/resend together; the per-address
+// one stops the form being used to flood someone's inbox
+const subscribeRateLimit = rateLimit({
+  name: "subscribe",
+  windowMs: 60 * 60 * 1000,
+  max: 10,
+  message: "Too many subscription requests. Please try again later.",
+});
+const subscribeEmailRateLimit = rateLimit({
+  name: "subscribe-email",
+  windowMs: 60 * 60 * 1000,
+  max: 3,
+  key: (req) => req.body.email,
+  message:
+    "Too many confirmation emails for this address. Please try again later.",
+});
+
+async function sendSubscriptionConfirmationEmail(subscriber, baseUrl) {
+  const confirmUrl = `${baseUrl}/subscribe/confirm?token=${subscriber.confirmation_token}`;
+
+  await sendEmail({
+    to: subscriber.email,
+    subject:
+      "Please confirm your subscription to Alex Martínez Portfolio Updates",
+    text: `Hi ${subscriber.name}!\n\nPlease confirm that you'd like to receive portfolio updates by opening this link:\n\n${confirmUrl}\n\nThe link expires in ${SUBSCRIBE_CONFIRM_TTL_HOURS} hours. If you didn't sign up, you can ignore this email.\n\nBest regards,\nAlex Martínez`,
+    html: `
+      <h2>Confirm Your Subscription</h2>
+      <p>Hi ${escapeHtml(subscriber.name)}!</p>
+      <p>Please confirm that you'd like to receive updates when I add new artwork to my portfolio.</p>
+      <p style="text-align: center; margin: 30px 0;">
+        <a href="${confirmUrl}"
+           style="background: #007bff; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block;">
+          Confirm Subscription
+        </a>
+      </p>
+      <p style="font-size: 12px; color: #666;">
+        The link expires in ${SUBSCRIBE_CONFIRM_TTL_HOURS} hours. If you didn't sign up, you can ignore this email.
+      </p>
+    `,
+  });
+}
+
+// Issue a fresh confirmation token for a pending subscriber and email it. The
+// link is built from the configured address, not the Host of whoever asked.
+async function issueSubscriptionConfirmation(email) {
+  const baseUrl = publicBaseUrl();
+  const result = await pool.query(
+    `UPDATE subscribers
+     SET confirmation_token = $2, confirmation_sent_at = CURRENT_TIMESTAMP
+     WHERE email = $1 AND is_active = false
+     RETURNING name, email, confirmation_token`,
+    [email, generateUnsubscribeToken()],
+  );
+
+  if (result.rows.length === 0) {
+    return false;
+  }
+
+  try {
+    await sendSubscriptionConfirmationEmail(result.rows[0], baseUrl);
+  } catch (emailError) {
+    console.error("Failed to send confirmation email:", emailError);
+  }
+  return true;
+}
+
+app.post(
+  "/subscribe",
+  subscribeRateLimit,
+  [
+    body("name")
+      .notEmpty()
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage("Name must be 2-100 characters"),
+    body("email")
+      .isEmail()
+      .normalizeEmail()
+      .withMessage("Valid email is required"),
+    body("frequency")
+      .optional()
+      .isIn(NOTIFICATION_FREQUENCIES)
+      .withMessage("Frequency must be instant, daily or weekly"),
+  ],
+  subscribeEmailRateLimit,
+  async (req, res) => {
+    try {
+      // Check if database is available
+      if (!pool) {
+        return res.status(503).json({
+          success: false,
+          error:
+            "Database service is currently unavailable. Please try again later.",
+        });
+      }
+
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const { email } = req.body;
+      const name = sanitizeText(req.body.name);
+      const frequency = req.body.frequency || "instant";
+
+      // Check if email already exists
+      const existingSubscriber = await pool.query(
+        "SELECT * FROM subscribers WHERE email = $1",
+        [email],
+      );
+
+      if (existingSubscriber.rows.length > 0) {
+        if (existingSubscriber.rows[0].is_active) {
+          return res.status(400).json({
+            success: false,
+            error: "You are already subscribed to updates!",
+          });
+        }
+        // Pending or previously unsubscribed: confirm again before reactivating
+        await pool.query(
+          "UPDATE subscribers SET name = $2, frequency = $3 WHERE email = $1",
+          [email, name, frequency],
+        );
+      } else {
+        // Add new subscriber as pending, with an unsubscribe token for later emails
+        await pool.query(
+          "INSERT INTO subscribers (name, email, unsubscribe_token, is_active, frequency) VALUES ($1, $2, $3, false, $4)",
+          [name, email, generateUnsubscribeToken(), frequency],
+        );
+      }
+
+      await issueSubscriptionConfirmation(email);
+
+      res.json({
+        success: true,
+        message:
+          "Almost done! Check your email and click the link to confirm your subscription.",
+      });
+    } catch (err) {
+      console.error("Subscribe error:", err);
+      res.status(500).json({
+        success: false,
+        error: "Failed to subscribe. Please try again later.",
+      });
+    }
+  },
+);
+
+app.get("/subscribe/confirm", async (req, res) => {
+  try {
+    if (!pool) {
+      return res.status(503).send(`
+        <html><body style="font-family: Arial, sans-serif; max-width: 600px; margin: 50px auto; padding: 20px;">
+          <h2 style="color: #dc3545;">Service Temporarily Unavailable</h2>
+          <p>The subscription service is currently unavailable. Please try again later.</p>
+        </body></html>
+      `);
+    }
+
+    const { token } = req.query;
+    const result = token
+      ? await pool.query(
+          `SELECT id, name, email, confirmed_at, confirmation_sent_at
+           FROM subscribers WHERE confirmation_token = $1`,
+          [token],
+        )
+      : { rows: [] };
+
+    if (result.rows.length === 0) {
+      return res.status(404).send(`
+        <html><body>
+          <h2>Confirmation Link Not Found</h2>
+          <p>This confirmation link is either invalid or has already been used.</p>
+        </body></html>
+      `);
+    }
+
+    const subscriber = result.rows[0];
+
+    const expiresAt =
+      new Date(subscriber.confirmation_sent_at).getTime() +
+      SUBSCRIBE_CONFIRM_TTL_HOURS * 60 * 60 * 1000;
+
+    if (Date.now() > expiresAt) {
+      return res.status(410).send(`
+        <html><body style="font-family: Arial, sans-serif; max-width: 600px; margin: 50px auto; padding: 20px;">
+          <h2>Confirmation Link Expired</h2>
+          <p>Hi ${escapeHtml(subscriber.name)}, this link has expired. You can request a new one below.</p>
+          <form method="POST" action="/subscribe/resend">
+            <input type="hidden" name="token" value="${escapeHtml(token)}">
+            <button type="submit">Send a New Confirmation Link</button>
+          </form>
+        </body></html>
+      `);
+    }
+
+    await pool.query(
+      `UPDATE subscribers
+       SET is_active = true, confirmation_token = NULL,
+         confirmed_at = CURRENT_TIMESTAMP, subscribed_at = CURRENT_TIMESTAMP
+       WHERE id = $1`,
+      [subscriber.id],
+    );
+    console.log(`Subscription confirmed: ${subscriber.email}`);
+
+    // Only send welcome email to new subscribers, not returning ones
+    if (!subscriber.confirmed_at) {
+      const tokenData = await pool.query(
+        "SELECT unsubscribe_token FROM subscribers WHERE id = $1",
+        [subscriber.id],
+      );
+      const footer = buildSubscriberEmailFooter(
+        tokenData.rows[0],
+        publicBaseUrl(),
+      );
+
+      // Send welcome email using Replit Mail
+      try {
+        await sendEmail({
+          to: subscriber.email,
+          subject: "Welcome to Alex Martínez Portfolio Updates!",
+          text: `Hi ${subscriber.name}!\n\nThank you for subscribing to my portfolio updates. You'll be the first to know when I add new artwork to my collection.\n\nBest regards,\nAlex Martínez\n\n${footer.text}`,
+          html: `
+            <h2>Welcome to Alex Martínez Portfolio Updates!</h2>
+            <p>Hi ${escapeHtml(subscriber.name)}!</p>
+            <p>Thank you for subscribing to my portfolio updates. You'll be the first to know when I add new artwork to my collection.</p>
+            <p>Stay tuned for exciting new creative works!</p>
+            <p>Best regards,<br>Alex Martínez</p>
+            ${footer.html}
+          `,
+        });
+      } catch (emailError) {
+        console.error("Failed to send welcome email:", emailError);
+        // Don't fail the confirmation if email fails
+      }
+    }
+
+    res.send(`
+      <html><body style="font-family: Arial, sans-serif; max-width: 600px; margin: 50px auto; padding: 20px;">
+        <h2 style="color: #28a745;">✓ Subscription Confirmed</h2>
+        <p>Hi ${escapeHtml(subscriber.name)},</p>
+        <p>Thanks for confirming! You'll now receive an email whenever new artwork is added.</p>
+        <p><a href="/">Visit the portfolio</a></p>
+        <p>Best regards,<br>Alex Martínez</p>
+      </body></html>
+    `);
+  } catch (error) {
+    console.error("Subscription confirm error:", error);
+    res.status(500).send(`
+      <html><body>
+        <h2>Error</h2>
+        <p>There was an error confirming your subscription. Please try again later.</p>
+      </body></html>
+    `);
+  }
+});
+
+// Resend the confirmation link, either for an email address (JSON API) or for
+// the token of an expired link (form on the expired-link page)
+app.post(
+  "/subscribe/resend",
+  subscribeRateLimit,
+  [
+    body("email")
+      .optional()
+      .isEmail()
+      .normalizeEmail()
+      .withMessage("Valid email is required"),
+    body("token").optional().isString(),
+  ],
+  subscribeEmailRateLimit,
+  async (req, res) => {
+    const wantsHtml = !req.is("application/json");
+    try {
+      if (!pool) {
+        return res.status(503).json({
+          success: false,
+          error:
+            "Database service is currently unavailable. Please try again later.",
+        });
+      }
+
+      const errors = validationResult(req);
+      if (!errors.isEmpty() || (!req.body.email && !req.body.token)) {
+        return res.status(400).json({
+          success: false,
+          error: "An email address or confirmation token is required",
+        });
+      }
+
+      let email = req.body.email;
+      if (!email) {
+        const result = await pool.query(
+          "SELECT email FROM subscribers WHERE confirmation_token = $1",
+          [req.body.token],
+        );
+        email = result.rows[0]?.email;
+      }
+
+      // Respond the same way whether or not the address is pending, so this
+      // can't be used to find out who is subscribed
+      if (email) {
+        await issueSubscriptionConfirmation(email);
+      }
+
+      if (wantsHtml) {
+        return res.send(`
+          <html><body style="font-family: Arial, sans-serif; max-width: 600px; margin: 50px auto; padding: 20px;">
+            <h2>Check Your Email</h2>
+            <p>If that subscription is still waiting for confirmation, a new link is on its way.</p>
+          </body></html>
+        `);
+      }
+      res.json({
+        success: true,
+        message:
+          "If that address is waiting for confirmation, a new link is on its way.",
+      });
+    } catch (err) {
+      console.error("Resend confirmation error:", err);
+      res.status(500).json({
+        success: false,
+        error: "Failed to resend confirmation. Please try again later.",
+      });
+    }
+  },
+);
+
+// ---- UNSUBSCRIBE ENDPOINT ---- //
+app.get("/unsubscribe", async (req, res) => {
+  try {
+    // Check if database is available
+    if (!pool) {
+      return res.status(503).send(`
+        <html><body style="font-family: Arial, sans-serif; max-width: 600px; margin: 50px auto; padding: 20px;">
+          <h2 style="color: #dc3545;">Service Temporarily Unavailable</h2>
+          <p>The unsubscribe service is currently unavailable. Please try again later.</p>
+          <p>If this problem persists, please contact us directly.</p>
+        </body></html>
+      `);
+    }
+
+    const { token } = req.query;
+
+    if (!token) {
+      return res.status(400).send(`
+        <html><body>
+          <h2>Invalid Unsubscribe Link</h2>
+          <p>The unsubscribe link appears to be invalid or incomplete.</p>
+        </body></html>
+      `);
+    }
+
+    // Find subscriber by token and deactivate
+    const result = await pool.query(
+      "UPDATE subscribers SET is_active = false WHERE unsubscribe_token = $1 AND is_active = true RETURNING name, email",
+      [token],
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).send(`
+        <html><body>
+          <h2>Unsubscribe Link Not Found</h2>
+          <p>This unsubscribe link is either invalid or you may already be unsubscribed.</p>
+        </body></html>
+      `);
+    }
+
+    const subscriber = result.rows[0];
+    console.log(`Successfully unsubscribed: ${subscriber.email}`);
+
+    res.send(`
+      <html><body style="font-family: Arial, sans-serif; max-width: 600px; margin: 50px auto; padding: 20px;">
+        <h2 style="color: #28a745;">✓ Successfully Unsubscribed</h2>
+        <p>Hi ${escapeHtml(subscriber.name)},</p>
+        <p>You have been successfully unsubscribed from Alex Martínez Portfolio updates.</p>
+        <p>You will no longer receive email notifications about new artwork.</p>
+        <p>If you change your mind, you can always subscribe again on our website.</p>
+        <p>Want your details removed entirely? <a href="/preferences?token=${escapeHtml(token)}">Delete your data</a>.</p>
+        <p>Best regards,<br>Alex Martínez</p>
+      </body></html>
+    `);
+  } catch (error) {
+    console.error("Unsubscribe error:", error);
+    res.status(500).send(`
+      <html><body>
+        <h2>Error</h2>
+        <p>There was an error processing your unsubscribe request. Please try again later or contact support.</p>
+      </body></html>
+    `);
   }
 });
 
-app.get("/about-data", (req, res) => {
+// ---- SUBSCRIBER PREFERENCES ---- //
+// Self-service page reached with the unsubscribe token from any email. The
+// one-click /unsubscribe link keeps working alongside it.
+const FREQUENCY_LABELS = {
+  instant: "Every new piece, as soon as it's added",
+  daily: "A daily digest",
+  weekly: "A weekly digest",
+};
+
+// Kinds of email a subscriber can opt out of individually
+const EMAIL_CATEGORIES = {
+  artwork: {
+    column: "notify_artwork",
+    label: "New artwork announcements",
+  },
+  newsletter: {
+    column: "notify_newsletter",
+    label: "Occasional newsletters from the studio",
+  },
+};
+
+const PAGE_STYLE =
+  "font-family: Arial, sans-serif; max-width: 600px; margin: 50px auto; padding: 20px;";
+
+function renderPreferencesPage(subscriber, { notice, error } = {}) {
+  const token = escapeHtml(subscriber.unsubscribe_token);
+  const deleteForm = `
+      <hr style="margin-top: 40px;">
+      <h3>Delete My Data</h3>
+      <p>This permanently removes your name, email address and preferences from the mailing list.</p>
+      <form method="POST" action="/preferences/delete">
+        <input type="hidden" name="token" value="${token}">
+        <label style="display: block; margin: 8px 0;">
+          <input type="checkbox" name="confirm" value="yes" required>
+          I understand this can't be undone
+        </label>
+        <button type="submit" style="color: #dc3545;">Delete My Data</button>
+      </form>`;
+
+  if (!subscriber.is_active) {
+    return `
+    <html><body style="${PAGE_STYLE}">
+      <h2>Email Preferences</h2>
+      <p>Hi ${escapeHtml(subscriber.name)}, you're currently unsubscribed and won't receive any emails.</p>
+      <p>To start receiving updates again, <a href="/">subscribe on the website</a>.</p>
+      ${deleteForm}
+    </body></html>
+  `;
+  }
+
+  const frequencies = NOTIFICATION_FREQUENCIES.map(
+    (frequency) => `
+        <label style="display: block; margin: 8px 0;">
+          <input type="radio" name="frequency" value="${frequency}" ${subscriber.frequency === frequency ? "checked" : ""}>
+          ${FREQUENCY_LABELS[frequency]}
+        </label>`,
+  ).join("");
+  const categories = Object.entries(EMAIL_CATEGORIES)
+    .map(
+      ([key, category]) => `
+        <label style="display: block; margin: 8px 0;">
+          <input type="checkbox" name="categories" value="${key}" ${subscriber[category.column] ? "checked" : ""}>
+          ${category.label}
+        </label>`,
+    )
+    .join("");
+
+  return `
+    <html><body style="${PAGE_STYLE}">
+      <h2>Email Preferences</h2>
+      ${notice ? `<p style="color: #28a745;">${notice}</p>` : ""}
+      ${error ? `<p style="color: #dc3545;">${escapeHtml(error)}</p>` : ""}
+      <form method="POST" action="/preferences">
+        <input type="hidden" name="token" value="${token}">
+        <label>
+          Name<br>
+          <input type="text" name="name" value="${escapeHtml(subscriber.name)}" required minlength="2" maxlength="100">
+        </label>
+        <p>Emails you'd like to receive:</p>
+        ${categories}
+        <p>How often would you like to hear about new artwork?</p>
+        ${frequencies}
+        <button type="submit" style="margin-top: 12px;">Save Preferences</button>
+      </form>
+      <p style="font-size: 12px; color: #666; margin-top: 30px;">
+        <a href="/unsubscribe?token=${token}" style="color: #666;">Unsubscribe from all emails</a>
+      </p>
+      ${deleteForm}
+    </body></html>
+  `;
+}
+
+// Subscribers are identified by the unsubscribe token included in every email;
+// unsubscribed people can still open the page to delete their data
+async function findSubscriberByToken(token) {
+  if (!token || typeof token !== "string") return null;
+  const result = await pool.query(
+    `SELECT id, name, email, unsubscribe_token, is_active, frequency, notify_artwork, notify_newsletter
+     FROM subscribers WHERE unsubscribe_token = $1`,
+    [token],
+  );
+  return result.rows[0] || null;
+}
+
+function sendPreferencesUnavailable(res) {
+  res.status(503).send(`
+    <html><body style="${PAGE_STYLE}">
+      <h2 style="color: #dc3545;">Service Temporarily Unavailable</h2>
+      <p>The preferences service is currently unavailable. Please try again later.</p>
+    </body></html>
+  `);
+}
+
+function sendPreferencesNotFound(res) {
+  res.status(404).send(`
+    <html><body>
+      <h2>Preferences Link Not Found</h2>
+      <p>This link is either invalid or your data has been deleted.</p>
+    </body></html>
+  `);
+}
+
+app.get("/preferences", async (req, res) => {
   try {
-    const file = path.join(__dirname, "uploads", "about.json");
-    if (fs.existsSync(file)) {
-      const data = fs.readFileSync(file, "utf8");
-      const parsedData = JSON.parse(data);
-      return res.json(parsedData);
-    }
-    res.json({ image: "" });
+    if (!pool) return sendPreferencesUnavailable(res);
+
+    const subscriber = await findSubscriberByToken(req.query.token);
+    if (!subscriber) return sendPreferencesNotFound(res);
+
+    res.send(renderPreferencesPage(subscriber));
   } catch (error) {
-    console.error("About data error:", error);
-    res.status(500).json({ error: "Failed to load about data" });
+    console.error("Preferences page error:", error);
+    res.status(500).send(`
+      <html><body>
+        <h2>Error</h2>
+        <p>There was an error loading your preferences. Please try again later.</p>
+      </body></html>
+    `);
   }
 });
 
-// ---- PORTFOLIO ---- //
-const portfolioFile = path.join(__dirname, "uploads", "portfolio.json");
+app.post(
+  "/preferences",
+  [
+    body("name")
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage("Name must be 2-100 characters"),
+    body("frequency")
+      .isIn(NOTIFICATION_FREQUENCIES)
+      .withMessage("Please choose how often you'd like to hear from me"),
+    body("categories")
+      .optional()
+      .toArray()
+      .custom((values) => values.every((value) => value in EMAIL_CATEGORIES))
+      .withMessage("Unknown email category"),
+  ],
+  async (req, res) => {
+    try {
+      if (!pool) return sendPreferencesUnavailable(res);
+
+      const subscriber = await findSubscriberByToken(req.body.token);
+      if (!subscriber || !subscriber.is_active) {
+        return sendPreferencesNotFound(res);
+      }
+
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res
+          .status(400)
+          .send(
+            renderPreferencesPage(subscriber, { error: errors.array()[0].msg }),
+          );
+      }
+
+      const { name, frequency } = req.body;
+      const categories = req.body.categories || [];
+
+      // Unchecked boxes aren't submitted, so every category not listed is off
+      const updates = {
+        name: sanitizeText(name),
+        frequency,
+        ...Object.fromEntries(
+          Object.entries(EMAIL_CATEGORIES).map(([key, category]) => [
+            category.column,
+            categories.includes(key),
+          ]),
+        ),
+      };
+      const columns = Object.keys(updates);
+      // Changing frequency restarts the digest window so items already emailed
+      // aren't repeated in the next digest
+      await pool.query(
+        `UPDATE subscribers
+         SET ${columns.map((column, i) => `${column} = $${i + 2}`).join(", ")}
+         ${frequency !== subscriber.frequency ? ", last_digest_at = CURRENT_TIMESTAMP" : ""}
+         WHERE id = $1`,
+        [subscriber.id, ...Object.values(updates)],
+      );
+
+      res.send(
+        renderPreferencesPage(
+          { ...subscriber, ...updates },
+          { notice: "✓ Your preferences were saved." },
+        ),
+      );
+    } catch (error) {
+      console.error("Preferences update error:", error);
+      res.status(500).send(`
+        <html><body>
+          <h2>Error</h2>
+          <p>There was an error saving your preferences. Please try again later.</p>
+        </body></html>
+      `);
+    }
+  },
+);
 
-app.post("/upload/portfolio", auth, upload.single("file"), async (req, res) => {
+app.post("/preferences/delete", async (req, res) => {
   try {
-    if (!req.file) {
-      return res.status(400).json({ error: "No file uploaded" });
+    if (!pool) return sendPreferencesUnavailable(res);
+
+    const subscriber = await findSubscriberByToken(req.body.token);
+    if (!subscriber) return sendPreferencesNotFound(res);
+
+    if (req.body.confirm !== "yes") {
+      return res.status(400).send(
+        renderPreferencesPage(subscriber, {
+          error: "Please tick the box to confirm you want your data deleted",
+        }),
+      );
     }
 
-    let portfolio = [];
-    if (fs.existsSync(portfolioFile)) {
-      const data = fs.readFileSync(portfolioFile, "utf8");
-      portfolio = JSON.parse(data);
+    await pool.query("DELETE FROM subscribers WHERE id = $1", [subscriber.id]);
+    // Don't leave queued emails holding the address either
+    await mailQueue.removeRecipient(subscriber.email);
+    console.log(`Subscriber data deleted: id ${subscriber.id}`);
+
+    res.send(`
+      <html><body style="${PAGE_STYLE}">
+        <h2 style="color: #28a745;">✓ Your Data Has Been Deleted</h2>
+        <p>Your name, email address and preferences have been removed from the mailing list.</p>
+        <p>If you change your mind, you can always subscribe again on our website.</p>
+      </body></html>
+    `);
+  } catch (error) {
+    console.error("Subscriber delete error:", error);
+    res.status(500).send(`
+      <html><body>
+        <h2>Error</h2>
+        <p>There was an error deleting your data. Please try again later.</p>
+      </body></html>
+    `);
+  }
+});
+
+// ---- ADMIN: SUBSCRIBERS ---- //
+// A subscriber is "active" once confirmed, "pending" while a confirmation link
+// is outstanding, and "unsubscribed" otherwise
+const SUBSCRIBER_STATUS_FILTERS = {
+  active: "is_active = true",
+  pending: "is_active = false AND confirmation_token IS NOT NULL",
+  unsubscribed: "is_active = false AND confirmation_token IS NULL",
+};
+const SUBSCRIBER_CSV_COLUMNS = [
+  "name",
+  "email",
+  "status",
+  "frequency",
+  "subscribed_at",
+  "confirmed_at",
+];
+
+function formatSubscriber(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    email: row.email,
+    status: row.is_active
+      ? "active"
+      : row.confirmation_token
+        ? "pending"
+        : "unsubscribed",
+    frequency: row.frequency,
+    categories: Object.keys(EMAIL_CATEGORIES).filter(
+      (key) => row[EMAIL_CATEGORIES[key].column],
+    ),
+    subscribedAt: row.subscribed_at,
+    confirmedAt: row.confirmed_at,
+  };
+}
+
+// Build the WHERE clause for the ?status= and ?search= filters
+function subscriberFilters(query) {
+  const conditions = [];
+  const params = [];
+  if (SUBSCRIBER_STATUS_FILTERS[query.status]) {
+    conditions.push(SUBSCRIBER_STATUS_FILTERS[query.status]);
+  }
+  const search = typeof query.search === "string" ? query.search.trim() : "";
+  if (search) {
+    params.push(`%${search.replace(/[\\%_]/g, "\\$&")}%`);
+    conditions.push(
+      `(name ILIKE $${params.length} OR email ILIKE $${params.length})`,
+    );
+  }
+  return {
+    where: conditions.length ? `WHERE ${conditions.join(" AND ")}` : "",
+    params,
+  };
+}
+
+function requireDatabase(req, res, next) {
+  if (!pool) {
+    return res.status(503).json({ error: "Database is not configured" });
+  }
+  next();
+}
+
+app.get("/admin/subscribers", auth, requireDatabase, async (req, res) => {
+  try {
+    const limit = Math.min(
+      Math.max(parseInt(req.query.limit, 10) || 25, 1),
+      100,
+    );
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const { where, params } = subscriberFilters(req.query);
+
+    const total = await pool.query(
+      `SELECT COUNT(*) AS count FROM subscribers ${where}`,
+      params,
+    );
+    const rows = await pool.query(
+      `SELECT * FROM subscribers ${where}
+       ORDER BY subscribed_at DESC, id DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, (page - 1) * limit],
+    );
+
+    const counts = {};
+    for (const [status, condition] of Object.entries(
+      SUBSCRIBER_STATUS_FILTERS,
+    )) {
+      const result = await pool.query(
+        `SELECT COUNT(*) AS count FROM subscribers WHERE ${condition}`,
+      );
+      counts[status] = Number(result.rows[0].count);
     }
 
-    const newItem = {
-      id: Date.now(),
-      url: `/uploads/portfolio/${req.file.filename}`,
-      uploadedAt: new Date().toISOString(),
-      fileType: req.file.mimetype,
-      caption: "",
-    };
+    res.json({
+      subscribers: rows.rows.map(formatSubscriber),
+      total: Number(total.rows[0].count),
+      page,
+      limit,
+      counts,
+    });
+  } catch (error) {
+    console.error("Subscriber list error:", error);
+    res.status(500).json({ error: "Failed to load subscribers" });
+  }
+});
+
+app.get(
+  "/admin/subscribers/export",
+  auth,
+  requireDatabase,
+  async (req, res) => {
+    try {
+      const { where, params } = subscriberFilters(req.query);
+      const result = await pool.query(
+        `SELECT * FROM subscribers ${where} ORDER BY subscribed_at, id`,
+        params,
+      );
+      const rows = result.rows.map((row) => {
+        const subscriber = formatSubscriber(row);
+        return [
+          subscriber.name,
+          subscriber.email,
+          subscriber.status,
+          subscriber.frequency,
+          subscriber.subscribedAt && subscriber.subscribedAt.toISOString(),
+          subscriber.confirmedAt && subscriber.confirmedAt.toISOString(),
+        ];
+      });
+
+      res.set("Content-Type", "text/csv; charset=utf-8");
+      res.set(
+        "Content-Disposition",
+        `attachment; filename="subscribers-${new Date().toISOString().slice(0, 10)}.csv"`,
+      );
+      res.send(toCsv([SUBSCRIBER_CSV_COLUMNS, ...rows]));
+    } catch (error) {
+      console.error("Subscriber export error:", error);
+      res.status(500).json({ error: "Failed to export subscribers" });
+    }
+  },
+);
 
-    portfolio.push(newItem);
-    fs.writeFileSync(portfolioFile, JSON.stringify(portfolio, null, 2));
+const subscriberImportRules = [
+  body("name")
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage("Name must be 2-100 characters"),
+  body("email").isEmail().normalizeEmail().withMessage("Invalid email"),
+  body("frequency")
+    .optional({ values: "falsy" })
+    .isIn(NOTIFICATION_FREQUENCIES)
+    .withMessage("Frequency must be instant, daily or weekly"),
+];
 
-    // Send notification emails to all active subscribers
+// Import a CSV with a header row containing at least "email" (plus optional
+// "name" and "frequency"). This is for moving an already opted-in list, so
+// imported addresses are active straight away; existing emails are skipped.
+app.post(
+  "/admin/subscribers/import",
+  auth,
+  requireDatabase,
+  express.text({ type: ["text/csv", "text/plain"], limit: "5mb" }),
+  async (req, res) => {
     try {
-      // Skip email notifications if database is unavailable
-      if (!pool) {
-        console.warn(
-          "Database unavailable - skipping email notifications for new portfolio item",
+      const rows = typeof req.body === "string" ? parseCsv(req.body) : [];
+      if (rows.length === 0) {
+        return res
+          .status(400)
+          .json({ error: "Upload a CSV file with a header row" });
+      }
+
+      const header = rows[0].map((column) => column.trim().toLowerCase());
+      if (!header.includes("email")) {
+        return res
+          .status(400)
+          .json({ error: 'CSV must have an "email" column' });
+      }
+
+      let imported = 0;
+      let skipped = 0;
+      const errors = [];
+      for (const [index, values] of rows.slice(1).entries()) {
+        const line = index + 2;
+        const record = Object.fromEntries(
+          header.map((column, i) => [column, (values[i] || "").trim()]),
         );
-        return res.json({
-          success: true,
-          message: "Portfolio item uploaded successfully",
-        });
+        // Fall back to the part before the @ when the list has no names
+        if (!record.name) record.name = record.email.split("@")[0];
+
+        const rowReq = { body: record };
+        for (const rule of subscriberImportRules) {
+          await rule.run(rowReq);
+        }
+        const rowErrors = validationResult(rowReq);
+        if (!rowErrors.isEmpty()) {
+          errors.push({ line, error: rowErrors.array()[0].msg });
+          continue;
+        }
+
+        const result = await pool.query(
+          `INSERT INTO subscribers
+             (name, email, unsubscribe_token, is_active, frequency, confirmed_at)
+           VALUES ($1, $2, $3, true, $4, CURRENT_TIMESTAMP)
+           ON CONFLICT (email) DO NOTHING
+           RETURNING id`,
+          [
+            sanitizeText(rowReq.body.name),
+            rowReq.body.email,
+            generateUnsubscribeToken(),
+            rowReq.body.frequency || "instant",
+          ],
+        );
+        if (result.rows.length > 0) {
+          imported++;
+        } else {
+          skipped++;
+        }
       }
 
-      const subscribers = await pool.query(
-        "SELECT name, email, unsubscribe_token FROM subscribers WHERE is_active = true",
-      );
-
-      if (subscribers.rows.length > 0) {
-        // Determine if it's an image or video for the notification
-        const isVideo = req.file.mimetype.startsWith("video/");
-        const artworkType = isVideo ? "video artwork" : "artwork";
-
-        // Get base URL for this request
-        const baseUrl = buildBaseUrl(req);
-
-        // Send notification to all subscribers
-        const emailPromises = subscribers.rows.map(async (subscriber) => {
-          try {
-            // Get unsubscribe token for this subscriber
-            const unsubscribeData = await pool.query(
-              "SELECT unsubscribe_token FROM subscribers WHERE email = $1",
-              [subscriber.email],
-            );
-
-            const unsubscribeToken = unsubscribeData.rows[0]?.unsubscribe_token;
-            const unsubscribeUrl = unsubscribeToken
-              ? `${baseUrl}/unsubscribe?token=${unsubscribeToken}`
-              : "#";
-
-            await sendEmail({
-              to: subscriber.email,
-              subject: "🎨 New Artwork Added to Alex Martínez Portfolio!",
-              text: `Hi ${subscriber.name}!\n\nI've just added a new ${artworkType} to my portfolio. Check it out and see what I've been working on lately!\n\nView the latest work: ${baseUrl}\n\nYou can unsubscribe at any time: ${unsubscribeUrl}\n\nBest regards,\nAlex Martínez`,
-              html: `
-                <h2>🎨 New Artwork Added!</h2>
-                <p>Hi ${subscriber.name}!</p>
-                <p>I've just added a new <strong>${artworkType}</strong> to my portfolio. Check it out and see what I've been working on lately!</p>
-                <p style="text-align: center; margin: 30px 0;">
-                  <a href="${baseUrl}" 
-                     style="background: #007bff; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block;">
-                    View Latest Work
-                  </a>
-                </p>
-                <p>Thank you for following my artistic journey!</p>
-                <p>Best regards,<br>Alex Martínez</p>
-                <hr>
-                <p style="font-size: 12px; color: #666;">
-                  <a href="${unsubscribeUrl}" style="color: #666;">Unsubscribe from these emails</a>
-                </p>
-              `,
-            });
-          } catch (emailError) {
-            console.error(
-              `Failed to send notification to ${subscriber.email}:`,
-              emailError,
-            );
-          }
+      console.log(
+        `Imported ${imported} subscribers (${skipped} already present)`,
+      );
+      res.json({ imported, skipped, errors });
+    } catch (error) {
+      console.error("Subscriber import error:", error);
+      res.status(500).json({ error: "Failed to import subscribers" });
+    }
+  },
+);
+
+app.post(
+  "/admin/subscribers/:id/deactivate",
+  auth,
+  requireDatabase,
+  async (req, res) => {
+    try {
+      const result = await pool.query(
+        `UPDATE subscribers SET is_active = false, confirmation_token = NULL
+         WHERE id = $1 RETURNING *`,
+        [parseInt(req.params.id)],
+      );
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: "Subscriber not found" });
+      }
+      res.json(formatSubscriber(result.rows[0]));
+    } catch (error) {
+      console.error("Subscriber deactivate error:", error);
+      res.status(500).json({ error: "Failed to deactivate subscriber" });
+    }
+  },
+);
+
+app.post(
+  "/admin/subscribers/:id/reactivate",
+  auth,
+  requireDatabase,
+  async (req, res) => {
+    try {
+      const existing = await pool.query(
+        "SELECT confirmed_at FROM subscribers WHERE id = $1",
+        [parseInt(req.params.id)],
+      );
+      if (existing.rows.length === 0) {
+        return res.status(404).json({ error: "Subscriber not found" });
+      }
+      // Double opt-in: only people who confirmed at some point can be switched back on
+      if (!existing.rows[0].confirmed_at) {
+        return res.status(400).json({
+          error: "This subscriber has never confirmed their email address",
         });
+      }
 
-        await Promise.allSettled(emailPromises);
-        console.log(
-          `Portfolio notification sent to ${subscribers.rows.length} subscribers`,
-        );
+      const result = await pool.query(
+        `UPDATE subscribers SET is_active = true, confirmation_token = NULL
+         WHERE id = $1 RETURNING *`,
+        [parseInt(req.params.id)],
+      );
+      res.json(formatSubscriber(result.rows[0]));
+    } catch (error) {
+      console.error("Subscriber reactivate error:", error);
+      res.status(500).json({ error: "Failed to reactivate subscriber" });
+    }
+  },
+);
+
+app.delete(
+  "/admin/subscribers/:id",
+  auth,
+  requireDatabase,
+  async (req, res) => {
+    try {
+      const result = await pool.query(
+        "DELETE FROM subscribers WHERE id = $1 RETURNING email",
+        [parseInt(req.params.id)],
+      );
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: "Subscriber not found" });
       }
-    } catch (notificationError) {
-      console.error(
-        "Failed to send portfolio notifications:",
-        notificationError,
+      await mailQueue.removeRecipient(result.rows[0].email);
+      res.json({ success: true });
+    } catch (error) {
+      console.error("Subscriber delete error:", error);
+      res.status(500).json({ error: "Failed to delete subscriber" });
+    }
+  },
+);
+
+// ---- ADMIN: NEWSLETTERS ---- //
+// One-off newsletters written in Markdown. Scheduling marks a newsletter as
+// "scheduled"; the newsletter scheduler then queues one copy per subscriber
+// (each with their own preference/unsubscribe links) on the mail queue, and
+// the newsletter moves to "sent". Lifecycle: draft -> scheduled -> sending -> sent
+const newslettersFile = path.join(dataDir, "newsletters.json");
+const NEWSLETTER_CHECK_INTERVAL_MS = 60 * 1000;
+
+const newsletterRepository = pool
+  ? createPostgresRepository(pool, {
+      table: "newsletters",
+      columns: {
+        id: "id",
+        subject: "subject",
+        markdown: "body_markdown",
+        itemIds: "item_ids",
+        status: "status",
+        scheduledAt: "scheduled_at",
+        sentAt: "sent_at",
+        recipientCount: "recipient_count",
+        createdAt: "created_at",
+        updatedAt: "updated_at",
+      },
+      jsonColumns: ["itemIds"],
+    })
+  : createFileRepository(newslettersFile);
+
+// Markdown -> HTML that is safe to email. Site-relative links and images are
+// made absolute since they're opened from a mail client.
+function renderNewsletterMarkdown(markdown, baseUrl) {
+  const absolute = (url) => (url && url.startsWith("/") ? baseUrl + url : url);
+  return sanitizeHtml(marked.parse(markdown || ""), {
+    allowedTags: sanitizeHtml.defaults.allowedTags.concat(["img", "h1", "h2"]),
+    allowedAttributes: {
+      a: ["href", "title"],
+      img: ["src", "alt", "title", "width", "height", "style"],
+    },
+    allowedSchemes: ["http", "https", "mailto"],
+    transformTags: {
+      a: (tagName, attribs) => ({
+        tagName,
+        attribs: { ...attribs, href: absolute(attribs.href) },
+      }),
+      img: (tagName, attribs) => ({
+        tagName,
+        attribs: {
+          ...attribs,
+          src: absolute(attribs.src),
+          style: "max-width: 100%; height: auto;",
+        },
+      }),
+    },
+    allowedStyles: { img: { "max-width": [/.*/], height: [/.*/] } },
+  });
+}
+
+// The parts of a newsletter shared by every recipient
+async function buildNewsletterContent(newsletter, baseUrl) {
+  const ids = newsletter.itemIds || [];
+  const items = (await listPortfolioItems()).filter((item) =>
+    ids.includes(item.id),
+  );
+
+  const list = buildEmailItemList(items, baseUrl);
+
+  return {
+    subject: newsletter.subject,
+    html: `${renderNewsletterMarkdown(newsletter.markdown, baseUrl)}${list.html}`,
+    text: [newsletter.markdown, list.text].filter(Boolean).join("\n\n"),
+  };
+}
+
+function buildNewsletterEmail(content, subscriber, baseUrl) {
+  const footer = buildSubscriberEmailFooter(subscriber, baseUrl);
+  return {
+    to: subscriber.email,
+    subject: content.subject,
+    text: `${content.text}\n\n${footer.text}`,
+    html: `${content.html}${footer.html}`,
+  };
+}
+
+// Queue every due scheduled newsletter for subscribers who want newsletters.
+// Runs from the scheduler and from "send now"; a call made while another run
+// is in progress is skipped rather than risk queueing a newsletter twice.
+// Subscribers who already have a job in the newsletter's batch are skipped,
+// so a newsletter recovered after a crash mid-queue only reaches the rest.
+let newsletterRunInProgress = false;
+
+async function sendDueNewsletters(now = new Date()) {
+  if (!pool || newsletterRunInProgress) return 0;
+  newsletterRunInProgress = true;
+  try {
+    return await queueDueNewsletters(now);
+  } finally {
+    newsletterRunInProgress = false;
+  }
+}
+
+async function queueDueNewsletters(now) {
+  const due = (await newsletterRepository.list()).filter(
+    (newsletter) =>
+      newsletter.status === "scheduled" &&
+      new Date(newsletter.scheduledAt) <= now,
+  );
+
+  for (const newsletter of due) {
+    await newsletterRepository.update(newsletter.id, { status: "sending" });
+
+    const batch = `newsletter-${newsletter.id}`;
+    const alreadyQueued = new Set(await mailQueue.recipients(batch));
+    const baseUrl = publicBaseUrl();
+    const content = await buildNewsletterContent(newsletter, baseUrl);
+    const subscribers = await pool.query(
+      `SELECT name, email, unsubscribe_token FROM subscribers
+       WHERE is_active = true AND confirmed_at IS NOT NULL AND notify_newsletter = true`,
+    );
+    const queued = await mailQueue.enqueue(
+      subscribers.rows
+        .filter((subscriber) => !alreadyQueued.has(subscriber.email))
+        .map((subscriber) => ({
+          batch,
+          ...buildNewsletterEmail(content, subscriber, baseUrl),
+        })),
+    );
+
+    await newsletterRepository.update(newsletter.id, {
+      status: "sent",
+      sentAt: new Date().toISOString(),
+      recipientCount: alreadyQueued.size + queued,
+    });
+    console.log(`Newsletter ${newsletter.id} queued for ${queued} subscribers`);
+  }
+  return due.length;
+}
+
+// A newsletter still "sending" at startup was interrupted while being queued;
+// scheduling it again lets the next run queue whoever it hadn't reached
+async function recoverInterruptedNewsletters() {
+  const interrupted = (await newsletterRepository.list()).filter(
+    (newsletter) => newsletter.status === "sending",
+  );
+  for (const newsletter of interrupted) {
+    await newsletterRepository.update(newsletter.id, {
+      status: "scheduled",
+      scheduledAt: newsletter.scheduledAt || new Date().toISOString(),
+    });
+    console.log(
+      `Newsletter ${newsletter.id} was interrupted; queueing it again`,
+    );
+  }
+}
+
+function startNewsletterScheduler() {
+  const tick = () =>
+    sendDueNewsletters().catch((error) =>
+      console.error("Newsletter scheduler error:", error),
+    );
+  setInterval(tick, NEWSLETTER_CHECK_INTERVAL_MS);
+  recoverInterruptedNewsletters()
+    .catch((error) => console.error("Newsletter recovery error:", error))
+    .then(tick);
+}
+
+const newsletterValidationRules = [
+  body("subject")
+    .trim()
+    .notEmpty()
+    .withMessage("Subject is required")
+    .isLength({ max: 200 })
+    .withMessage("Subject must be at most 200 characters"),
+  body("markdown")
+    .optional()
+    .isString()
+    .isLength({ max: 50000 })
+    .withMessage("Newsletter body must be at most 50,000 characters"),
+  body("itemIds")
+    .optional()
+    .isArray({ max: 24 })
+    .withMessage("Attach at most 24 portfolio items"),
+  body("itemIds.*").isInt().withMessage("Unknown portfolio item").toInt(),
+];
+
+// Only drafts and not-yet-sent scheduled newsletters can change
+const isEditable = (newsletter) =>
+  newsletter.status === "draft" || newsletter.status === "scheduled";
+
+app.get("/admin/newsletters", auth, async (req, res) => {
+  try {
+    const newsletters = await newsletterRepository.list();
+    res.json(newsletters.reverse());
+  } catch (error) {
+    console.error("Newsletter list error:", error);
+    res.status(500).json({ error: "Failed to load newsletters" });
+  }
+});
+
+app.post(
+  "/admin/newsletters/preview",
+  auth,
+  newsletterValidationRules,
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: errors.array()[0].msg });
+    }
+
+    try {
+      const baseUrl = buildBaseUrl(req);
+      const content = await buildNewsletterContent(req.body, baseUrl);
+      const email = buildNewsletterEmail(
+        content,
+        { email: "", unsubscribe_token: "preview" },
+        baseUrl,
       );
-      // Don't fail the upload if notification fails
+      res.json({ subject: email.subject, html: email.html, text: email.text });
+    } catch (error) {
+      console.error("Newsletter preview error:", error);
+      res.status(500).json({ error: "Failed to render preview" });
+    }
+  },
+);
+
+app.post(
+  "/admin/newsletters",
+  auth,
+  newsletterValidationRules,
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: errors.array()[0].msg });
     }
 
-    res.json(newItem);
-  } catch (error) {
-    console.error("Portfolio upload error:", error);
-    res.status(500).json({ error: "Failed to upload portfolio item" });
-  }
-});
-
-app.get("/portfolio-images", (req, res) => {
-  try {
-    if (fs.existsSync(portfolioFile)) {
-      const data = fs.readFileSync(portfolioFile, "utf8");
-      const portfolio = JSON.parse(data);
-      return res.json(portfolio);
+    try {
+      const now = new Date().toISOString();
+      const newsletter = await newsletterRepository.insert({
+        id: Date.now(),
+        subject: req.body.subject,
+        markdown: req.body.markdown || "",
+        itemIds: req.body.itemIds || [],
+        status: "draft",
+        scheduledAt: null,
+        sentAt: null,
+        recipientCount: null,
+        createdAt: now,
+        updatedAt: now,
+      });
+      res.json(newsletter);
+    } catch (error) {
+      console.error("Newsletter create error:", error);
+      res.status(500).json({ error: "Failed to save newsletter" });
     }
-    res.json([]);
-  } catch (error) {
-    console.error("Portfolio images error:", error);
-    res.status(500).json({ error: "Failed to load portfolio images" });
-  }
-});
+  },
+);
 
-// Update portfolio caption
 app.patch(
-  "/portfolio/:id/caption",
+  "/admin/newsletters/:id",
   auth,
-  [
-    body("caption")
-      .isString()
-      .isLength({ max: 500 })
-      .withMessage("Caption must be a string with maximum 500 characters"),
-  ],
-  (req, res) => {
-    try {
-      const errors = validationResult(req);
-      if (!errors.isEmpty()) {
-        return res.status(400).json({ error: errors.array()[0].msg });
-      }
+  newsletterValidationRules,
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: errors.array()[0].msg });
+    }
 
-      if (!fs.existsSync(portfolioFile)) {
-        return res.status(404).json({ error: "Portfolio file not found" });
+    try {
+      const id = parseInt(req.params.id);
+      const newsletter = await newsletterRepository.get(id);
+      if (!newsletter) {
+        return res.status(404).json({ error: "Newsletter not found" });
       }
-
-      const portfolio = JSON.parse(fs.readFileSync(portfolioFile, "utf8"));
-      const itemIndex = portfolio.findIndex(
-        (item) => item.id === parseInt(req.params.id),
-      );
-
-      if (itemIndex === -1) {
-        return res.status(404).json({ error: "Portfolio item not found" });
+      if (!isEditable(newsletter)) {
+        return res
+          .status(409)
+          .json({ error: "This newsletter has already been sent" });
       }
 
-      // Sanitize caption to prevent XSS
-      const sanitizedCaption = sanitizeHtml(req.body.caption.trim(), {
-        allowedTags: [], // No HTML tags allowed
-        allowedAttributes: {},
-      });
-
-      portfolio[itemIndex].caption = sanitizedCaption;
-      fs.writeFileSync(portfolioFile, JSON.stringify(portfolio, null, 2));
+      const changes = {
+        subject: req.body.subject,
+        updatedAt: new Date().toISOString(),
+      };
+      if (req.body.markdown !== undefined) changes.markdown = req.body.markdown;
+      if (req.body.itemIds !== undefined) changes.itemIds = req.body.itemIds;
 
-      res.json({
-        success: true,
-        message: "Caption updated successfully",
-        caption: sanitizedCaption,
-      });
+      const updated = await newsletterRepository.update(id, changes);
+      res.json(updated);
     } catch (error) {
-      console.error("Caption update error:", error);
-      res.status(500).json({ error: "Failed to update caption" });
+      console.error("Newsletter update error:", error);
+      res.status(500).json({ error: "Failed to save newsletter" });
     }
   },
 );
 
-app.delete("/portfolio/:id", auth, (req, res) => {
+app.delete("/admin/newsletters/:id", auth, async (req, res) => {
   try {
-    if (!fs.existsSync(portfolioFile)) {
-      return res.json({ success: true, message: "Portfolio file not found" });
+    const id = parseInt(req.params.id);
+    const newsletter = await newsletterRepository.get(id);
+    if (!newsletter) {
+      return res.status(404).json({ error: "Newsletter not found" });
     }
-
-    const data = fs.readFileSync(portfolioFile, "utf8");
-    let portfolio = JSON.parse(data);
-    const itemToDelete = portfolio.find((p) => p.id == req.params.id);
-
-    if (itemToDelete) {
-      // Delete the actual file from filesystem
-      const filePath = path.join(
-        __dirname,
-        "uploads",
-        itemToDelete.url.replace("/uploads/", ""),
-      );
-      if (fs.existsSync(filePath)) {
-        fs.unlinkSync(filePath);
-      }
+    if (!isEditable(newsletter)) {
+      return res
+        .status(409)
+        .json({ error: "Sent newsletters can't be deleted" });
     }
-
-    portfolio = portfolio.filter((p) => p.id != req.params.id);
-    fs.writeFileSync(portfolioFile, JSON.stringify(portfolio, null, 2));
-
+    await newsletterRepository.remove(id);
     res.json({ success: true });
   } catch (error) {
-    console.error("Portfolio delete error:", error);
-    res.status(500).json({ error: "Failed to delete portfolio item" });
+    console.error("Newsletter delete error:", error);
+    res.status(500).json({ error: "Failed to delete newsletter" });
   }
 });
 
-// ---- CONTACT FORM ---- //
+// Send a single copy straight away (not through the queue) so the artist can
+// check it in their own inbox
 app.post(
-  "/contact",
+  "/admin/newsletters/:id/test",
+  auth,
   [
-    body("name")
-      .notEmpty()
-      .trim()
-      .isLength({ min: 2, max: 100 })
-      .withMessage("Name must be 2-100 characters"),
     body("email")
+      .optional({ values: "falsy" })
       .isEmail()
       .normalizeEmail()
       .withMessage("Valid email is required"),
-    body("message")
-      .notEmpty()
-      .trim()
-      .isLength({ min: 10, max: 1000 })
-      .withMessage("Message must be 10-1000 characters"),
   ],
   async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: errors.array()[0].msg });
+    }
+
     try {
-      const errors = validationResult(req);
-      if (!errors.isEmpty()) {
-        return res.status(400).json({ success: false, errors: errors.array() });
+      const newsletter = await newsletterRepository.get(
+        parseInt(req.params.id),
+      );
+      if (!newsletter) {
+        return res.status(404).json({ error: "Newsletter not found" });
       }
 
-      const { name, email, message } = req.body;
+      const to =
+        req.body.email ||
+        process.env.NEWSLETTER_TEST_EMAIL ||
+        process.env.CONTACT_EMAIL ||
+        "alexjmartinez0502@gmail.com";
+      const baseUrl = buildBaseUrl(req);
+      const content = await buildNewsletterContent(newsletter, baseUrl);
+      const email = buildNewsletterEmail(
+        { ...content, subject: `[Test] ${content.subject}` },
+        { email: to, unsubscribe_token: "test" },
+        baseUrl,
+      );
 
-      // Check if SMTP is configured
-      if (
-        !process.env.SMTP_HOST ||
-        !process.env.SMTP_USER ||
-        !process.env.SMTP_PASS
-      ) {
-        console.warn(
-          "SMTP not configured - contact form submission logged but email not sent",
-        );
-        // Log the contact form submission for manual review
-        console.log("Contact form submission (SMTP not configured):", {
-          name: name,
-          email: email,
-          message: message,
-          timestamp: new Date().toISOString(),
-        });
-        // Return success with notification about email service
-        return res.json({
-          success: true,
-          message: "Message received successfully. We'll get back to you soon!",
-          note: "Email service temporarily unavailable",
-        });
+      const result = await sendEmail(email);
+      if (result && result.mock) {
+        return res.status(503).json({ error: result.error });
       }
-
-      const transporter = nodemailer.createTransport({
-        host: process.env.SMTP_HOST,
-        port: process.env.SMTP_PORT || 587,
-        secure: false,
-        auth: {
-          user: process.env.SMTP_USER,
-          pass: process.env.SMTP_PASS,
-        },
-      });
-
-      await transporter.sendMail({
-        from: process.env.SMTP_USER,
-        to: process.env.CONTACT_EMAIL || "alexjmartinez0502@gmail.com",
-        subject: `New Inquiry from ${name}`,
-        text: `${message}\n\nFrom: ${name} <${email}>`,
-        html: `
-        <h3>New Contact Form Submission</h3>
-        <p><strong>Name:</strong> ${name}</p>
-        <p><strong>Email:</strong> ${email}</p>
-        <p><strong>Message:</strong></p>
-        <p>${message.replace(/\n/g, "<br>")}</p>
-      `,
-      });
-
-      res.json({ success: true, message: "Message sent successfully" });
-    } catch (err) {
-      console.error("Contact form error:", err);
-      res.status(500).json({
-        success: false,
-        error: "Failed to send message. Please try again later.",
-      });
+      res.json({ success: true, to });
+    } catch (error) {
+      console.error("Newsletter test send error:", error);
+      res.status(500).json({ error: "Failed to send test email" });
     }
   },
 );
 
-// ---- SUBSCRIBE ENDPOINT ---- //
+// Schedule for `sendAt`, or for right away when it's omitted
 app.post(
-  "/subscribe",
+  "/admin/newsletters/:id/schedule",
+  auth,
+  requireDatabase,
   [
-    body("name")
-      .notEmpty()
-      .trim()
-      .isLength({ min: 2, max: 100 })
-      .withMessage("Name must be 2-100 characters"),
-    body("email")
-      .isEmail()
-      .normalizeEmail()
-      .withMessage("Valid email is required"),
+    body("sendAt")
+      .optional({ values: "falsy" })
+      .isISO8601()
+      .withMessage("sendAt must be a date and time"),
   ],
   async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: errors.array()[0].msg });
+    }
+
     try {
-      // Check if database is available
-      if (!pool) {
-        return res.status(503).json({
-          success: false,
-          error:
-            "Database service is currently unavailable. Please try again later.",
-        });
+      const id = parseInt(req.params.id);
+      const newsletter = await newsletterRepository.get(id);
+      if (!newsletter) {
+        return res.status(404).json({ error: "Newsletter not found" });
       }
-
-      const errors = validationResult(req);
-      if (!errors.isEmpty()) {
-        return res.status(400).json({ success: false, errors: errors.array() });
+      if (!isEditable(newsletter)) {
+        return res
+          .status(409)
+          .json({ error: "This newsletter has already been sent" });
       }
-
-      const { name, email } = req.body;
-
-      // Check if email already exists
-      const existingSubscriber = await pool.query(
-        "SELECT * FROM subscribers WHERE email = $1",
-        [email],
-      );
-
-      let isNewSubscriber = false;
-      if (existingSubscriber.rows.length > 0) {
-        if (existingSubscriber.rows[0].is_active) {
-          return res.status(400).json({
-            success: false,
-            error: "You are already subscribed to updates!",
-          });
-        } else {
-          // Reactivate existing subscriber
-          await pool.query(
-            "UPDATE subscribers SET is_active = true, subscribed_at = CURRENT_TIMESTAMP WHERE email = $1",
-            [email],
-          );
-          isNewSubscriber = false;
-        }
-      } else {
-        // Add new subscriber with unsubscribe token
-        const unsubscribeToken = generateUnsubscribeToken();
-        await pool.query(
-          "INSERT INTO subscribers (name, email, unsubscribe_token) VALUES ($1, $2, $3)",
-          [name, email, unsubscribeToken],
-        );
-        isNewSubscriber = true;
+      if (!newsletter.markdown.trim() && !newsletter.itemIds.length) {
+        return res.status(400).json({ error: "The newsletter is empty" });
       }
 
-      // Only send welcome email to new subscribers, not reactivated ones
-      if (isNewSubscriber) {
-        // Get the subscriber with unsubscribe token for welcome email
-        const subscriberData = await pool.query(
-          "SELECT unsubscribe_token FROM subscribers WHERE email = $1",
-          [email],
-        );
-
-        const unsubscribeToken = subscriberData.rows[0]?.unsubscribe_token;
-        const baseUrl = buildBaseUrl(req);
-        const unsubscribeUrl = `${baseUrl}/unsubscribe?token=${unsubscribeToken}`;
+      const updated = await newsletterRepository.update(id, {
+        status: "scheduled",
+        scheduledAt: new Date(req.body.sendAt || Date.now()).toISOString(),
+        updatedAt: new Date().toISOString(),
+      });
 
-        // Send welcome email using Replit Mail
-        try {
-          await sendEmail({
-            to: email,
-            subject: "Welcome to Alex Martínez Portfolio Updates!",
-            text: `Hi ${name}!\n\nThank you for subscribing to my portfolio updates. You'll be the first to know when I add new artwork to my collection.\n\nYou can unsubscribe at any time: ${unsubscribeUrl}\n\nBest regards,\nAlex Martínez`,
-            html: `
-              <h2>Welcome to Alex Martínez Portfolio Updates!</h2>
-              <p>Hi ${name}!</p>
-              <p>Thank you for subscribing to my portfolio updates. You'll be the first to know when I add new artwork to my collection.</p>
-              <p>Stay tuned for exciting new creative works!</p>
-              <p>Best regards,<br>Alex Martínez</p>
-              <hr>
-              <p style="font-size: 12px; color: #666;">
-                <a href="${unsubscribeUrl}" style="color: #666;">Unsubscribe from these emails</a>
-              </p>
-            `,
-          });
-        } catch (emailError) {
-          console.error("Failed to send welcome email:", emailError);
-          // Don't fail the subscription if email fails
-        }
+      // Don't make "send now" wait for the next scheduler tick
+      if (new Date(updated.scheduledAt) <= new Date()) {
+        sendDueNewsletters().catch((error) =>
+          console.error("Newsletter send error:", error),
+        );
       }
-
-      res.json({
-        success: true,
-        message:
-          "Successfully subscribed! Check your email for a welcome message.",
-      });
-    } catch (err) {
-      console.error("Subscribe error:", err);
-      res.status(500).json({
-        success: false,
-        error: "Failed to subscribe. Please try again later.",
-      });
+      res.json(updated);
+    } catch (error) {
+      console.error("Newsletter schedule error:", error);
+      res.status(500).json({ error: "Failed to schedule newsletter" });
     }
   },
 );
 
-// ---- UNSUBSCRIBE ENDPOINT ---- //
-app.get("/unsubscribe", async (req, res) => {
+app.post("/admin/newsletters/:id/unschedule", auth, async (req, res) => {
   try {
-    // Check if database is available
-    if (!pool) {
-      return res.status(503).send(`
-        <html><body style="font-family: Arial, sans-serif; max-width: 600px; margin: 50px auto; padding: 20px;">
-          <h2 style="color: #dc3545;">Service Temporarily Unavailable</h2>
-          <p>The unsubscribe service is currently unavailable. Please try again later.</p>
-          <p>If this problem persists, please contact us directly.</p>
-        </body></html>
-      `);
+    const id = parseInt(req.params.id);
+    const newsletter = await newsletterRepository.get(id);
+    if (!newsletter) {
+      return res.status(404).json({ error: "Newsletter not found" });
     }
-
-    const { token } = req.query;
-
-    if (!token) {
-      return res.status(400).send(`
-        <html><body>
-          <h2>Invalid Unsubscribe Link</h2>
-          <p>The unsubscribe link appears to be invalid or incomplete.</p>
-        </body></html>
-      `);
+    if (newsletter.status !== "scheduled") {
+      return res
+        .status(409)
+        .json({ error: "Only scheduled newsletters can be unscheduled" });
     }
+    const updated = await newsletterRepository.update(id, {
+      status: "draft",
+      scheduledAt: null,
+      updatedAt: new Date().toISOString(),
+    });
+    res.json(updated);
+  } catch (error) {
+    console.error("Newsletter unschedule error:", error);
+    res.status(500).json({ error: "Failed to unschedule newsletter" });
+  }
+});
 
-    // Find subscriber by token and deactivate
-    const result = await pool.query(
-      "UPDATE subscribers SET is_active = false WHERE unsubscribe_token = $1 AND is_active = true RETURNING name, email",
-      [token],
-    );
+// ---- ADMIN: MAIL QUEUE ---- //
+app.get("/admin/mail-queue", auth, async (req, res) => {
+  try {
+    const status = ["pending", "sending", "sent", "failed"].includes(
+      req.query.status,
+    )
+      ? req.query.status
+      : undefined;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
 
-    if (result.rows.length === 0) {
-      return res.status(404).send(`
-        <html><body>
-          <h2>Unsubscribe Link Not Found</h2>
-          <p>This unsubscribe link is either invalid or you may already be unsubscribed.</p>
-        </body></html>
-      `);
-    }
+    const queueStatus = await mailQueue.status({
+      status,
+      batch: req.query.batch || undefined,
+      limit,
+    });
 
-    const subscriber = result.rows[0];
-    console.log(`Successfully unsubscribed: ${subscriber.email}`);
+    res.json({
+      ratePerMinute: MAIL_SEND_RATE_PER_MINUTE,
+      maxAttempts: MAIL_MAX_ATTEMPTS,
+      ...queueStatus,
+    });
+  } catch (error) {
+    console.error("Mail queue status error:", error);
+    res.status(500).json({ error: "Failed to load mail queue status" });
+  }
+});
 
-    res.send(`
-      <html><body style="font-family: Arial, sans-serif; max-width: 600px; margin: 50px auto; padding: 20px;">
-        <h2 style="color: #28a745;">✓ Successfully Unsubscribed</h2>
-        <p>Hi ${subscriber.name},</p>
-        <p>You have been successfully unsubscribed from Alex Martínez Portfolio updates.</p>
-        <p>You will no longer receive email notifications about new artwork.</p>
-        <p>If you change your mind, you can always subscribe again on our website.</p>
-        <p>Best regards,<br>Alex Martínez</p>
-      </body></html>
-    `);
+app.post("/admin/mail-queue/:id/retry", auth, async (req, res) => {
+  try {
+    const requeued = await mailQueue.retry(parseInt(req.params.id));
+    if (!requeued) {
+      return res.status(404).json({ error: "Failed email not found" });
+    }
+    res.json({ success: true });
   } catch (error) {
-    console.error("Unsubscribe error:", error);
-    res.status(500).send(`
-      <html><body>
-        <h2>Error</h2>
-        <p>There was an error processing your unsubscribe request. Please try again later or contact support.</p>
-      </body></html>
-    `);
+    console.error("Mail queue retry error:", error);
+    res.status(500).json({ error: "Failed to retry email" });
   }
 });
 
@@ -892,7 +8404,7 @@ app.use((error, req, res, next) => {
     if (error.code === "LIMIT_FILE_SIZE") {
       return res
         .status(400)
-        .json({ error: "File too large. Maximum size is 1GB." });
+        .json({ error: "File too large. Maximum size is 50MB." });
     }
     return res
       .status(400)
@@ -905,6 +8417,62 @@ app.use((error, req, res, next) => {
 
 // ---- Start server ---- //
 const PORT = process.env.PORT || 5000;
-app.listen(PORT, "0.0.0.0", () =>
-  console.log(`Server running at http://0.0.0.0:${PORT}`),
-);
+
+async function startServer() {
+  // Refuse to serve requests against a schema that didn't migrate cleanly
+  if (pool) {
+    try {
+      await runMigrations(pool);
+    } catch (error) {
+      console.error("FATAL: Database migration failed:", error);
+      process.exit(1);
+    }
+  }
+
+  // One-off maintenance run: process existing items and exit without serving
+  if (process.argv.includes("--backfill-renditions")) {
+    await backfillRenditions();
+    process.exit(0);
+  }
+
+  try {
+    await bootstrapOwner();
+  } catch (error) {
+    console.error("FATAL: Could not create the owner account:", error);
+    process.exit(1);
+  }
+
+  try {
+    await migrateCommissionReferences();
+  } catch (error) {
+    console.error("Failed to move commission references:", error);
+  }
+
+  try {
+    await startMailWorker();
+  } catch (error) {
+    console.error("Failed to start mail worker:", error);
+  }
+
+  startUploadSessionCleanup();
+  startPublishScheduler();
+  startTrashPurge();
+  startOrderExpiry();
+  startRateLimitPurge();
+  startSessionCleanup();
+
+  resumePendingTranscodes().catch((error) => {
+    console.error("Failed to resume video transcodes:", error);
+  });
+
+  if (pool) {
+    startDigestScheduler();
+    startNewsletterScheduler();
+  }
+
+  app.listen(PORT, "0.0.0.0", () =>
+    console.log(`Server running at http://0.0.0.0:${PORT}`),
+  );
+}
+
+startServer();
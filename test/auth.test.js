@@ -0,0 +1,240 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const sharp = require("sharp");
+const {
+  startApp,
+  bearer,
+  readData,
+  writeData,
+  ADMIN_PASSWORD,
+} = require("./helpers");
+
+let app;
+
+before(async () => {
+  app = await startApp();
+});
+
+after(() => app && app.close());
+
+// The server trusts one proxy hop, so X-Forwarded-For picks the client IP
+function loginFrom(ip, password) {
+  return app.post(
+    "/login",
+    { username: "admin", password },
+    { "X-Forwarded-For": ip },
+  );
+}
+
+test("failed logins lock out the guessing IP but not the admin elsewhere", async () => {
+  for (let i = 0; i < 5; i++) {
+    const { status } = await loginFrom("203.0.113.7", "wrong-password");
+    assert.equal(status, 401);
+  }
+
+  const locked = await loginFrom("203.0.113.7", ADMIN_PASSWORD);
+  assert.equal(locked.status, 429);
+  assert.ok(Number(locked.headers.get("retry-after")) > 0);
+
+  const elsewhere = await loginFrom("198.51.100.20", ADMIN_PASSWORD);
+  assert.equal(elsewhere.status, 200);
+  assert.ok(elsewhere.body.token);
+});
+
+test("login attempts are rate limited per IP", async () => {
+  let status;
+  for (let i = 0; i < 21; i++) {
+    ({ status } = await loginFrom("192.0.2.55", ADMIN_PASSWORD));
+    if (status === 429) break;
+  }
+  assert.equal(status, 429);
+
+  const other = await loginFrom("192.0.2.56", ADMIN_PASSWORD);
+  assert.equal(other.status, 200);
+});
+
+test("a refresh token works once; replaying it signs the session out", async () => {
+  const { token, refreshToken } = await app.login();
+  const refreshed = await app.post("/auth/refresh", { refreshToken });
+  assert.equal(refreshed.status, 200);
+  assert.notEqual(refreshed.body.refreshToken, refreshToken);
+
+  const replayed = await app.post("/auth/refresh", { refreshToken });
+  assert.equal(replayed.status, 401);
+  for (const access of [token, refreshed.body.token]) {
+    const me = await app.request("/auth/me", { headers: bearer(access) });
+    assert.equal(me.status, 401);
+  }
+  const next = await app.post("/auth/refresh", {
+    refreshToken: refreshed.body.refreshToken,
+  });
+  assert.equal(next.status, 401);
+});
+
+test("signed out and expired sessions stop their access tokens", async () => {
+  const form = new FormData();
+  const image = await sharp({
+    create: { width: 8, height: 8, channels: 3, background: "#999" },
+  })
+    .png()
+    .toBuffer();
+  form.append("file", new Blob([image], { type: "image/png" }), "draft.png");
+  form.append("status", "draft");
+  const owner = bearer((await app.login()).token);
+  const draft = await app.request("/upload/portfolio", {
+    method: "POST",
+    headers: owner,
+    body: form,
+  });
+  assert.equal(draft.status, 200);
+  const seesDraft = async (headers) => {
+    const { body } = await app.request("/portfolio-images", { headers });
+    return body.some((item) => item.id === draft.body.id);
+  };
+  assert.equal(await seesDraft(owner), true);
+
+  // Logging out ends the access token too, on admin and public routes alike
+  await app.post("/auth/logout", {}, owner);
+  assert.equal((await app.request("/auth/me", { headers: owner })).status, 401);
+  assert.equal(await seesDraft(owner), false);
+
+  // So does a session running past its expiry
+  const { token } = await app.login();
+  const sessions = readData(app, "data/sessions.json");
+  sessions.forEach((session) => {
+    session.expiresAt = new Date(Date.now() - 1000).toISOString();
+  });
+  writeData(app, "data/sessions.json", sessions);
+  assert.equal(
+    (await app.request("/auth/me", { headers: bearer(token) })).status,
+    401,
+  );
+  assert.equal(await seesDraft(bearer(token)), false);
+});
+
+test("viewers can read the admin pages but not change anything", async () => {
+  const owner = bearer((await app.login()).token);
+  const created = await app.post(
+    "/admin/users",
+    { username: "viewer", password: "viewer-password", role: "viewer" },
+    owner,
+  );
+  assert.equal(created.status, 200, JSON.stringify(created.body));
+
+  const viewer = bearer((await app.login("viewer", "viewer-password")).token);
+  assert.equal(
+    (await app.request("/admin/commissions", { headers: viewer })).status,
+    200,
+  );
+  const write = await app.request("/admin/commissions/1", {
+    method: "PATCH",
+    headers: { ...viewer, "Content-Type": "application/json" },
+    body: JSON.stringify({ status: "quoted" }),
+  });
+  assert.equal(write.status, 403);
+  const users = await app.request("/admin/users", { headers: viewer });
+  assert.equal(users.status, 403);
+});
+
+test("owners can sign a user out everywhere, but not remove the last owner", async () => {
+  const owner = bearer((await app.login()).token);
+  const created = await app.post(
+    "/admin/users",
+    { username: "editor", password: "editor-password", role: "editor" },
+    owner,
+  );
+  assert.equal(created.status, 200, JSON.stringify(created.body));
+  const editor = bearer((await app.login("editor", "editor-password")).token);
+  assert.equal(
+    (await app.request("/auth/me", { headers: editor })).status,
+    200,
+  );
+
+  const revoked = await app.post(
+    `/admin/users/${created.body.id}/revoke`,
+    {},
+    owner,
+  );
+  assert.equal(revoked.status, 200);
+  assert.equal(
+    (await app.request("/auth/me", { headers: editor })).status,
+    401,
+  );
+
+  const { body: me } = await app.request("/auth/me", { headers: owner });
+  const removeOwner = await app.request(`/admin/users/${me.id}`, {
+    method: "DELETE",
+    headers: owner,
+  });
+  assert.equal(removeOwner.status, 400);
+});
+
+test("reset links are only sent with a configured site address", async () => {
+  const request = (target) =>
+    target.post(
+      "/auth/password-reset/request",
+      { email: "owner@example.com" },
+      { Host: "attacker.example" },
+    );
+  assert.equal((await request(app)).status, 503);
+
+  const configured = await startApp({
+    env: {
+      PUBLIC_BASE_URL: "https://portfolio.example",
+      ADMIN_EMAIL: "owner@example.com",
+    },
+  });
+  try {
+    const { status } = await request(configured);
+    assert.equal(status, 200);
+    const [owner] = readData(configured, "data/users.json");
+    assert.ok(owner.passwordResetHash);
+  } finally {
+    await configured.close();
+  }
+});
+
+test("guessing one account from many IPs is slowed without locking the account", async () => {
+  const target = await startApp();
+  const attempt = (ip, password) =>
+    target.post(
+      "/login",
+      { username: "admin", password },
+      { "X-Forwarded-For": ip },
+    );
+  try {
+    let throttled;
+    for (let i = 1; i <= 11; i++) {
+      throttled = await attempt(`198.18.0.${i}`, "wrong-password");
+      if (throttled.status === 429) break;
+    }
+    assert.equal(throttled.status, 429);
+    assert.match(throttled.body.error, /second/);
+    const wait = Number(throttled.headers.get("retry-after"));
+    assert.ok(wait > 0 && wait <= 60);
+
+    // Once the delay has passed the owner gets in, from any address
+    await new Promise((resolve) => setTimeout(resolve, wait * 1000));
+    const owner = await attempt("198.18.1.1", ADMIN_PASSWORD);
+    assert.equal(owner.status, 200);
+  } finally {
+    await target.close();
+  }
+});
+
+test("wrong current passwords on a password change lead to a lockout", async () => {
+  const headers = {
+    ...bearer((await app.login()).token),
+    "X-Forwarded-For": "203.0.113.42",
+  };
+  const change = (currentPassword) =>
+    app.post(
+      "/auth/password",
+      { currentPassword, newPassword: "a-brand-new-password" },
+      headers,
+    );
+  for (let i = 0; i < 5; i++) {
+    assert.equal((await change("not-the-password")).status, 400);
+  }
+  assert.equal((await change(ADMIN_PASSWORD)).status, 429);
+});
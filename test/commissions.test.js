@@ -0,0 +1,164 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const sharp = require("sharp");
+const { startApp, bearer, readData, writeData } = require("./helpers");
+
+let app;
+let admin;
+
+before(async () => {
+  app = await startApp();
+  admin = bearer((await app.login()).token);
+});
+
+after(() => app && app.close());
+
+function png() {
+  return sharp({
+    create: { width: 8, height: 8, channels: 3, background: "#36c" },
+  })
+    .png()
+    .toBuffer();
+}
+
+async function requestCommission() {
+  const form = new FormData();
+  form.append("name", "Test Client");
+  form.append("email", "client@example.com");
+  form.append("projectType", "portrait");
+  form.append("budget", "500-1000");
+  form.append(
+    "description",
+    "A portrait of my dog in the style of the gallery.",
+  );
+  form.append(
+    "references",
+    new Blob([await png()], { type: "image/png" }),
+    "dog.png",
+  );
+  const { status, body } = await app.request("/upload/commissions", {
+    method: "POST",
+    body: form,
+  });
+  assert.equal(status, 200, JSON.stringify(body));
+  return readData(app, "data/commissions.json").at(-1);
+}
+
+test("commission references are private to the admin and the client", async () => {
+  const commission = await requestCommission();
+  const [url] = commission.references;
+  assert.match(url, /^\/admin\/commissions\/references\/[\w-]+\.png$/);
+  const filename = path.basename(url);
+  assert.ok(
+    !fs.existsSync(path.join(app.dir, "uploads/commissions", filename)),
+  );
+
+  const anonymous = await app.request(url);
+  assert.equal(anonymous.status, 401);
+  const publicCopy = await app.request(`/uploads/commissions/${filename}`);
+  assert.notEqual(publicCopy.headers.get("content-type"), "image/png");
+
+  const asAdmin = await app.request(url, { headers: admin });
+  assert.equal(asAdmin.status, 200);
+  assert.equal(asAdmin.headers.get("content-type"), "image/png");
+
+  const clientUrl = `/commissions/status/references/${filename}`;
+  const asClient = await app.request(
+    `${clientUrl}?token=${commission.statusToken}`,
+  );
+  assert.equal(asClient.status, 200);
+  const wrongToken = await app.request(`${clientUrl}?token=nope`);
+  assert.equal(wrongToken.status, 404);
+
+  const page = await app.request(
+    `/commissions/status?token=${commission.statusToken}`,
+  );
+  assert.ok(page.body.includes(`${clientUrl}?token=${commission.statusToken}`));
+});
+
+test("references saved under uploads/ are moved out on startup", async () => {
+  const legacy = path.join(app.dir, "uploads/commissions/legacy.png");
+  fs.mkdirSync(path.dirname(legacy), { recursive: true });
+  fs.writeFileSync(legacy, await png());
+  const commissions = readData(app, "data/commissions.json");
+  commissions.at(-1).references = ["/uploads/commissions/legacy.png"];
+  writeData(app, "data/commissions.json", commissions);
+
+  app = await app.restart();
+  admin = bearer((await app.login()).token);
+
+  assert.ok(!fs.existsSync(legacy));
+  const [url] = readData(app, "data/commissions.json").at(-1).references;
+  assert.equal(url, "/admin/commissions/references/legacy.png");
+  const moved = await app.request(url, { headers: admin });
+  assert.equal(moved.status, 200);
+});
+
+test("the status page escapes what the client and artist wrote", async () => {
+  const commission = await requestCommission();
+  const payload = '<img src=x onerror="alert(1)">';
+  const commissions = readData(app, "data/commissions.json");
+  Object.assign(commissions.at(-1), {
+    name: payload,
+    quote: payload,
+    description: payload,
+    history: [{ status: "new", at: commission.createdAt, message: payload }],
+  });
+  writeData(app, "data/commissions.json", commissions);
+
+  const page = await app.request(
+    `/commissions/status?token=${commission.statusToken}`,
+  );
+  assert.equal(page.status, 200);
+  assert.ok(!page.body.includes("<img src=x"));
+  assert.ok(
+    page.body.includes("&lt;img src=x onerror=&quot;alert(1)&quot;&gt;"),
+  );
+});
+
+test("status changes are recorded for the client; notes stay private", async () => {
+  const commission = await requestCommission();
+  const update = (changes) =>
+    app.request(`/admin/commissions/${commission.id}`, {
+      method: "PATCH",
+      headers: { ...admin, "Content-Type": "application/json" },
+      body: JSON.stringify(changes),
+    });
+
+  assert.equal((await update({ status: "finished" })).status, 400);
+  const quoted = await update({
+    status: "quoted",
+    quote: "$750, two weeks",
+    notes: "Client seems flexible on the deadline",
+    message: "Happy to take this on!",
+  });
+  assert.equal(quoted.status, 200, JSON.stringify(quoted.body));
+  assert.equal(quoted.body.status, "quoted");
+  assert.deepEqual(
+    quoted.body.history.map((entry) => [entry.status, entry.message]),
+    [
+      ["new", ""],
+      ["quoted", "Happy to take this on!"],
+    ],
+  );
+
+  // Saving notes without a new status leaves the history alone
+  const noted = await update({ status: "quoted", notes: "Deposit agreed" });
+  assert.equal(noted.body.history.length, quoted.body.history.length);
+
+  const { body } = await app.request("/admin/commissions?status=quoted", {
+    headers: admin,
+  });
+  assert.ok(body.commissions.every((entry) => entry.status === "quoted"));
+  assert.ok(body.counts.quoted >= 1);
+
+  const page = await app.request(
+    `/commissions/status?token=${commission.statusToken}`,
+  );
+  assert.ok(page.body.includes("$750, two weeks"));
+  assert.ok(page.body.includes("Happy to take this on!"));
+  assert.ok(!page.body.includes("Deposit agreed"));
+  assert.ok(!page.body.includes("Client seems flexible"));
+});
@@ -0,0 +1,75 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, bearer, readData } = require("./helpers");
+
+let app;
+let admin;
+
+before(async () => {
+  app = await startApp();
+  admin = bearer((await app.login()).token);
+});
+
+after(() => app && app.close());
+
+function sendContact(fields) {
+  const form = new FormData();
+  Object.entries({
+    name: "Sam Visitor",
+    message: "I love the harbour series, is it for sale?",
+    ...fields,
+  }).forEach(([name, value]) => form.append(name, value));
+  return app.request("/contact", { method: "POST", body: form });
+}
+
+test("messages land in the inbox, bots are dropped and replies are queued", async () => {
+  const bot = await sendContact({
+    email: "bot@example.com",
+    website: "https://spam.example",
+  });
+  assert.equal(bot.status, 200);
+  const sent = await sendContact({ email: "sam@example.com" });
+  assert.equal(sent.status, 200, JSON.stringify(sent.body));
+
+  const inbox = await app.request("/admin/messages", { headers: admin });
+  assert.deepEqual(
+    inbox.body.messages.map((message) => message.email),
+    ["sam@example.com"],
+  );
+  const [message] = inbox.body.messages;
+  assert.equal(message.status, "new");
+
+  const reply = await app.post(
+    `/admin/messages/${message.id}/reply`,
+    { message: "Thank you! It is." },
+    admin,
+  );
+  assert.equal(reply.status, 200, JSON.stringify(reply.body));
+  assert.equal(reply.body.status, "read");
+  assert.equal(reply.body.replies.length, 1);
+  const jobs = readData(app, "data/mail-queue.json").filter(
+    (job) => job.batch === `contact-${message.id}`,
+  );
+  assert.ok(jobs.some((job) => job.to === "sam@example.com"));
+
+  const spam = await app.request(`/admin/messages/${message.id}`, {
+    method: "PATCH",
+    headers: { ...admin, "Content-Type": "application/json" },
+    body: JSON.stringify({ status: "spam" }),
+  });
+  assert.equal(spam.status, 200);
+  const { body } = await app.request("/admin/messages", { headers: admin });
+  assert.equal(body.total, 0);
+  assert.equal(body.counts.spam, 1);
+});
+
+test("one sender address can only send a few messages an hour", async () => {
+  let status;
+  for (let i = 0; i < 6; i++) {
+    ({ status } = await sendContact({ email: "eager@example.com" }));
+    if (status === 429) break;
+  }
+  assert.equal(status, 429);
+  const other = await sendContact({ email: "patient@example.com" });
+  assert.equal(other.status, 200);
+});
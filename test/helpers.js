@@ -0,0 +1,154 @@
+// Starts the real server in a throwaway copy of the app directory, so tests
+// never touch the repo's uploads/ or data/ and each file gets a clean store.
+const { spawn } = require("child_process");
+const fs = require("fs");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+const bcrypt = require("bcryptjs");
+
+const ROOT = path.join(__dirname, "..");
+const ADMIN_PASSWORD = "correct-horse-battery";
+const ADMIN_PASS_HASH = bcrypt.hashSync(ADMIN_PASSWORD, 4);
+
+function createAppDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "portfolio-test-"));
+  fs.copyFileSync(path.join(ROOT, "server.js"), path.join(dir, "server.js"));
+  fs.mkdirSync(path.join(dir, "public"));
+  fs.copyFileSync(
+    path.join(ROOT, "public", "index.html"),
+    path.join(dir, "public", "index.html"),
+  );
+  fs.symlinkSync(
+    path.join(ROOT, "node_modules"),
+    path.join(dir, "node_modules"),
+  );
+  return dir;
+}
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.once("error", reject);
+    server.listen(0, () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+// Resolves once the server is listening; `restart()` keeps the same
+// directory, so stored data survives like it would across a deploy
+async function startApp({ env = {}, dir = createAppDir() } = {}) {
+  const port = await freePort();
+  const child = spawn(process.execPath, ["server.js"], {
+    cwd: dir,
+    env: {
+      PATH: process.env.PATH,
+      PORT: String(port),
+      NODE_ENV: "test",
+      JWT_SECRET: "test-jwt-secret",
+      ADMIN_USER: "admin",
+      ADMIN_PASS_HASH,
+      ...env,
+    },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+
+  let output = "";
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(
+      () => reject(new Error(`Server did not start:\n${output}`)),
+      20000,
+    );
+    const onData = (chunk) => {
+      output += chunk;
+      if (output.includes("Server running at")) {
+        clearTimeout(timer);
+        resolve();
+      }
+    };
+    child.stdout.on("data", onData);
+    child.stderr.on("data", (chunk) => {
+      output += chunk;
+    });
+    child.once("exit", (code) => {
+      clearTimeout(timer);
+      reject(new Error(`Server exited with ${code}:\n${output}`));
+    });
+  });
+
+  const baseUrl = `http://127.0.0.1:${port}`;
+
+  async function request(urlPath, options = {}) {
+    const response = await fetch(baseUrl + urlPath, options);
+    const text = await response.text();
+    let body;
+    try {
+      body = JSON.parse(text);
+    } catch (error) {
+      body = text;
+    }
+    return { status: response.status, headers: response.headers, body };
+  }
+
+  function post(urlPath, data, headers = {}) {
+    return request(urlPath, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...headers },
+      body: JSON.stringify(data),
+    });
+  }
+
+  async function stop() {
+    if (child.exitCode === null) {
+      const exited = new Promise((resolve) => child.once("exit", resolve));
+      child.kill();
+      await exited;
+    }
+  }
+
+  return {
+    dir,
+    request,
+    post,
+    stop,
+    output: () => output,
+    async restart(options = {}) {
+      await stop();
+      return startApp({ env, ...options, dir });
+    },
+    // Stops the server and deletes its directory
+    async close() {
+      await stop();
+      fs.rmSync(dir, { recursive: true, force: true });
+    },
+    async login(username = "admin", password = ADMIN_PASSWORD) {
+      const { status, body } = await post("/login", { username, password });
+      if (status !== 200) {
+        throw new Error(`Login failed (${status}): ${JSON.stringify(body)}`);
+      }
+      return body;
+    },
+  };
+}
+
+function bearer(token) {
+  return { Authorization: `Bearer ${token}` };
+}
+
+function readData(app, file) {
+  return JSON.parse(fs.readFileSync(path.join(app.dir, file), "utf8"));
+}
+
+function writeData(app, file, data) {
+  fs.writeFileSync(path.join(app.dir, file), JSON.stringify(data, null, 2));
+}
+
+module.exports = {
+  ADMIN_PASSWORD,
+  startApp,
+  bearer,
+  readData,
+  writeData,
+};
@@ -0,0 +1,203 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const sharp = require("sharp");
+const { startApp, bearer, readData, writeData } = require("./helpers");
+
+let app;
+let admin;
+
+before(async () => {
+  app = await startApp({ env: { PAYMENT_PROVIDER: "fake" } });
+  admin = bearer((await app.login()).token);
+});
+
+after(() => app && app.close());
+
+async function createProduct(fields) {
+  const form = new FormData();
+  Object.entries(fields).forEach(([key, value]) => form.append(key, value));
+  const { status, body } = await app.request("/upload/shop", {
+    method: "POST",
+    headers: admin,
+    body: form,
+  });
+  assert.equal(status, 200, JSON.stringify(body));
+  return body;
+}
+
+async function stockOf(id) {
+  const { body } = await app.request("/shop");
+  return body.find((product) => product.id === id).stock;
+}
+
+function placeOrder(items) {
+  return app.post("/orders", {
+    name: "Test Buyer",
+    email: "buyer@example.com",
+    items,
+  });
+}
+
+function pay(orderId, outcome) {
+  return app.request(`/payments/fake/${orderId}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: `outcome=${outcome}`,
+  });
+}
+
+test("an order reserves stock and a failed payment gives it back", async () => {
+  const product = await createProduct({
+    title: "Print",
+    price: "40",
+    stock: "3",
+  });
+
+  const order = await placeOrder([{ productId: product.id, quantity: 2 }]);
+  assert.equal(order.status, 200);
+  assert.equal(await stockOf(product.id), 1);
+
+  const tooMany = await placeOrder([{ productId: product.id, quantity: 2 }]);
+  assert.equal(tooMany.status, 409);
+  assert.equal(await stockOf(product.id), 1);
+
+  await pay(order.body.orderId, "failed");
+  assert.equal(await stockOf(product.id), 3);
+
+  // A repeated event must not restore the stock twice
+  await pay(order.body.orderId, "failed");
+  assert.equal(await stockOf(product.id), 3);
+});
+
+test("a paid order keeps its stock and is listed for the admin", async () => {
+  const product = await createProduct({
+    title: "Canvas",
+    price: "99.5",
+    stock: "2",
+  });
+  const order = await placeOrder([
+    { productId: product.id, quantity: 1 },
+    { productId: product.id, quantity: 1 },
+  ]);
+  assert.equal(order.status, 200);
+  await pay(order.body.orderId, "succeeded");
+
+  assert.equal(await stockOf(product.id), 0);
+  const { body: orders } = await app.request("/orders", { headers: admin });
+  const saved = orders.find((o) => o.id === order.body.orderId);
+  assert.equal(saved.status, "paid");
+  assert.equal(saved.total, 199);
+});
+
+test("unpaid orders expire and release their stock", async () => {
+  const product = await createProduct({
+    title: "Sketch",
+    price: "10",
+    stock: "5",
+  });
+  const order = await placeOrder([{ productId: product.id, quantity: 4 }]);
+  assert.equal(await stockOf(product.id), 1);
+
+  // Backdate the order past the TTL; the sweep runs when the server starts
+  const orders = readData(app, "data/orders.json");
+  const stale = orders.find((o) => o.id === order.body.orderId);
+  stale.createdAt = new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString();
+  writeData(app, "data/orders.json", orders);
+  app = await app.restart();
+  admin = bearer((await app.login()).token);
+
+  assert.equal(await stockOf(product.id), 5);
+  const { body: listed } = await app.request("/orders", { headers: admin });
+  assert.equal(
+    listed.find((o) => o.id === order.body.orderId).status,
+    "expired",
+  );
+
+  // A late payment doesn't revive it
+  await pay(order.body.orderId, "succeeded");
+  assert.equal(await stockOf(product.id), 5);
+});
+
+test("placing orders is rate limited per IP", async () => {
+  const product = await createProduct({
+    title: "Postcard",
+    price: "2",
+    stock: "100",
+  });
+  let status;
+  for (let i = 0; i < 11; i++) {
+    ({ status } = await placeOrder([{ productId: product.id, quantity: 1 }]));
+    if (status === 429) break;
+  }
+  assert.equal(status, 429);
+});
+
+test("the fake provider and its pay page are off in production", async () => {
+  const production = await startApp({
+    env: { PAYMENT_PROVIDER: "fake", NODE_ENV: "production" },
+  });
+  try {
+    const order = await production.post("/orders", {
+      name: "Test Buyer",
+      email: "buyer@example.com",
+      items: [{ productId: 1, quantity: 1 }],
+    });
+    assert.equal(order.status, 503);
+    const payPage = await production.request("/payments/fake/1", {
+      method: "POST",
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      body: "outcome=succeeded",
+    });
+    assert.equal(payPage.status, 404);
+  } finally {
+    await production.close();
+  }
+});
+
+test("products keep their stock within the edition and drop removed images", async () => {
+  const productForm = (stock) => {
+    const form = new FormData();
+    form.append("title", "Signed print");
+    form.append("price", "60");
+    form.append("editionSize", "10");
+    form.append("stock", stock);
+    return form;
+  };
+  const tooMany = await app.request("/upload/shop", {
+    method: "POST",
+    headers: admin,
+    body: productForm("11"),
+  });
+  assert.equal(tooMany.status, 400);
+
+  const image = await sharp({
+    create: { width: 8, height: 8, channels: 3, background: "#c90" },
+  })
+    .png()
+    .toBuffer();
+  const form = productForm("5");
+  form.append("images", new Blob([image], { type: "image/png" }), "a.png");
+  form.append("images", new Blob([image], { type: "image/png" }), "b.png");
+  const created = await app.request("/upload/shop", {
+    method: "POST",
+    headers: admin,
+    body: form,
+  });
+  assert.equal(created.status, 200, JSON.stringify(created.body));
+  const [kept, dropped] = created.body.images;
+
+  const edit = new FormData();
+  edit.append("removeImages", dropped);
+  const updated = await app.request(`/upload/shop/${created.body.id}`, {
+    method: "PATCH",
+    headers: admin,
+    body: edit,
+  });
+  assert.equal(updated.status, 200, JSON.stringify(updated.body));
+  assert.deepEqual(updated.body.images, [kept]);
+  assert.equal(updated.body.stock, 5);
+  assert.ok(!fs.existsSync(path.join(app.dir, dropped)));
+  assert.ok(fs.existsSync(path.join(app.dir, kept)));
+});
@@ -0,0 +1,253 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const sharp = require("sharp");
+const { startApp, bearer, readData, writeData } = require("./helpers");
+
+let app;
+let admin;
+
+before(async () => {
+  app = await startApp();
+  admin = bearer((await app.login()).token);
+});
+
+after(() => app && app.close());
+
+async function uploadItem(status = "published") {
+  const image = await sharp({
+    create: { width: 8, height: 8, channels: 3, background: "#a52" },
+  })
+    .png()
+    .toBuffer();
+  const form = new FormData();
+  form.append("file", new Blob([image], { type: "image/png" }), "work.png");
+  form.append("status", status);
+  const { status: code, body } = await app.request("/upload/portfolio", {
+    method: "POST",
+    headers: admin,
+    body: form,
+  });
+  assert.equal(code, 200, JSON.stringify(body));
+  return body;
+}
+
+function send(method, url, data) {
+  return app.request(url, {
+    method,
+    headers: { ...admin, "Content-Type": "application/json" },
+    body: JSON.stringify(data),
+  });
+}
+
+test("item details are saved, cleaned and validated", async () => {
+  const item = await uploadItem();
+  const updated = await send("PATCH", `/portfolio/${item.id}`, {
+    title: "Harbour at <b>dusk</b>",
+    year: 2021,
+    medium: "Oil on linen",
+    dimensions: "60 x 80 cm",
+    alt: "Boats moored in a harbour at dusk",
+    tags: ["Landscape", "landscape ", "sea"],
+  });
+  assert.equal(updated.status, 200, JSON.stringify(updated.body));
+  assert.equal(updated.body.year, 2021);
+  assert.equal(updated.body.medium, "Oil on linen");
+  assert.ok(!updated.body.title.includes("<b>"));
+  assert.deepEqual(updated.body.tags, ["landscape", "sea"]);
+
+  const badYear = await send("PATCH", `/portfolio/${item.id}`, {
+    year: 3000,
+  });
+  assert.equal(badYear.status, 400);
+  const tooLong = await send("PATCH", `/portfolio/${item.id}`, {
+    alt: "x".repeat(301),
+  });
+  assert.equal(tooLong.status, 400);
+
+  // Fields left out are unchanged; an empty year clears it
+  const cleared = await send("PATCH", `/portfolio/${item.id}`, { year: "" });
+  assert.equal(cleared.body.year, null);
+  assert.equal(cleared.body.medium, "Oil on linen");
+});
+
+test("collections keep their own order and their slug after a rename", async () => {
+  const first = await uploadItem();
+  const second = await uploadItem();
+  const hidden = await uploadItem("draft");
+  await send("PATCH", `/portfolio/${second.id}`, { tags: ["Ink"] });
+
+  const created = await send("POST", "/collections", {
+    name: "Harbour Series",
+    itemIds: [second.id, first.id, hidden.id],
+  });
+  assert.equal(created.status, 200, JSON.stringify(created.body));
+  assert.equal(created.body.slug, "harbour-series");
+  const unknown = await send("POST", "/collections", {
+    name: "Broken",
+    itemIds: [123],
+  });
+  assert.equal(unknown.status, 400);
+
+  const renamed = await send("PATCH", `/collections/${created.body.id}`, {
+    name: "Harbours",
+  });
+  assert.equal(renamed.body.slug, "harbour-series");
+
+  // Visitors get the published members in the collection's order
+  const { body: collection } = await app.request("/collections/harbour-series");
+  assert.deepEqual(
+    collection.items.map((item) => item.id),
+    [second.id, first.id],
+  );
+  const { body: filtered } = await app.request(
+    "/portfolio-images?collection=harbour-series&tag=ink",
+  );
+  assert.deepEqual(
+    filtered.map((item) => item.id),
+    [second.id],
+  );
+  assert.equal(
+    (await app.request("/portfolio-images?collection=nope")).status,
+    404,
+  );
+});
+
+test("the gallery order is saved whole and featured items can be picked out", async () => {
+  const star = await uploadItem();
+  const { body: items } = await app.request("/portfolio-images", {
+    headers: admin,
+  });
+  // Reversed, except the newest item goes to the very end
+  const order = [
+    ...items
+      .map((item) => item.id)
+      .reverse()
+      .filter((id) => id !== star.id),
+    star.id,
+  ];
+
+  // An order missing an item came from a stale page
+  const stale = await send("PUT", "/portfolio/order", {
+    ids: order.slice(1),
+  });
+  assert.equal(stale.status, 409);
+  const saved = await send("PUT", "/portfolio/order", { ids: order });
+  assert.equal(saved.status, 200, JSON.stringify(saved.body));
+  assert.deepEqual(
+    saved.body.map((item) => item.id),
+    order,
+  );
+
+  // Featured items go first, whatever their position
+  await send("PATCH", `/portfolio/${star.id}`, { featured: true });
+  const { body: gallery } = await app.request("/portfolio-images");
+  assert.equal(gallery[0].id, star.id);
+  const { body: featured } = await app.request(
+    "/portfolio-images?featured=true",
+  );
+  assert.deepEqual(
+    featured.map((item) => item.id),
+    [star.id],
+  );
+});
+
+test("drafts stay hidden, unlisted items open by link and scheduled ones publish", async () => {
+  const isPublic = async (id) =>
+    (await app.request("/portfolio-images")).body.some(
+      (item) => item.id === id,
+    );
+  const draft = await uploadItem("draft");
+  assert.equal(await isPublic(draft.id), false);
+
+  const unlisted = await send("PATCH", `/portfolio/${draft.id}`, {
+    status: "unlisted",
+  });
+  assert.ok(unlisted.body.shareToken);
+  assert.equal(await isPublic(draft.id), false);
+  const shared = await app.request(
+    `/portfolio-images?work=${unlisted.body.shareToken}`,
+  );
+  assert.deepEqual(
+    shared.body.map((item) => item.id),
+    [draft.id],
+  );
+
+  const past = await send("PATCH", `/portfolio/${draft.id}`, {
+    status: "scheduled",
+    publishAt: new Date(Date.now() - 60000).toISOString(),
+  });
+  assert.equal(past.status, 400);
+  const scheduled = await send("PATCH", `/portfolio/${draft.id}`, {
+    status: "scheduled",
+    publishAt: new Date(Date.now() + 60 * 60000).toISOString(),
+  });
+  assert.equal(scheduled.status, 200, JSON.stringify(scheduled.body));
+  assert.equal(
+    (await app.request(`/portfolio-images?work=${unlisted.body.shareToken}`))
+      .status,
+    404,
+  );
+
+  // Bring the publish time forward; the scheduler runs on startup
+  const items = readData(app, "uploads/portfolio.json");
+  items.find((item) => item.id === draft.id).publishAt = new Date(
+    Date.now() - 1000,
+  ).toISOString();
+  writeData(app, "uploads/portfolio.json", items);
+  app = await app.restart();
+  admin = bearer((await app.login()).token);
+  for (let i = 0; i < 50 && !(await isPublic(draft.id)); i++) {
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+  assert.equal(await isPublic(draft.id), true);
+});
+
+test("deleted items wait in the trash and can be restored or purged", async () => {
+  const item = await uploadItem();
+  const collection = await send("POST", "/collections", {
+    name: "Trash Test",
+    itemIds: [item.id],
+  });
+  const inGallery = async () =>
+    (await app.request("/portfolio-images", { headers: admin })).body.some(
+      (entry) => entry.id === item.id,
+    );
+
+  await app.request(`/portfolio/${item.id}`, {
+    method: "DELETE",
+    headers: admin,
+  });
+  assert.equal(await inGallery(), false);
+  const trash = await app.request("/portfolio/trash", { headers: admin });
+  const trashed = trash.body.items.find((entry) => entry.id === item.id);
+  assert.ok(trashed.purgeAt > trashed.deletedAt);
+
+  // Restoring brings back its collection membership too
+  const restored = await send("POST", `/portfolio/trash/${item.id}/restore`);
+  assert.equal(restored.status, 200);
+  assert.equal(await inGallery(), true);
+  const { body: series } = await app.request(
+    `/collections/${collection.body.slug}`,
+  );
+  assert.deepEqual(
+    series.items.map((entry) => entry.id),
+    [item.id],
+  );
+
+  await app.request(`/portfolio/${item.id}`, {
+    method: "DELETE",
+    headers: admin,
+  });
+  const purged = await app.request(`/portfolio/trash/${item.id}`, {
+    method: "DELETE",
+    headers: admin,
+  });
+  assert.equal(purged.status, 200);
+  assert.ok(!fs.existsSync(path.join(app.dir, item.url)));
+  assert.equal(
+    (await send("POST", `/portfolio/trash/${item.id}/restore`)).status,
+    404,
+  );
+});
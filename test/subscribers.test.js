@@ -0,0 +1,347 @@
+// Subscribers only exist in Postgres, so these tests need DATABASE_URL set to
+// a database they may write to (use a throwaway one); without it they skip.
+// Addresses are unique per run, so earlier runs' rows don't get in the way.
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { Pool } = require("pg");
+const sharp = require("sharp");
+const { startApp, bearer } = require("./helpers");
+
+const databaseUrl = process.env.DATABASE_URL;
+const skip = !databaseUrl && "DATABASE_URL is not set";
+const run = Date.now().toString(36);
+
+let app;
+let admin;
+let db;
+
+before(async () => {
+  if (skip) return;
+  app = await startApp({ env: { DATABASE_URL: databaseUrl } });
+  admin = bearer((await app.login()).token);
+  db = new Pool({ connectionString: databaseUrl });
+});
+
+after(async () => {
+  if (app) await app.close();
+  if (db) await db.end();
+});
+
+function address(name) {
+  return `${name}-${run}@example.com`;
+}
+
+async function subscriberRow(email) {
+  const { rows } = await db.query(
+    "SELECT * FROM subscribers WHERE email = $1",
+    [email],
+  );
+  return rows[0];
+}
+
+// Each signup comes from its own IP so the per-IP limit isn't what's tested
+let signups = 0;
+function subscribe(email, fields = {}) {
+  signups++;
+  return app.post(
+    "/subscribe",
+    { name: "Reader", email, ...fields },
+    { "X-Forwarded-For": `198.51.100.${signups}` },
+  );
+}
+
+// Subscribes and follows the confirmation link, as the emailed person would
+async function confirmedSubscriber(email, fields) {
+  assert.equal((await subscribe(email, fields)).status, 200);
+  const { confirmation_token: token } = await subscriberRow(email);
+  const confirmed = await app.request(`/subscribe/confirm?token=${token}`);
+  assert.equal(confirmed.status, 200);
+  return subscriberRow(email);
+}
+
+async function uploadArtwork() {
+  const image = await sharp({
+    create: { width: 8, height: 8, channels: 3, background: "#159" },
+  })
+    .png()
+    .toBuffer();
+  const form = new FormData();
+  form.append("file", new Blob([image], { type: "image/png" }), "new.png");
+  form.append("status", "published");
+  const { status, body } = await app.request("/upload/portfolio", {
+    method: "POST",
+    headers: admin,
+    body: form,
+  });
+  assert.equal(status, 200, JSON.stringify(body));
+  return body;
+}
+
+async function queuedFor(batch) {
+  const { rows } = await db.query(
+    "SELECT recipient FROM mail_queue WHERE batch = $1 ORDER BY recipient",
+    [batch],
+  );
+  return rows.map((row) => row.recipient);
+}
+
+test(
+  "a subscription only starts once the emailed link is followed",
+  { skip },
+  async () => {
+    const email = address("pending");
+    const subscribed = await subscribe(email);
+    assert.equal(subscribed.status, 200, JSON.stringify(subscribed.body));
+    const pending = await subscriberRow(email);
+    assert.equal(pending.is_active, false);
+    assert.ok(pending.confirmation_token);
+
+    const confirmed = await app.request(
+      `/subscribe/confirm?token=${pending.confirmation_token}`,
+    );
+    assert.equal(confirmed.status, 200);
+    assert.equal((await subscriberRow(email)).is_active, true);
+    const reused = await app.request(
+      `/subscribe/confirm?token=${pending.confirmation_token}`,
+    );
+    assert.equal(reused.status, 404);
+    assert.equal((await subscribe(email)).status, 400);
+  },
+);
+
+test("an expired confirmation link offers a new one", { skip }, async () => {
+  const email = address("late");
+  await subscribe(email);
+  await db.query(
+    `UPDATE subscribers SET confirmation_sent_at = NOW() - INTERVAL '3 days'
+     WHERE email = $1`,
+    [email],
+  );
+  const { confirmation_token: token } = await subscriberRow(email);
+  const expired = await app.request(`/subscribe/confirm?token=${token}`);
+  assert.equal(expired.status, 410);
+  assert.ok(expired.body.includes(`value="${token}"`));
+  assert.equal((await subscriberRow(email)).is_active, false);
+});
+
+test(
+  "each migration is applied once and a restart leaves them alone",
+  { skip },
+  async () => {
+    const migrations = async () =>
+      (
+        await db.query(
+          "SELECT id, applied_at FROM schema_migrations ORDER BY id",
+        )
+      ).rows;
+    const applied = await migrations();
+    assert.deepEqual(
+      applied.map((row) => row.id),
+      applied.map((row, i) => i + 1),
+    );
+
+    app = await app.restart();
+    admin = bearer((await app.login()).token);
+    assert.deepEqual(await migrations(), applied);
+  },
+);
+
+test(
+  "new artwork is queued for instant subscribers only",
+  { skip },
+  async () => {
+    const instant = await confirmedSubscriber(address("instant"));
+    const daily = await confirmedSubscriber(address("daily"), {
+      frequency: "daily",
+    });
+    const item = await uploadArtwork();
+
+    const recipients = await queuedFor(`portfolio-${item.id}`);
+    assert.ok(recipients.includes(instant.email));
+    assert.ok(!recipients.includes(daily.email));
+  },
+);
+
+test(
+  "daily subscribers get the day's new artwork in one digest",
+  { skip },
+  async () => {
+    const daily = await confirmedSubscriber(address("digest"), {
+      frequency: "daily",
+    });
+    await db.query(
+      "UPDATE subscribers SET confirmed_at = NOW() - INTERVAL '25 hours' WHERE id = $1",
+      [daily.id],
+    );
+    const first = await uploadArtwork();
+    const second = await uploadArtwork();
+
+    // Digests are due-checked when the server starts
+    app = await app.restart();
+    admin = bearer((await app.login()).token);
+    let digests = [];
+    for (let i = 0; i < 50 && digests.length === 0; i++) {
+      await new Promise((resolve) => setTimeout(resolve, 100));
+      ({ rows: digests } = await db.query(
+        "SELECT html_body FROM mail_queue WHERE batch LIKE 'digest-%' AND recipient = $1",
+        [daily.email],
+      ));
+    }
+    assert.equal(digests.length, 1);
+    assert.ok(digests[0].html_body.includes(first.url));
+    assert.ok(digests[0].html_body.includes(second.url));
+  },
+);
+
+test(
+  "the preference center changes emails and can delete the subscriber",
+  { skip },
+  async () => {
+    const subscriber = await confirmedSubscriber(address("prefs"));
+    const token = subscriber.unsubscribe_token;
+    const page = await app.request(`/preferences?token=${token}`);
+    assert.equal(page.status, 200);
+
+    const form = (fields) => ({
+      method: "POST",
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      body: new URLSearchParams({ token, ...fields }).toString(),
+    });
+    const saved = await app.request(
+      "/preferences",
+      form({ name: "Reader", frequency: "weekly", categories: "newsletter" }),
+    );
+    assert.equal(saved.status, 200);
+    const updated = await subscriberRow(subscriber.email);
+    assert.equal(updated.frequency, "weekly");
+    assert.equal(updated.notify_artwork, false);
+    assert.equal(updated.notify_newsletter, true);
+
+    const unconfirmed = await app.request("/preferences/delete", form({}));
+    assert.equal(unconfirmed.status, 400);
+    const deleted = await app.request(
+      "/preferences/delete",
+      form({ confirm: "yes" }),
+    );
+    assert.equal(deleted.status, 200);
+    assert.equal(await subscriberRow(subscriber.email), undefined);
+    assert.equal(
+      (await app.request(`/preferences?token=${token}`)).status,
+      404,
+    );
+  },
+);
+
+test(
+  "admins can import, search, deactivate and export subscribers",
+  { skip },
+  async () => {
+    const csv = [
+      "name,email,frequency",
+      `=HYPERLINK("http://evil.example"),${address("imported")},weekly`,
+      `Duplicate,${address("imported")},`,
+      "Broken,not-an-email,",
+    ].join("\n");
+    const imported = await app.request("/admin/subscribers/import", {
+      method: "POST",
+      headers: { ...admin, "Content-Type": "text/csv" },
+      body: csv,
+    });
+    assert.equal(imported.status, 200, JSON.stringify(imported.body));
+    assert.equal(imported.body.imported, 1);
+    assert.equal(imported.body.skipped, 1);
+    assert.deepEqual(
+      imported.body.errors.map((error) => error.line),
+      [4],
+    );
+
+    const search = `imported-${run}`;
+    const found = await app.request(
+      `/admin/subscribers?search=${encodeURIComponent(search)}`,
+      { headers: admin },
+    );
+    assert.equal(found.body.total, 1);
+    const [subscriber] = found.body.subscribers;
+    assert.equal(subscriber.status, "active");
+
+    const deactivated = await app.post(
+      `/admin/subscribers/${subscriber.id}/deactivate`,
+      {},
+      admin,
+    );
+    assert.equal(deactivated.status, 200, JSON.stringify(deactivated.body));
+    const unsubscribed = await app.request(
+      `/admin/subscribers?status=unsubscribed&search=${encodeURIComponent(search)}`,
+      { headers: admin },
+    );
+    assert.equal(unsubscribed.body.total, 1);
+
+    // Spreadsheet formulas in names are defused in the export
+    const exported = await app.request(
+      `/admin/subscribers/export?search=${encodeURIComponent(search)}`,
+      { headers: admin },
+    );
+    assert.equal(exported.status, 200);
+    const [, row] = exported.body.trim().split("\r\n");
+    assert.ok(row.startsWith("'=HYPERLINK("), row);
+    assert.ok(row.includes(address("imported")));
+  },
+);
+
+test(
+  "a newsletter reaches opted-in subscribers once, even after a crash mid-queue",
+  { skip },
+  async () => {
+    const reached = await confirmedSubscriber(address("news-queued"));
+    const pending = await confirmedSubscriber(address("news-pending"));
+    const optedOut = await confirmedSubscriber(address("news-off"));
+    await db.query(
+      "UPDATE subscribers SET notify_newsletter = false WHERE id = $1",
+      [optedOut.id],
+    );
+    const ours = (recipients) =>
+      recipients.filter((email) =>
+        [reached, pending, optedOut].some((row) => row.email === email),
+      );
+
+    const created = await app.post(
+      "/admin/newsletters",
+      { subject: "Studio news", markdown: "New work is up." },
+      admin,
+    );
+    assert.equal(created.status, 200, JSON.stringify(created.body));
+    const { id } = created.body;
+
+    // A restart after the first subscriber was queued, before the rest were
+    await db.query(
+      `UPDATE newsletters SET status = 'sending', scheduled_at = NOW()
+     WHERE id = $1`,
+      [id],
+    );
+    await db.query(
+      `INSERT INTO mail_queue (batch, recipient, subject, text_body, html_body)
+     VALUES ($1, $2, 'Studio news', '', '')`,
+      [`newsletter-${id}`, reached.email],
+    );
+    app = await app.restart();
+    admin = bearer((await app.login()).token);
+
+    let newsletter;
+    for (
+      let i = 0;
+      i < 50 && (!newsletter || newsletter.status !== "sent");
+      i++
+    ) {
+      await new Promise((resolve) => setTimeout(resolve, 100));
+      const { body } = await app.request("/admin/newsletters", {
+        headers: admin,
+      });
+      newsletter = body.find((entry) => entry.id === id);
+    }
+    assert.equal(newsletter.status, "sent");
+    assert.deepEqual(
+      ours(await queuedFor(`newsletter-${id}`)),
+      [reached.email, pending.email].sort(),
+    );
+  },
+);
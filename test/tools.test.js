@@ -0,0 +1,84 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const sharp = require("sharp");
+const { startApp, bearer } = require("./helpers");
+
+let app;
+let admin;
+
+before(async () => {
+  app = await startApp();
+  admin = bearer((await app.login()).token);
+});
+
+after(() => app && app.close());
+
+async function logo(background) {
+  return sharp({ create: { width: 8, height: 8, channels: 3, background } })
+    .png()
+    .toBuffer();
+}
+
+async function sendTool(method, url, fields, file) {
+  const form = new FormData();
+  Object.entries(fields).forEach(([name, value]) => form.append(name, value));
+  if (file) {
+    form.append("logo", new Blob([file], { type: "image/png" }), "logo.png");
+  }
+  return app.request(url, { method, headers: admin, body: form });
+}
+
+test("tools are listed by category and replaced logos are removed", async () => {
+  const invalid = await sendTool(
+    "POST",
+    "/upload/tools",
+    { name: "Krita", category: "kitchen" },
+    await logo("#111"),
+  );
+  assert.equal(invalid.status, 400);
+  const noLogo = await sendTool("POST", "/upload/tools", {
+    name: "Krita",
+    category: "studio",
+  });
+  assert.equal(noLogo.status, 400);
+
+  const hardware = await sendTool(
+    "POST",
+    "/upload/tools",
+    { name: "Wacom Cintiq", category: "hardware" },
+    await logo("#222"),
+  );
+  assert.equal(hardware.status, 200, JSON.stringify(hardware.body));
+  const studio = await sendTool(
+    "POST",
+    "/upload/tools",
+    { name: "Krita", category: "studio", url: "https://krita.org" },
+    await logo("#333"),
+  );
+  assert.equal(studio.status, 200, JSON.stringify(studio.body));
+
+  const { body: tools } = await app.request("/tools");
+  const names = tools.map((tool) => tool.name);
+  assert.ok(names.indexOf("Krita") < names.indexOf("Wacom Cintiq"));
+
+  const oldLogo = path.join(app.dir, studio.body.logo);
+  assert.ok(fs.existsSync(oldLogo));
+  const replaced = await sendTool(
+    "PATCH",
+    `/upload/tools/${studio.body.id}`,
+    {},
+    await logo("#444"),
+  );
+  assert.equal(replaced.status, 200, JSON.stringify(replaced.body));
+  assert.equal(replaced.body.name, "Krita");
+  assert.ok(!fs.existsSync(oldLogo));
+
+  const removed = await app.request(`/tools/${studio.body.id}`, {
+    method: "DELETE",
+    headers: admin,
+  });
+  assert.equal(removed.status, 200);
+  assert.ok(!fs.existsSync(path.join(app.dir, replaced.body.logo)));
+});
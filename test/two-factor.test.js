@@ -0,0 +1,126 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { startApp, bearer, ADMIN_PASSWORD } = require("./helpers");
+
+let app;
+let secret;
+let recoveryCodes;
+// Signed in before 2FA was turned on, for the account changes
+let owner;
+
+// RFC 6238 with the server's settings: SHA-1, 6 digits, 30 second steps
+function totp(step) {
+  const alphabet = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+  const bits = [...secret]
+    .map((char) => alphabet.indexOf(char).toString(2).padStart(5, "0"))
+    .join("");
+  const key = Buffer.from(bits.match(/.{8}/g).map((byte) => parseInt(byte, 2)));
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac("sha1", key).update(counter).digest();
+  const binary = hmac.readUInt32BE(hmac[hmac.length - 1] & 0xf) & 0x7fffffff;
+  return String(binary % 1e6).padStart(6, "0");
+}
+
+// The current step, after waiting out the last seconds of one so a test's
+// codes all belong to the same window
+async function currentStep() {
+  if (30 - ((Date.now() / 1000) % 30) < 3) {
+    await new Promise((resolve) => setTimeout(resolve, 3000));
+  }
+  return Math.floor(Date.now() / 1000 / 30);
+}
+
+before(async () => {
+  app = await startApp();
+  owner = bearer((await app.login()).token);
+  const setup = await app.post(
+    "/auth/2fa/setup",
+    { password: ADMIN_PASSWORD },
+    owner,
+  );
+  assert.equal(setup.status, 200, JSON.stringify(setup.body));
+  secret = setup.body.secret;
+  const enabled = await app.post(
+    "/auth/2fa/enable",
+    { code: totp((await currentStep()) - 1) },
+    owner,
+  );
+  assert.equal(enabled.status, 200, JSON.stringify(enabled.body));
+  recoveryCodes = enabled.body.recoveryCodes;
+});
+
+after(() => app && app.close());
+
+// Logs in concurrently with the same second factor
+async function raceSecondStep(code) {
+  const challenges = await Promise.all(
+    [1, 2].map(async () => (await app.login()).challenge),
+  );
+  const results = await Promise.all(
+    challenges.map((challenge) => app.post("/login/2fa", { challenge, code })),
+  );
+  return results.map((result) => result.status).sort();
+}
+
+test("a TOTP code signs in once, even when two logins race with it", async () => {
+  const step = await currentStep();
+  assert.deepEqual(await raceSecondStep(totp(step)), [200, 401]);
+
+  // The step before the one just used is no longer accepted either
+  const { challenge } = await app.login();
+  const replay = await app.post("/login/2fa", {
+    challenge,
+    code: totp(step - 1),
+  });
+  assert.equal(replay.status, 401);
+});
+
+test("a recovery code signs in once, even when two logins race with it", async () => {
+  assert.deepEqual(await raceSecondStep(recoveryCodes[0]), [200, 401]);
+
+  const { challenge } = await app.login();
+  const next = await app.post("/login/2fa", {
+    challenge,
+    code: recoveryCodes[1],
+  });
+  assert.equal(next.status, 200);
+  assert.equal(next.body.recoveryCodesLeft, recoveryCodes.length - 2);
+});
+
+test("password checks on 2FA changes count towards the lockout", async () => {
+  const headers = { ...owner, "X-Forwarded-For": "203.0.113.99" };
+  for (let i = 0; i < 5; i++) {
+    const wrong = await app.post(
+      "/auth/2fa/recovery-codes",
+      { password: "not-the-password" },
+      headers,
+    );
+    assert.equal(wrong.status, 400);
+  }
+  const locked = await app.post(
+    "/auth/2fa/recovery-codes",
+    { password: ADMIN_PASSWORD },
+    headers,
+  );
+  assert.equal(locked.status, 429);
+});
+
+test("turning 2FA off needs a code as well as the password", async () => {
+  const passwordOnly = await app.post(
+    "/auth/2fa/disable",
+    { password: ADMIN_PASSWORD },
+    owner,
+  );
+  assert.equal(passwordOnly.status, 400);
+  assert.ok((await app.login()).challenge, "2FA should still be on");
+
+  const disabled = await app.post(
+    "/auth/2fa/disable",
+    { password: ADMIN_PASSWORD, code: recoveryCodes[2] },
+    owner,
+  );
+  assert.equal(disabled.status, 200, JSON.stringify(disabled.body));
+  assert.ok((await app.login()).token);
+});
@@ -0,0 +1,314 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const sharp = require("sharp");
+const { startApp, bearer, readData, writeData } = require("./helpers");
+
+let app;
+let admin;
+
+before(async () => {
+  app = await startApp();
+  admin = bearer((await app.login()).token);
+});
+
+after(() => app && app.close());
+
+function png() {
+  return sharp({
+    create: { width: 8, height: 8, channels: 3, background: "#c33" },
+  })
+    .png()
+    .toBuffer();
+}
+
+function uploadPortfolioFile(buffer, filename, type) {
+  const form = new FormData();
+  form.append("file", new Blob([buffer], { type }), filename);
+  return app.request("/upload/portfolio", {
+    method: "POST",
+    headers: admin,
+    body: form,
+  });
+}
+
+// Sends the whole file as one chunk of a resumable upload session
+async function uploadInSession(file, fields) {
+  const session = await app.post(
+    "/upload/portfolio/sessions",
+    {
+      size: file.length,
+      checksum: crypto.createHash("sha256").update(file).digest("hex"),
+      ...fields,
+    },
+    admin,
+  );
+  assert.equal(session.status, 201, JSON.stringify(session.body));
+  const chunk = await app.request(
+    `/upload/portfolio/sessions/${session.body.id}`,
+    {
+      method: "PUT",
+      headers: {
+        ...admin,
+        "Content-Type": "application/octet-stream",
+        "Upload-Offset": "0",
+      },
+      body: file,
+    },
+  );
+  assert.equal(chunk.status, 200, JSON.stringify(chunk.body));
+  return app.post(
+    `/upload/portfolio/sessions/${session.body.id}/complete`,
+    {},
+    admin,
+  );
+}
+
+async function waitFor(check) {
+  for (let i = 0; i < 50; i++) {
+    if (check()) return;
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+  assert.fail("Condition was never met");
+}
+
+test("a batch that never calls notify is announced when its sessions expire", async () => {
+  const completed = await uploadInSession(await png(), {
+    filename: "batch.png",
+    mimetype: "image/png",
+    batchId: "forgotten-batch",
+    status: "published",
+  });
+  assert.equal(completed.status, 200, JSON.stringify(completed.body));
+
+  const itemOf = () =>
+    readData(app, "uploads/portfolio.json").find(
+      (item) => item.id === completed.body.id,
+    );
+  assert.equal(itemOf().notifiedAt, null);
+
+  // Age the session past its TTL; the cleanup runs when the server starts
+  const sessions = readData(app, "data/upload-sessions.json");
+  sessions.forEach((session) => {
+    session.updatedAt = new Date(
+      Date.now() - 2 * 24 * 60 * 60 * 1000,
+    ).toISOString();
+  });
+  writeData(app, "data/upload-sessions.json", sessions);
+  app = await app.restart();
+  admin = bearer((await app.login()).token);
+
+  await waitFor(() => itemOf().notifiedAt);
+  assert.deepEqual(readData(app, "data/upload-sessions.json"), []);
+});
+
+test("a file that isn't really an image is rejected and deleted", async () => {
+  const dir = path.join(app.dir, "uploads/portfolio");
+  const before = fs.readdirSync(dir);
+  const { status, body } = await uploadPortfolioFile(
+    Buffer.from("<script>alert(1)</script>"),
+    "innocent.png",
+    "image/png",
+  );
+  assert.equal(status, 400, JSON.stringify(body));
+  assert.deepEqual(fs.readdirSync(dir), before);
+});
+
+test("photos are stored under their real type without EXIF location data", async () => {
+  const photo = await sharp({
+    create: { width: 16, height: 16, channels: 3, background: "#3a6" },
+  })
+    .jpeg()
+    .withExif({
+      IFD0: { Make: "TestCam" },
+      IFD3: { GPSLatitudeRef: "N", GPSLatitude: "40/1 26/1 46/1" },
+    })
+    .toBuffer();
+  assert.ok((await sharp(photo).metadata()).exif);
+
+  // Claimed to be a PNG; the contents say JPEG
+  const { status, body } = await uploadPortfolioFile(
+    photo,
+    "holiday.png",
+    "image/png",
+  );
+  assert.equal(status, 200, JSON.stringify(body));
+  assert.match(body.url, /\.jpg$/);
+
+  const stored = fs.readFileSync(path.join(app.dir, body.url));
+  const metadata = await sharp(stored).metadata();
+  assert.equal(metadata.format, "jpeg");
+  assert.equal(metadata.exif, undefined);
+  assert.ok(!stored.includes("TestCam"));
+});
+
+test("a resumable upload that doesn't match its checksum is refused", async () => {
+  const completed = await uploadInSession(await png(), {
+    filename: "tampered.png",
+    mimetype: "image/png",
+    checksum: crypto.createHash("sha256").update("other").digest("hex"),
+  });
+  assert.equal(completed.status, 400);
+  assert.match(completed.body.error, /checksum/i);
+});
+
+test("a form upload over the size limit names the 50MB limit", async () => {
+  const { status, body } = await uploadPortfolioFile(
+    Buffer.alloc(50 * 1024 * 1024 + 1),
+    "huge.png",
+    "image/png",
+  );
+  assert.equal(status, 400);
+  assert.equal(body.error, "File too large. Maximum size is 50MB.");
+});
+
+test("a resumable upload without a file checksum needs one on every chunk", async () => {
+  const file = await png();
+  const session = await app.post(
+    "/upload/portfolio/sessions",
+    { filename: "chunked.png", size: file.length, mimetype: "image/png" },
+    admin,
+  );
+  assert.equal(session.status, 201, JSON.stringify(session.body));
+  const sendChunk = (headers) =>
+    app.request(`/upload/portfolio/sessions/${session.body.id}`, {
+      method: "PUT",
+      headers: {
+        ...admin,
+        "Content-Type": "application/octet-stream",
+        "Upload-Offset": "0",
+        ...headers,
+      },
+      body: file,
+    });
+  const sha256 = (data) =>
+    crypto.createHash("sha256").update(data).digest("hex");
+
+  assert.equal((await sendChunk()).status, 400);
+  const corrupted = await sendChunk({
+    "Upload-Checksum": `sha256 ${sha256("other")}`,
+  });
+  assert.equal(corrupted.status, 400);
+  const chunk = await sendChunk({
+    "Upload-Checksum": `sha256 ${sha256(file)}`,
+  });
+  assert.equal(chunk.status, 200, JSON.stringify(chunk.body));
+
+  const completed = await app.post(
+    `/upload/portfolio/sessions/${session.body.id}/complete`,
+    {},
+    admin,
+  );
+  assert.equal(completed.status, 200, JSON.stringify(completed.body));
+});
+
+// A top-level QuickTime atom: 32-bit size, four-letter type, then the body
+function atom(type, body = Buffer.alloc(0)) {
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(8 + body.length);
+  header.write(type, 4, "latin1");
+  return Buffer.concat([header, body]);
+}
+
+test("only files with a movie atom or a known brand count as video", async () => {
+  const fake = Buffer.concat([
+    atom("free"),
+    Buffer.from("<html><script>alert(1)</script></html>"),
+  ]);
+  const rejected = await uploadPortfolioFile(
+    fake,
+    "clip.mov",
+    "video/quicktime",
+  );
+  assert.equal(rejected.status, 400, JSON.stringify(rejected.body));
+
+  const unknownBrand = Buffer.concat([
+    atom("ftyp", Buffer.from("abcd\0\0\0\0")),
+    Buffer.from("<html></html>"),
+  ]);
+  const unknown = await uploadPortfolioFile(
+    unknownBrand,
+    "clip.mp4",
+    "video/mp4",
+  );
+  assert.equal(unknown.status, 400, JSON.stringify(unknown.body));
+
+  // Older QuickTime files put the movie atom after the media data
+  const movie = Buffer.concat([
+    atom("wide"),
+    atom("mdat", Buffer.alloc(1024)),
+    atom("moov", atom("mvhd", Buffer.alloc(100))),
+  ]);
+  const accepted = await uploadPortfolioFile(
+    movie,
+    "old.mov",
+    "video/quicktime",
+  );
+  assert.equal(accepted.status, 200, JSON.stringify(accepted.body));
+  assert.match(accepted.body.url, /\.mov$/);
+});
+
+test("images get resized renditions that go when the item is purged", async () => {
+  const image = await sharp({
+    create: {
+      width: 1000,
+      height: 500,
+      channels: 4,
+      background: { r: 40, g: 90, b: 160, alpha: 0.5 },
+    },
+  })
+    .png()
+    .toBuffer();
+  const { status, body } = await uploadPortfolioFile(
+    image,
+    "wide.png",
+    "image/png",
+  );
+  assert.equal(status, 200, JSON.stringify(body));
+  assert.deepEqual([body.width, body.height], [1000, 500]);
+
+  // The large size would be wider than the original, so it stops at 1000px;
+  // transparency means a PNG fallback rather than JPEG
+  const summary = body.renditions.map(
+    (rendition) => `${rendition.size}:${rendition.width}:${rendition.format}`,
+  );
+  assert.deepEqual(summary, [
+    "thumb:480:avif",
+    "thumb:480:webp",
+    "thumb:480:png",
+    "medium:960:avif",
+    "medium:960:webp",
+    "medium:960:png",
+    "large:1000:avif",
+    "large:1000:webp",
+    "large:1000:png",
+  ]);
+  const files = body.renditions.map((rendition) =>
+    path.join(app.dir, rendition.url),
+  );
+  assert.ok(files.every((file) => fs.existsSync(file)));
+
+  for (const url of [`/portfolio/${body.id}`, `/portfolio/trash/${body.id}`]) {
+    await app.request(url, { method: "DELETE", headers: admin });
+  }
+  assert.ok(files.every((file) => !fs.existsSync(file)));
+});
+
+test("the about image is stored and survives a restart", async () => {
+  const form = new FormData();
+  form.append("file", new Blob([await png()], { type: "image/png" }), "me.png");
+  const uploaded = await app.request("/upload/about", {
+    method: "POST",
+    headers: admin,
+    body: form,
+  });
+  assert.equal(uploaded.status, 200, JSON.stringify(uploaded.body));
+
+  app = await app.restart();
+  admin = bearer((await app.login()).token);
+  const { body } = await app.request("/about-data");
+  assert.equal(body.image, uploaded.body.url);
+  assert.ok(fs.existsSync(path.join(app.dir, body.image)));
+});
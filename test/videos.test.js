@@ -0,0 +1,93 @@
+// Needs ffmpeg and ffprobe, on PATH or at FFMPEG_PATH/FFPROBE_PATH; without
+// them these tests skip.
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { execFileSync, spawnSync } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { startApp, bearer, readData } = require("./helpers");
+
+const tools = {
+  FFMPEG_PATH: process.env.FFMPEG_PATH || "ffmpeg",
+  FFPROBE_PATH: process.env.FFPROBE_PATH || "ffprobe",
+};
+const skip =
+  Object.values(tools).some(
+    (tool) => spawnSync(tool, ["-version"]).status !== 0,
+  ) && "ffmpeg and ffprobe are not installed";
+
+let app;
+let admin;
+
+before(async () => {
+  if (skip) return;
+  app = await startApp({ env: tools });
+  admin = bearer((await app.login()).token);
+});
+
+after(() => app && app.close());
+
+// A short QuickTime clip with sound, made on the spot
+function quickTimeClip() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "clip-"));
+  const file = path.join(dir, "clip.mov");
+  execFileSync(tools.FFMPEG_PATH, [
+    "-v",
+    "error",
+    "-f",
+    "lavfi",
+    "-i",
+    "testsrc=duration=2:size=320x240:rate=10",
+    "-f",
+    "lavfi",
+    "-i",
+    "sine=duration=2",
+    "-c:v",
+    "mpeg4",
+    "-c:a",
+    "aac",
+    file,
+  ]);
+  try {
+    return fs.readFileSync(file);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test(
+  "QuickTime uploads get a poster, metadata and a web copy",
+  { skip },
+  async () => {
+    const form = new FormData();
+    form.append(
+      "file",
+      new Blob([quickTimeClip()], { type: "video/quicktime" }),
+      "clip.mov",
+    );
+    const { status, body } = await app.request("/upload/portfolio", {
+      method: "POST",
+      headers: admin,
+      body: form,
+    });
+    assert.equal(status, 200, JSON.stringify(body));
+    assert.deepEqual([body.width, body.height], [320, 240]);
+    assert.ok(Math.abs(body.duration - 2) < 0.5, String(body.duration));
+    assert.ok(fs.existsSync(path.join(app.dir, body.poster)));
+    assert.equal(body.transcodeStatus, "pending");
+
+    // The transcode runs in the background
+    const itemOf = () =>
+      readData(app, "uploads/portfolio.json").find(
+        (item) => item.id === body.id,
+      );
+    for (let i = 0; i < 300 && itemOf().transcodeStatus === "pending"; i++) {
+      await new Promise((resolve) => setTimeout(resolve, 100));
+    }
+    const item = itemOf();
+    assert.equal(item.transcodeStatus, "done");
+    assert.match(item.playbackUrl, /-web\.mp4$/);
+    assert.ok(fs.existsSync(path.join(app.dir, item.playbackUrl)));
+  },
+);